@@ -0,0 +1,123 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./staking.sol";
+import "./StakingLogic.sol";
+
+// actions that charge a fee; merging pays out rewards and counts as a claim
+enum FeeAction {
+    Unstake,
+    Claim,
+    EarlyUnstake
+}
+
+// a lower rate for stakes of at least minAmount held for at least minDuration
+struct FeeBracket {
+    uint256 minAmount;
+    uint256 minDuration;
+    uint256 rateBps;
+}
+
+struct FeeSchedule {
+    bool enabled;
+    uint256 rateBps;
+    FeeBracket[] brackets;
+}
+
+struct FeeRecipient {
+    address account;
+    uint256 weight;
+}
+
+struct FeeShare {
+    address recipient;
+    uint256 amount;
+}
+
+/**
+ * @title Fees
+ * @dev Fee rates per action, tiered by stake size and holding duration, split across weighted
+ * recipients. Internal only.
+ */
+library Fees {
+    using SafeERC20 for IERC20;
+
+    uint256 internal constant BASIS_POINTS = 10000;
+    uint256 internal constant MAX_RATE = 1000;
+    // fees are paid and schedules scanned on every payout, so both lists are bounded
+    uint256 internal constant MAX_RECIPIENTS = 5;
+    uint256 internal constant MAX_BRACKETS = 5;
+
+    // exempt accounts pay nothing; otherwise the stake's recorded taxRate, lowered by the action's
+    // schedule to its base rate or a bracket the stake qualifies for. A schedule never raises
+    // the rate, so stakes keep the terms they were opened with
+    function rate(
+        StakingCore.StakingStorage storage $,
+        FeeAction _action,
+        address _user,
+        Stake storage _userStake
+    ) internal view returns (uint256 rateBps) {
+        if ($.feeExempt[_user]) return 0;
+
+        rateBps = _userStake.taxRate;
+        FeeSchedule storage schedule = $.feeSchedules[uint256(_action)];
+        if (!schedule.enabled) return rateBps;
+
+        if (schedule.rateBps < rateBps) rateBps = schedule.rateBps;
+        uint256 heldFor = block.timestamp - _userStake.startTime;
+        for (uint256 i = 0; i < schedule.brackets.length; i++) {
+            FeeBracket storage bracket = schedule.brackets[i];
+            if (_userStake.amount >= bracket.minAmount && heldFor >= bracket.minDuration && bracket.rateBps < rateBps) {
+                rateBps = bracket.rateBps;
+            }
+        }
+    }
+
+    function charge(
+        StakingCore.StakingStorage storage $,
+        FeeAction _action,
+        address _user,
+        Stake storage _userStake,
+        uint256 _amount
+    ) internal view returns (uint256) {
+        return (_amount * rate($, _action, _user, _userStake)) / BASIS_POINTS;
+    }
+
+    // splits _fee by weight, the last recipient taking the rounding dust; without recipients
+    // the treasury gets all of it
+    function split(StakingCore.StakingStorage storage $, uint256 _fee) internal view returns (FeeShare[] memory shares) {
+        if (_fee == 0) return shares;
+
+        FeeRecipient[] storage recipients = $.feeRecipients;
+        if (recipients.length == 0) {
+            shares = new FeeShare[](1);
+            shares[0] = FeeShare($.treasury, _fee);
+            return shares;
+        }
+
+        uint256 totalWeight;
+        for (uint256 i = 0; i < recipients.length; i++) {
+            totalWeight += recipients[i].weight;
+        }
+
+        shares = new FeeShare[](recipients.length);
+        uint256 remaining = _fee;
+        for (uint256 i = 0; i < recipients.length; i++) {
+            uint256 amount = i == recipients.length - 1 ? remaining : (_fee * recipients[i].weight) / totalWeight;
+            remaining -= amount;
+            shares[i] = FeeShare(recipients[i].account, amount);
+        }
+    }
+
+    // splits and pays _fee, returning the shares for the payout event
+    function pay(StakingCore.StakingStorage storage $, uint256 _fee) internal returns (FeeShare[] memory shares) {
+        shares = split($, _fee);
+        for (uint256 i = 0; i < shares.length; i++) {
+            if (shares[i].amount > 0) {
+                $.stakingToken.safeTransfer(shares[i].recipient, shares[i].amount);
+            }
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,13 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IStakeMigrationReceiver
+ * @dev Implemented by a successor pool that accepts positions migrated out of a sunset
+ * StakingContract. The principal is transferred before the call; a fee-on-transfer token
+ * delivers less than _amount, so the successor should credit what it actually received.
+ */
+interface IStakeMigrationReceiver {
+    // must return IStakeMigrationReceiver.onStakeMigrated.selector to accept the position
+    function onStakeMigrated(address _user, uint256 _stakeId, uint256 _amount) external returns (bytes4);
+}
\ No newline at end of file
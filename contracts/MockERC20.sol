@@ -2,19 +2,20 @@
 pragma solidity ^0.8.19;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
 
 /**
  * @title MockERC20
- * @dev Mock ERC20 token for testing (simulates USDT with 6 decimals)
+ * @dev Mock ERC20 token for testing (simulates USDT with 6 decimals), with EIP-2612 permit
  */
-contract MockERC20 is ERC20 {
+contract MockERC20 is ERC20, ERC20Permit {
     uint8 private _decimals;
     
     constructor(
         string memory name,
         string memory symbol,
         uint8 decimals_
-    ) ERC20(name, symbol) {
+    ) ERC20(name, symbol) ERC20Permit(name) {
         _decimals = decimals_;
     }
     
@@ -29,4 +30,36 @@ contract MockERC20 is ERC20 {
     function burn(address from, uint256 amount) external {
         _burn(from, amount);
     }
+}
+
+/**
+ * @title MockFeeERC20
+ * @dev MockERC20 that burns a fee on every transfer, so recipients get less than the amount sent
+ */
+contract MockFeeERC20 is MockERC20 {
+    uint256 public feeBps;
+    
+    constructor(
+        string memory name,
+        string memory symbol,
+        uint8 decimals_,
+        uint256 feeBps_
+    ) MockERC20(name, symbol, decimals_) {
+        feeBps = feeBps_;
+    }
+    
+    function setFee(uint256 feeBps_) external {
+        feeBps = feeBps_;
+    }
+    
+    function _update(address from, address to, uint256 value) internal override {
+        if (from == address(0) || to == address(0) || feeBps == 0) {
+            super._update(from, to, value);
+            return;
+        }
+        
+        uint256 fee = (value * feeBps) / 10000;
+        super._update(from, address(0), fee);
+        super._update(from, to, value - fee);
+    }
 }
\ No newline at end of file
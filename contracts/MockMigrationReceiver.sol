@@ -0,0 +1,24 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./IStakeMigrationReceiver.sol";
+
+/**
+ * @title MockMigrationReceiver
+ * @dev Mock successor pool for testing migrations; records what each user brought over and
+ * can be told to reject positions
+ */
+contract MockMigrationReceiver is IStakeMigrationReceiver {
+    mapping(address => uint256) public migrated;
+    bool public rejecting;
+    
+    function setRejecting(bool _rejecting) external {
+        rejecting = _rejecting;
+    }
+    
+    function onStakeMigrated(address _user, uint256, uint256 _amount) external returns (bytes4) {
+        if (rejecting) return bytes4(0);
+        migrated[_user] += _amount;
+        return IStakeMigrationReceiver.onStakeMigrated.selector;
+    }
+}
\ No newline at end of file
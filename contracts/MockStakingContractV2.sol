@@ -0,0 +1,44 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import "./StakingContractUpgradeable.sol";
+
+/**
+ * @title MockStakingContractV2
+ * @dev Next implementation of StakingContractUpgradeable, used to test upgrades of a live proxy
+ * @custom:oz-upgrades-from StakingContractUpgradeable
+ * @custom:oz-upgrades-unsafe-allow missing-initializer
+ */
+contract MockStakingContractV2 is StakingContractUpgradeable {
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(address _trustedForwarder) StakingContractUpgradeable(_trustedForwarder) {}
+
+    function version() external pure returns (string memory) {
+        return "2";
+    }
+}
+
+/**
+ * @title MockStakingContractBrokenV2
+ * @dev Reorders the staking namespace, so the upgrade script must refuse it
+ */
+contract MockStakingContractBrokenV2 is OwnableUpgradeable, UUPSUpgradeable {
+    /// @custom:storage-location erc7201:staking.storage.Staking
+    struct StakingStorage {
+        address treasury;
+        IERC20 stakingToken;
+    }
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(address) {
+        _disableInitializers();
+    }
+
+    function initialize(address _initialOwner) external initializer {
+        __Ownable_init(_initialOwner);
+        __UUPSUpgradeable_init();
+    }
+
+    function _authorizeUpgrade(address) internal override onlyOwner {}
+}
\ No newline at end of file
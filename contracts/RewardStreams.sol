@@ -0,0 +1,117 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./staking.sol";
+import "./StakingLogic.sol";
+
+struct RewardStream {
+    IERC20 token;
+    // tokens per second, shared by all stakes pro rata to their principal
+    uint256 rewardRate;
+    uint256 endTime;
+    uint256 lastUpdateTime;
+    // accumulated rewards per staked token, scaled by PRECISION
+    uint256 rewardPerTokenStored;
+}
+
+/**
+ * @title RewardStreams
+ * @dev Synthetix-style reward streams over totalStaked. Earnings are tracked per stake ID rather
+ * than per user, so they follow a position through transfers and splits. Internal only.
+ */
+library RewardStreams {
+    using SafeERC20 for IERC20;
+
+    uint256 internal constant PRECISION = 1e18;
+    // every stake update loops over all streams, so their number is bounded
+    uint256 internal constant MAX_STREAMS = 10;
+
+    // brings every stream up to date; must run before totalStaked changes
+    function update(StakingCore.StakingStorage storage $) internal {
+        for (uint256 i = 0; i < $.rewardStreams.length; i++) {
+            RewardStream storage stream = $.rewardStreams[i];
+            uint256 last = lastTimeApplicable(stream);
+            if (last <= stream.lastUpdateTime) continue;
+
+            if ($.totalStaked == 0) {
+                // nothing staked: the emission is not owed to anyone and becomes withdrawable
+                $.streamReserve[address(stream.token)] -= (last - stream.lastUpdateTime) * stream.rewardRate;
+            } else {
+                stream.rewardPerTokenStored = rewardPerToken($, stream);
+            }
+            stream.lastUpdateTime = last;
+        }
+    }
+
+    // records what the stake earned at its current principal; call after update and before
+    // the principal changes, including on a not yet created stake
+    function checkpoint(StakingCore.StakingStorage storage $, Stake storage _userStake, uint256 _stakeId) internal {
+        for (uint256 i = 0; i < $.rewardStreams.length; i++) {
+            $.streamRewards[i][_stakeId] = earned($, i, _userStake, _stakeId);
+            $.streamRewardPerTokenPaid[i][_stakeId] = $.rewardStreams[i].rewardPerTokenStored;
+        }
+    }
+
+    function settle(StakingCore.StakingStorage storage $, Stake storage _userStake, uint256 _stakeId) internal {
+        update($);
+        checkpoint($, _userStake, _stakeId);
+    }
+
+    // pays out everything checkpointed for the stake; returns whether anything was paid
+    function pay(StakingCore.StakingStorage storage $, address _user, uint256 _stakeId) internal returns (bool paid) {
+        for (uint256 i = 0; i < $.rewardStreams.length; i++) {
+            uint256 amount = $.streamRewards[i][_stakeId];
+            if (amount == 0) continue;
+
+            IERC20 token = $.rewardStreams[i].token;
+            delete $.streamRewards[i][_stakeId];
+            $.streamReserve[address(token)] -= amount;
+            token.safeTransfer(_user, amount);
+            paid = true;
+
+            emit IStakingEvents.StreamRewardPaid(_user, _stakeId, i, amount);
+        }
+    }
+
+    // drops everything checkpointed for the stake, releasing it from the reserve
+    function forfeit(StakingCore.StakingStorage storage $, uint256 _stakeId) internal {
+        for (uint256 i = 0; i < $.rewardStreams.length; i++) {
+            uint256 amount = $.streamRewards[i][_stakeId];
+            if (amount == 0) continue;
+
+            delete $.streamRewards[i][_stakeId];
+            $.streamReserve[address($.rewardStreams[i].token)] -= amount;
+        }
+    }
+
+    function hasEarned(StakingCore.StakingStorage storage $, Stake storage _userStake, uint256 _stakeId) internal view returns (bool) {
+        for (uint256 i = 0; i < $.rewardStreams.length; i++) {
+            if (earned($, i, _userStake, _stakeId) > 0) return true;
+        }
+        return false;
+    }
+
+    function earned(
+        StakingCore.StakingStorage storage $,
+        uint256 _streamId,
+        Stake storage _userStake,
+        uint256 _stakeId
+    ) internal view returns (uint256) {
+        uint256 principal = _userStake.active ? _userStake.amount : 0;
+        uint256 accrued = rewardPerToken($, $.rewardStreams[_streamId]) - $.streamRewardPerTokenPaid[_streamId][_stakeId];
+        return $.streamRewards[_streamId][_stakeId] + (principal * accrued) / PRECISION;
+    }
+
+    function rewardPerToken(StakingCore.StakingStorage storage $, RewardStream storage _stream) internal view returns (uint256) {
+        uint256 last = lastTimeApplicable(_stream);
+        if ($.totalStaked == 0 || last <= _stream.lastUpdateTime) return _stream.rewardPerTokenStored;
+
+        return _stream.rewardPerTokenStored + ((last - _stream.lastUpdateTime) * _stream.rewardRate * PRECISION) / $.totalStaked;
+    }
+
+    function lastTimeApplicable(RewardStream storage _stream) internal view returns (uint256) {
+        return block.timestamp < _stream.endTime ? block.timestamp : _stream.endTime;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,93 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+import "@openzeppelin/contracts/governance/utils/Votes.sol";
+import "@openzeppelin/contracts/utils/Base64.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
+
+interface IStakingPositions {
+    function getStakeDetails(address _user, uint256 _stakeId) external view returns (
+        uint256 amount,
+        uint256 startTime,
+        uint256 endTime,
+        uint256 pendingRewards,
+        bool active,
+        uint256 tierId,
+        uint256 lockPeriod,
+        uint256 apyBps,
+        uint256 stakeTaxRate
+    );
+
+    function userTotalStaked(address _user) external view returns (uint256);
+
+    function onPositionTransfer(address _from, address _to, uint256 _stakeId) external;
+}
+
+/**
+ * @title StakePosition
+ * @dev ERC-721 token representing a StakingContract position; the token ID is the stakeId.
+ * Only the staking contract mints and burns, and every transfer is reported back to it
+ * so the position's stake moves to the new holder.
+ *
+ * Also the staking contract's IERC5805 votes source: voting units are a holder's staked
+ * principal (userTotalStaked), not a token count, and the total supply is totalStaked. The
+ * staking contract reports every principal change through moveVotingPower.
+ */
+contract StakePosition is ERC721, Votes {
+    using Strings for uint256;
+
+    IStakingPositions public immutable staking;
+
+    modifier onlyStaking() {
+        require(msg.sender == address(staking), "Only staking contract");
+        _;
+    }
+
+    constructor(address _staking) ERC721("Staking Position", "STAKE-POS") EIP712("Staking Position", "1") {
+        require(_staking != address(0), "Invalid staking address");
+        staking = IStakingPositions(_staking);
+    }
+
+    function mint(address to, uint256 stakeId) external onlyStaking {
+        _mint(to, stakeId);
+    }
+
+    function burn(uint256 stakeId) external onlyStaking {
+        _burn(stakeId);
+    }
+
+    // _from is address(0) when principal is added and _to when it is withdrawn
+    function moveVotingPower(address _from, address _to, uint256 _amount) external onlyStaking {
+        _transferVotingUnits(_from, _to, _amount);
+    }
+
+    function tokenURI(uint256 stakeId) public view override returns (string memory) {
+        address holder = _requireOwned(stakeId);
+        (uint256 amount, , uint256 endTime, uint256 pendingRewards, , uint256 tierId, , , ) =
+            staking.getStakeDetails(holder, stakeId);
+
+        string memory json = string.concat(
+            '{"name":"Staking Position #', stakeId.toString(),
+            '","description":"Staked principal and accrued rewards in StakingContract.","attributes":[',
+            '{"trait_type":"Amount","value":', amount.toString(),
+            '},{"trait_type":"End Time","display_type":"date","value":', endTime.toString(),
+            '},{"trait_type":"Pending Rewards","value":', pendingRewards.toString(),
+            '},{"trait_type":"Tier","value":', tierId.toString(),
+            "}]}"
+        );
+
+        return string.concat("data:application/json;base64,", Base64.encode(bytes(json)));
+    }
+
+    function _getVotingUnits(address _account) internal view override returns (uint256) {
+        return staking.userTotalStaked(_account);
+    }
+
+    function _update(address to, uint256 stakeId, address auth) internal override returns (address from) {
+        from = super._update(to, stakeId, auth);
+        if (from != address(0) && to != address(0)) {
+            staking.onPositionTransfer(from, to, stakeId);
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,335 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./StakePosition.sol";
+import "./staking.sol";
+import "./StakingLogic.sol";
+import "./RewardStreams.sol";
+import "./Fees.sol";
+
+/**
+ * @title StakingAdmin
+ * @dev Externally linked library holding StakingCore's initialization, parameter updates, reward
+ * funding and reserve accounting, split from StakingLogic so neither library nor the core
+ * outgrows the contract size limit. Access control and timelocks stay in the core.
+ */
+library StakingAdmin {
+    using SafeERC20 for IERC20;
+
+    uint256 private constant BASIS_POINTS = 10000;
+    uint256 private constant SECONDS_PER_YEAR = 365 days;
+    uint256 internal constant DEFAULT_LOCK_PERIOD = 30 days;
+    uint256 internal constant DEFAULT_APY_BPS = 1000;
+    uint256 internal constant MAX_APY_BPS = 10000;
+    uint256 internal constant PARAMETER_TIMELOCK = 2 days;
+    uint256 internal constant MAX_EARLY_UNSTAKE_PENALTY = 5000;
+    uint256 internal constant MAX_KEEPER_BOUNTY = 100;
+
+    // the position token must already point at the core
+    function initialize(
+        StakingCore.StakingStorage storage $,
+        address _stakingToken,
+        address _treasury,
+        address _positionToken
+    ) external {
+        require(_stakingToken != address(0), "Invalid token address");
+        require(_treasury != address(0), "Invalid treasury address");
+        require(StakePosition(_positionToken).staking() == IStakingPositions(address(this)), "Position token not bound");
+
+        $.stakingToken = IERC20(_stakingToken);
+        $.treasury = _treasury;
+        $.positionToken = StakePosition(_positionToken);
+        $.taxRate = 50;
+        $.minStake = 100 * 10 ** tokenDecimals(_stakingToken);
+        $.earlyUnstakePenaltyBps = 1000;
+        $.penaltyLinearDecay = true;
+        $.penaltyToReserve = true;
+        $.keeperBountyBps = 10;
+
+        addTier($, DEFAULT_LOCK_PERIOD, DEFAULT_APY_BPS);
+    }
+
+    function setTreasury(StakingCore.StakingStorage storage $, address _newTreasury) external {
+        require(_newTreasury != address(0), "Invalid treasury address");
+        address oldTreasury = $.treasury;
+        $.treasury = _newTreasury;
+        emit IStakingEvents.TreasuryUpdated(oldTreasury, _newTreasury);
+    }
+
+    function setTaxRate(StakingCore.StakingStorage storage $, uint256 _taxRate) external {
+        require(_taxRate <= Fees.MAX_RATE, "Tax rate too high");
+        uint256 oldTaxRate = $.taxRate;
+        $.taxRate = _taxRate;
+        emit IStakingEvents.TaxRateUpdated(oldTaxRate, _taxRate);
+    }
+
+    function setMinStake(StakingCore.StakingStorage storage $, uint256 _minStake) external {
+        uint256 oldMinStake = $.minStake;
+        $.minStake = _minStake;
+        emit IStakingEvents.MinStakeUpdated(oldMinStake, _minStake);
+    }
+
+    function setEarlyUnstakePenalty(
+        StakingCore.StakingStorage storage $,
+        uint256 _penaltyBps,
+        bool _linearDecay,
+        bool _toReserve
+    ) external {
+        require(_penaltyBps <= MAX_EARLY_UNSTAKE_PENALTY, "Penalty too high");
+        $.earlyUnstakePenaltyBps = _penaltyBps;
+        $.penaltyLinearDecay = _linearDecay;
+        $.penaltyToReserve = _toReserve;
+        emit IStakingEvents.EarlyUnstakePenaltyUpdated(_penaltyBps, _linearDecay, _toReserve);
+    }
+
+    function setKeeperBounty(StakingCore.StakingStorage storage $, uint256 _bountyBps) external {
+        require(_bountyBps <= MAX_KEEPER_BOUNTY, "Bounty too high");
+        uint256 oldBountyBps = $.keeperBountyBps;
+        $.keeperBountyBps = _bountyBps;
+        emit IStakingEvents.KeeperBountyUpdated(oldBountyBps, _bountyBps);
+    }
+
+    function queueChange(StakingCore.StakingStorage storage $, bytes calldata _data) external returns (bytes32 changeId) {
+        require(_data.length >= 4, "Invalid change");
+        changeId = keccak256(_data);
+        require($.queuedChanges[changeId] == 0, "Change already queued");
+
+        uint256 executableAt = block.timestamp + PARAMETER_TIMELOCK;
+        $.queuedChanges[changeId] = executableAt;
+        emit IStakingEvents.ChangeQueued(changeId, _data, executableAt);
+    }
+
+    function cancelChange(StakingCore.StakingStorage storage $, bytes32 _changeId) external {
+        require($.queuedChanges[_changeId] != 0, "Change not queued");
+        delete $.queuedChanges[_changeId];
+        emit IStakingEvents.ChangeCancelled(_changeId);
+    }
+
+    function consumeQueuedChange(StakingCore.StakingStorage storage $, bytes32 _changeId) external {
+        uint256 executableAt = $.queuedChanges[_changeId];
+        require(executableAt != 0, "Change not queued");
+        require(block.timestamp >= executableAt, "Timelock not expired");
+
+        delete $.queuedChanges[_changeId];
+        emit IStakingEvents.ChangeExecuted(_changeId);
+    }
+
+    function addTier(StakingCore.StakingStorage storage $, uint256 _lockPeriod, uint256 _apyBps) public returns (uint256 tierId) {
+        validateTierTerms(_lockPeriod, _apyBps);
+
+        tierId = $.tiers.length;
+        $.tiers.push(Tier({lockPeriod: _lockPeriod, apyBps: _apyBps, active: true}));
+        emit IStakingEvents.TierAdded(tierId, _lockPeriod, _apyBps);
+    }
+
+    function updateTier(
+        StakingCore.StakingStorage storage $,
+        uint256 _tierId,
+        uint256 _lockPeriod,
+        uint256 _apyBps,
+        bool _active
+    ) public {
+        require(_tierId < $.tiers.length, "Invalid tier");
+        validateTierTerms(_lockPeriod, _apyBps);
+
+        $.tiers[_tierId] = Tier({lockPeriod: _lockPeriod, apyBps: _apyBps, active: _active});
+        emit IStakingEvents.TierUpdated(_tierId, _lockPeriod, _apyBps, _active);
+    }
+
+    // only unallocated staking tokens, and stream tokens beyond what the streams still owe
+    function emergencyWithdraw(StakingCore.StakingStorage storage $, address _token, uint256 _amount, address _to) external {
+        require(_token != address($.stakingToken) || _amount <= unallocatedBalance($), "Cannot withdraw staked tokens");
+        require(_amount + $.streamReserve[_token] <= IERC20(_token).balanceOf(address(this)), "Cannot withdraw stream rewards");
+
+        IERC20(_token).safeTransfer(_to, _amount);
+        emit IStakingEvents.EmergencyWithdraw(_token, _amount);
+    }
+
+    // credits what actually arrived, which is less than _amount for fee-on-transfer tokens
+    function depositRewards(StakingCore.StakingStorage storage $, address _funder, uint256 _amount) external {
+        uint256 received = StakingLogic.pullTokens($.stakingToken, _funder, _amount);
+        $.rewardReserve += received;
+        emit IStakingEvents.RewardsDeposited(received);
+    }
+
+    function addRewardStream(
+        StakingCore.StakingStorage storage $,
+        address _funder,
+        IERC20 _token,
+        uint256 _rewardRate,
+        uint256 _endTime
+    ) external returns (uint256 streamId) {
+        require($.sunsetTime == 0, "Staking sunset");
+        require(address(_token) != address(0) && _token != $.stakingToken, "Invalid reward token");
+        require($.rewardStreams.length < RewardStreams.MAX_STREAMS, "Too many reward streams");
+        require(_rewardRate > 0 && _endTime > block.timestamp, "Invalid stream terms");
+
+        RewardStreams.update($);
+        streamId = $.rewardStreams.length;
+        $.rewardStreams.push(RewardStream({
+            token: _token,
+            rewardRate: _rewardRate,
+            endTime: _endTime,
+            lastUpdateTime: block.timestamp,
+            rewardPerTokenStored: 0
+        }));
+
+        fundStream($, _funder, _token, _rewardRate * (_endTime - block.timestamp));
+        emit IStakingEvents.RewardStreamAdded(streamId, address(_token), _rewardRate, _endTime);
+    }
+
+    // restarts the stream from now at the new rate; whatever was still to be emitted counts
+    // towards the new schedule, which may not be smaller
+    function updateRewardStream(
+        StakingCore.StakingStorage storage $,
+        address _funder,
+        uint256 _streamId,
+        uint256 _rewardRate,
+        uint256 _endTime
+    ) external {
+        require($.sunsetTime == 0, "Staking sunset");
+        require(_streamId < $.rewardStreams.length, "Invalid stream");
+        require(_endTime > block.timestamp, "Invalid stream terms");
+
+        RewardStreams.update($);
+        RewardStream storage stream = $.rewardStreams[_streamId];
+        uint256 leftover = stream.endTime > block.timestamp ? (stream.endTime - block.timestamp) * stream.rewardRate : 0;
+        uint256 required = _rewardRate * (_endTime - block.timestamp);
+        require(required >= leftover, "Cannot reduce stream funding");
+
+        stream.rewardRate = _rewardRate;
+        stream.endTime = _endTime;
+        stream.lastUpdateTime = block.timestamp;
+
+        fundStream($, _funder, stream.token, required - leftover);
+        emit IStakingEvents.RewardStreamUpdated(_streamId, _rewardRate, _endTime);
+    }
+
+    // replaces the action's schedule; brackets only apply while it is enabled
+    function setFeeSchedule(
+        StakingCore.StakingStorage storage $,
+        FeeAction _action,
+        bool _enabled,
+        uint256 _rateBps,
+        FeeBracket[] calldata _brackets
+    ) external {
+        require(_rateBps <= Fees.MAX_RATE, "Fee rate too high");
+        require(_brackets.length <= Fees.MAX_BRACKETS, "Too many fee brackets");
+
+        FeeSchedule storage schedule = $.feeSchedules[uint256(_action)];
+        schedule.enabled = _enabled;
+        schedule.rateBps = _rateBps;
+        delete schedule.brackets;
+        for (uint256 i = 0; i < _brackets.length; i++) {
+            require(_brackets[i].rateBps <= Fees.MAX_RATE, "Fee rate too high");
+            schedule.brackets.push(_brackets[i]);
+        }
+
+        emit IStakingEvents.FeeScheduleUpdated(_action, _enabled, _rateBps, _brackets);
+    }
+
+    // an empty list sends every fee to the treasury
+    function setFeeRecipients(StakingCore.StakingStorage storage $, FeeRecipient[] calldata _recipients) external {
+        require(_recipients.length <= Fees.MAX_RECIPIENTS, "Too many fee recipients");
+
+        delete $.feeRecipients;
+        for (uint256 i = 0; i < _recipients.length; i++) {
+            // shares are plain transfers, which most tokens refuse to address(0); a burn share goes to a dead address
+            require(_recipients[i].account != address(0) && _recipients[i].weight > 0, "Invalid fee recipient");
+            $.feeRecipients.push(_recipients[i]);
+        }
+
+        emit IStakingEvents.FeeRecipientsUpdated(_recipients);
+    }
+
+    function setStakeCaps(StakingCore.StakingStorage storage $, uint256 _maxTotalStaked, uint256 _maxUserStaked) external {
+        $.maxTotalStaked = _maxTotalStaked;
+        $.maxUserStaked = _maxUserStaked;
+        emit IStakingEvents.StakeCapsUpdated(_maxTotalStaked, _maxUserStaked);
+    }
+
+    // bytes32(0) ends the allowlist phase; limits proved against an earlier root don't carry over
+    function setAllowlistRoot(StakingCore.StakingStorage storage $, bytes32 _root) external {
+        $.allowlistRoot = _root;
+        emit IStakingEvents.AllowlistRootUpdated(_root);
+    }
+
+    // one way: stops accrual and new deposits, unlocks every stake and ends the reward streams,
+    // releasing what they had yet to emit from the stream reserve
+    function sunset(StakingCore.StakingStorage storage $, address _successorPool) external {
+        require($.sunsetTime == 0, "Staking sunset");
+
+        RewardStreams.update($);
+        for (uint256 i = 0; i < $.rewardStreams.length; i++) {
+            RewardStream storage stream = $.rewardStreams[i];
+            if (stream.endTime <= block.timestamp) continue;
+
+            $.streamReserve[address(stream.token)] -= (stream.endTime - block.timestamp) * stream.rewardRate;
+            stream.endTime = block.timestamp;
+        }
+
+        $.sunsetTime = block.timestamp;
+        $.successorPool = _successorPool;
+        emit IStakingEvents.Sunset(block.timestamp, _successorPool);
+    }
+
+    // whether the reserve covers every active stake's accrued rewards and the balance covers
+    // principal on top; after a sunset these are the final payouts, before it what a sunset now
+    // would leave owed. shortfall is what depositRewards would have to add
+    function solvency(StakingCore.StakingStorage storage $) external view returns (
+        bool solvent,
+        uint256 liability,
+        uint256 shortfall
+    ) {
+        liability = accruedRewardLiability($);
+        uint256 owed = $.totalStaked + liability;
+        uint256 balance = $.stakingToken.balanceOf(address(this));
+
+        shortfall = liability > $.rewardReserve ? liability - $.rewardReserve : 0;
+        if (owed > balance && owed - balance > shortfall) {
+            shortfall = owed - balance;
+        }
+        solvent = shortfall == 0;
+    }
+
+    function accruedRewardLiability(StakingCore.StakingStorage storage $) public view returns (uint256) {
+        return (StakingLogic.accrualTime($) * $.totalRewardWeight - $.totalRewardWeightTime) / (BASIS_POINTS * SECONDS_PER_YEAR);
+    }
+
+    function rewardRunway(StakingCore.StakingStorage storage $) external view returns (uint256) {
+        uint256 liability = accruedRewardLiability($);
+        if (liability >= $.rewardReserve) return 0;
+        if ($.totalRewardWeight == 0 || $.sunsetTime != 0) return type(uint256).max;
+
+        return (($.rewardReserve - liability) * BASIS_POINTS * SECONDS_PER_YEAR) / $.totalRewardWeight;
+    }
+
+    function unallocatedBalance(StakingCore.StakingStorage storage $) public view returns (uint256) {
+        uint256 balance = $.stakingToken.balanceOf(address(this));
+        uint256 allocated = $.totalStaked + $.rewardReserve;
+        return balance > allocated ? balance - allocated : 0;
+    }
+
+    // a stream pays out exactly what it emits, so a token that takes a transfer fee can't fund one
+    function fundStream(StakingCore.StakingStorage storage $, address _funder, IERC20 _token, uint256 _amount) internal {
+        require(StakingLogic.pullTokens(_token, _funder, _amount) == _amount, "Stream underfunded");
+        $.streamReserve[address(_token)] += _amount;
+    }
+
+    // tokens without decimals() are taken to have 18
+    function tokenDecimals(address _token) internal view returns (uint8) {
+        try IERC20Metadata(_token).decimals() returns (uint8 decimals) {
+            return decimals;
+        } catch {
+            return 18;
+        }
+    }
+
+    function validateTierTerms(uint256 _lockPeriod, uint256 _apyBps) internal pure {
+        require(_lockPeriod > 0, "Invalid lock period");
+        require(_apyBps <= MAX_APY_BPS, "APY too high");
+    }
+}
\ No newline at end of file
@@ -0,0 +1,30 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "./staking.sol";
+
+/**
+ * @title StakingContractUpgradeable
+ * @dev UUPS-upgradeable deployment of StakingCore behind an ERC1967 proxy. The trusted
+ * forwarder is an implementation immutable, so changing it takes an upgrade. The position
+ * token is deployed separately, pointing at the proxy address, and passed to initialize.
+ */
+contract StakingContractUpgradeable is StakingCore, UUPSUpgradeable {
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(address _trustedForwarder) StakingCore(_trustedForwarder) {
+        _disableInitializers();
+    }
+
+    function initialize(
+        address _stakingToken,
+        address _treasury,
+        address _positionToken,
+        address _initialAdmin
+    ) external initializer {
+        __StakingCore_init(_stakingToken, _treasury, _positionToken, _initialAdmin);
+        __UUPSUpgradeable_init();
+    }
+
+    function _authorizeUpgrade(address) internal override onlyRole(DEFAULT_ADMIN_ROLE) {}
+}
\ No newline at end of file
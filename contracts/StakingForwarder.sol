@@ -0,0 +1,12 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/metatx/ERC2771Forwarder.sol";
+
+/**
+ * @title StakingForwarder
+ * @dev ERC-2771 trusted forwarder that relays signed requests to StakingContract
+ */
+contract StakingForwarder is ERC2771Forwarder {
+    constructor() ERC2771Forwarder("StakingForwarder") {}
+}
@@ -0,0 +1,798 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "./StakePosition.sol";
+import "./IStakeMigrationReceiver.sol";
+import "./staking.sol";
+import "./RewardStreams.sol";
+import "./Fees.sol";
+
+struct Tier {
+    uint256 lockPeriod;
+    uint256 apyBps;
+    bool active;
+}
+
+struct Stake {
+    uint256 amount;
+    uint256 startTime;
+    uint256 endTime;
+    uint256 lastRewardClaim;
+    bool active;
+    uint256 tierId;
+    uint256 lockPeriod;
+    uint256 apyBps;
+    uint256 taxRate;
+}
+
+struct StakeView {
+    uint256 stakeId;
+    Stake stake;
+    uint256 pendingRewards;
+}
+
+interface IStakingEvents {
+    event Staked(address indexed user, uint256 indexed stakeId, uint256 amount, uint256 tierId, uint256 timestamp);
+    event Unstaked(address indexed user, uint256 indexed stakeId, uint256 principal, uint256 rewards, uint256 tax, FeeShare[] fees);
+    event Rollover(address indexed user, uint256 indexed stakeId, uint256 newPrincipal, uint256 newEndTime);
+    event RewardsClaimed(address indexed user, uint256 indexed stakeId, uint256 rewards, uint256 tax, FeeShare[] fees);
+    event TreasuryUpdated(address indexed oldTreasury, address indexed newTreasury);
+    event RewardsDeposited(uint256 amount);
+    event EmergencyWithdraw(address indexed token, uint256 amount);
+    event EarlyUnstaked(address indexed user, uint256 indexed stakeId, uint256 principal, uint256 penalty, uint256 tax, uint256 forfeitedRewards, FeeShare[] fees);
+    event EarlyUnstakePenaltyUpdated(uint256 penaltyBps, bool linearDecay, bool toReserve);
+    event TaxRateUpdated(uint256 oldTaxRate, uint256 newTaxRate);
+    event MinStakeUpdated(uint256 oldMinStake, uint256 newMinStake);
+    event ChangeQueued(bytes32 indexed changeId, bytes data, uint256 executableAt);
+    event ChangeCancelled(bytes32 indexed changeId);
+    event ChangeExecuted(bytes32 indexed changeId);
+    event AutoRolloverUpdated(address indexed user, uint256 indexed stakeId, bool enabled);
+    event AutoRollover(address indexed keeper, address indexed user, uint256 indexed stakeId, uint256 bounty);
+    event KeeperBountyUpdated(uint256 oldBountyBps, uint256 newBountyBps);
+    event PositionTransferred(address indexed from, address indexed to, uint256 indexed stakeId, uint256 amount);
+    event RewardShortfall(address indexed user, uint256 indexed stakeId, uint256 forfeitedRewards);
+    event PartialUnstaked(address indexed user, uint256 indexed stakeId, uint256 principal, uint256 rewards, uint256 tax, uint256 remaining, FeeShare[] fees);
+    event StakeSplit(address indexed user, uint256 indexed stakeId, uint256 indexed newStakeId, uint256 amount);
+    event StakesMerged(address indexed user, uint256 indexed stakeId, uint256 indexed mergedStakeId, uint256 newAmount, uint256 newEndTime, uint256 rewards, uint256 tax, FeeShare[] fees);
+    event TierAdded(uint256 indexed tierId, uint256 lockPeriod, uint256 apyBps);
+    event TierUpdated(uint256 indexed tierId, uint256 lockPeriod, uint256 apyBps, bool active);
+    event RewardStreamAdded(uint256 indexed streamId, address indexed token, uint256 rewardRate, uint256 endTime);
+    event RewardStreamUpdated(uint256 indexed streamId, uint256 rewardRate, uint256 endTime);
+    event StreamRewardPaid(address indexed user, uint256 indexed stakeId, uint256 indexed streamId, uint256 amount);
+    event FeeScheduleUpdated(FeeAction indexed action, bool enabled, uint256 rateBps, FeeBracket[] brackets);
+    event FeeRecipientsUpdated(FeeRecipient[] recipients);
+    event FeeExemptionUpdated(address indexed account, bool exempt);
+    event StakeCapsUpdated(uint256 maxTotalStaked, uint256 maxUserStaked);
+    event AllowlistRootUpdated(bytes32 root);
+    event AllowlistProved(address indexed user, bytes32 indexed root, uint256 limit);
+    event Sunset(uint256 timestamp, address successorPool);
+    event StakeMigrated(address indexed user, uint256 indexed stakeId, address indexed newPool, uint256 principal, uint256 rewards, uint256 tax, FeeShare[] fees);
+}
+
+/**
+ * @title StakingLogic
+ * @dev Externally linked library holding StakingCore's per-stake logic, which keeps the core
+ * (and its upgradeable variant) under the contract size limit. Functions run via DELEGATECALL
+ * on the core's namespaced storage; access control and reentrancy guards stay in the core.
+ */
+library StakingLogic {
+    using SafeERC20 for IERC20;
+    using EnumerableSet for EnumerableSet.UintSet;
+
+    uint256 private constant BASIS_POINTS = 10000;
+    uint256 private constant SECONDS_PER_YEAR = 365 days;
+
+    // principal is what actually arrived, so a fee-on-transfer token can't inflate totalStaked
+    function stake(StakingCore.StakingStorage storage $, address _user, uint256 _amount, uint256 _tierId) external {
+        require($.sunsetTime == 0, "Staking sunset");
+        require(_tierId < $.tiers.length && $.tiers[_tierId].active, "Invalid tier");
+        require($.stakingToken.balanceOf(_user) >= _amount, "Insufficient balance");
+
+        _amount = pullTokens($.stakingToken, _user, _amount);
+        require(_amount >= $.minStake, "Amount below minimum stake");
+        checkCapacity($, _user, _amount);
+        Tier memory tier = $.tiers[_tierId];
+
+        $.stakeCounter++;
+        uint256 stakeId = $.stakeCounter;
+        RewardStreams.settle($, $.stakes[_user][stakeId], stakeId);
+
+        $.stakes[_user][stakeId] = Stake({
+            amount: _amount,
+            startTime: block.timestamp,
+            endTime: block.timestamp + tier.lockPeriod,
+            lastRewardClaim: block.timestamp,
+            active: true,
+            tierId: _tierId,
+            lockPeriod: tier.lockPeriod,
+            apyBps: tier.apyBps,
+            taxRate: $.taxRate
+        });
+        trackAccrual($, $.stakes[_user][stakeId]);
+
+        addStakeId($, _user, stakeId);
+        $.userTotalStaked[_user] += _amount;
+        $.totalStaked += _amount;
+        moveVotes($, address(0), _user, _amount);
+
+        $.positionToken.mint(_user, stakeId);
+
+        emit IStakingEvents.Staked(_user, stakeId, _amount, _tierId, block.timestamp);
+    }
+
+    // withdrawing the whole principal closes the stake and burns its position token
+    function unstake(StakingCore.StakingStorage storage $, address _user, uint256 _stakeId, uint256 _principal) public {
+        Stake storage userStake = $.stakes[_user][_stakeId];
+        require(userStake.active, "Stake not active");
+        require(isUnlocked($, userStake), "Lock period not ended");
+        require(_principal > 0 && _principal <= userStake.amount, "Invalid amount");
+
+        uint256 remaining = userStake.amount - _principal;
+        require(remaining == 0 || remaining >= $.minStake, "Remaining below minimum stake");
+        RewardStreams.settle($, userStake, _stakeId);
+
+        uint256 accrued = pendingRewards($, userStake);
+        uint256 rewards = accrued > $.rewardReserve ? $.rewardReserve : accrued;
+        uint256 totalAmount = _principal + rewards;
+
+        uint256 tax = Fees.charge($, FeeAction.Unstake, _user, userStake, totalAmount);
+
+        untrackAccrual($, userStake);
+        if (remaining == 0) {
+            userStake.active = false;
+            clearAutoRollover($, _user, _stakeId);
+        } else {
+            userStake.amount = remaining;
+            userStake.lastRewardClaim = accrualTime($);
+            trackAccrual($, userStake);
+        }
+        $.userTotalStaked[_user] -= _principal;
+        $.totalStaked -= _principal;
+        moveVotes($, _user, address(0), _principal);
+        $.rewardReserve -= rewards;
+        $.totalRewardsPaid += rewards;
+
+        if (accrued > rewards) {
+            emit IStakingEvents.RewardShortfall(_user, _stakeId, accrued - rewards);
+        }
+
+        if (remaining == 0) {
+            $.positionToken.burn(_stakeId);
+        }
+        RewardStreams.pay($, _user, _stakeId);
+
+        FeeShare[] memory fees = Fees.pay($, tax);
+        $.stakingToken.safeTransfer(_user, totalAmount - tax);
+
+        if (remaining == 0) {
+            emit IStakingEvents.Unstaked(_user, _stakeId, _principal, rewards, tax, fees);
+        } else {
+            emit IStakingEvents.PartialUnstaked(_user, _stakeId, _principal, rewards, tax, remaining, fees);
+        }
+    }
+
+    function earlyUnstake(StakingCore.StakingStorage storage $, address _user, uint256 _stakeId) external {
+        Stake storage userStake = $.stakes[_user][_stakeId];
+        require(userStake.active, "Stake not active");
+        require(!isUnlocked($, userStake), "Lock period ended");
+
+        uint256 principal = userStake.amount;
+        uint256 forfeitedRewards = pendingRewards($, userStake);
+        (uint256 payout, uint256 penalty, uint256 tax) = earlyUnstakeAmounts($, _user, userStake);
+        RewardStreams.settle($, userStake, _stakeId);
+        RewardStreams.forfeit($, _stakeId);
+
+        untrackAccrual($, userStake);
+        userStake.active = false;
+        clearAutoRollover($, _user, _stakeId);
+        $.userTotalStaked[_user] -= principal;
+        $.totalStaked -= principal;
+        moveVotes($, _user, address(0), principal);
+
+        if ($.penaltyToReserve) {
+            $.rewardReserve += penalty;
+        }
+
+        $.positionToken.burn(_stakeId);
+
+        // the penalty is not a fee: it goes to the treasury, not the fee recipients
+        if (!$.penaltyToReserve && penalty > 0) {
+            $.stakingToken.safeTransfer($.treasury, penalty);
+        }
+        FeeShare[] memory fees = Fees.pay($, tax);
+        $.stakingToken.safeTransfer(_user, payout);
+
+        emit IStakingEvents.EarlyUnstaked(_user, _stakeId, principal, penalty, tax, forfeitedRewards, fees);
+    }
+
+    // _bountyBps of the rewards is held back for the keeper; the caller pays it out
+    function rollover(StakingCore.StakingStorage storage $, address _user, uint256 _stakeId, uint256 _bountyBps) public returns (uint256 bounty) {
+        require($.sunsetTime == 0, "Staking sunset");
+        Stake storage userStake = $.stakes[_user][_stakeId];
+        require(userStake.active, "Stake not active");
+        require(block.timestamp >= userStake.endTime, "Lock period not ended");
+        // a retired tier takes no new locks, so the stake has to be unstaked instead
+        Tier memory tier = $.tiers[userStake.tierId];
+        require(tier.active, "Invalid tier");
+
+        uint256 rewards = pendingRewards($, userStake);
+        require(rewards <= $.rewardReserve, "Insufficient reward reserve");
+        RewardStreams.settle($, userStake, _stakeId);
+
+        bounty = (rewards * _bountyBps) / BASIS_POINTS;
+        uint256 compounded = rewards - bounty;
+        uint256 newPrincipal = userStake.amount + compounded;
+
+        untrackAccrual($, userStake);
+        userStake.amount = newPrincipal;
+        userStake.startTime = block.timestamp;
+        userStake.endTime = block.timestamp + tier.lockPeriod;
+        userStake.lastRewardClaim = block.timestamp;
+        userStake.lockPeriod = tier.lockPeriod;
+        userStake.apyBps = tier.apyBps;
+        userStake.taxRate = $.taxRate;
+        trackAccrual($, userStake);
+
+        $.userTotalStaked[_user] += compounded;
+        $.totalStaked += compounded;
+        moveVotes($, address(0), _user, compounded);
+        $.rewardReserve -= rewards;
+        $.totalRewardsPaid += bounty;
+
+        emit IStakingEvents.Rollover(_user, _stakeId, newPrincipal, userStake.endTime);
+    }
+
+    function claimRewards(StakingCore.StakingStorage storage $, address _user, uint256 _stakeId) public {
+        Stake storage userStake = $.stakes[_user][_stakeId];
+        require(userStake.active, "Stake not active");
+
+        RewardStreams.settle($, userStake, _stakeId);
+        bool streamed = RewardStreams.pay($, _user, _stakeId);
+
+        uint256 rewards = pendingRewards($, userStake);
+        // the fixed-APY part stays pending while the reserve can't cover it, so the streams still pay out
+        if (streamed && (rewards == 0 || rewards > $.rewardReserve)) return;
+        require(rewards > 0, "No rewards to claim");
+        require(rewards <= $.rewardReserve, "Insufficient reward reserve");
+
+        // Calculate tax
+        uint256 tax = Fees.charge($, FeeAction.Claim, _user, userStake, rewards);
+
+        // Update last claim time
+        untrackAccrual($, userStake);
+        userStake.lastRewardClaim = accrualTime($);
+        trackAccrual($, userStake);
+        $.rewardReserve -= rewards;
+        $.totalRewardsPaid += rewards;
+
+        // Transfer tokens
+        FeeShare[] memory fees = Fees.pay($, tax);
+        $.stakingToken.safeTransfer(_user, rewards - tax);
+
+        emit IStakingEvents.RewardsClaimed(_user, _stakeId, rewards, tax, fees);
+    }
+
+    function claimAll(StakingCore.StakingStorage storage $, address _user, uint256[] calldata _stakeIds) external returns (uint256 processed) {
+        for (uint256 i = 0; i < _stakeIds.length; i++) {
+            // skipped only when claimRewards would find neither fixed-APY nor stream rewards to pay
+            Stake storage userStake = $.stakes[_user][_stakeIds[i]];
+            if (!userStake.active) continue;
+            if (pendingRewards($, userStake) == 0 && !RewardStreams.hasEarned($, userStake, _stakeIds[i])) continue;
+            claimRewards($, _user, _stakeIds[i]);
+            processed++;
+        }
+        require(processed > 0, "No rewards to claim");
+    }
+
+    function rolloverMatured(StakingCore.StakingStorage storage $, address _user, uint256[] calldata _stakeIds) external returns (uint256 processed) {
+        for (uint256 i = 0; i < _stakeIds.length; i++) {
+            if (!canRollover($, $.stakes[_user][_stakeIds[i]])) continue;
+            rollover($, _user, _stakeIds[i], 0);
+            processed++;
+        }
+        require(processed > 0, "No matured stakes");
+    }
+
+    function unstakeMatured(StakingCore.StakingStorage storage $, address _user, uint256[] calldata _stakeIds) external returns (uint256 processed) {
+        for (uint256 i = 0; i < _stakeIds.length; i++) {
+            Stake storage userStake = $.stakes[_user][_stakeIds[i]];
+            if (!isMatured($, userStake)) continue;
+            unstake($, _user, _stakeIds[i], userStake.amount);
+            processed++;
+        }
+        require(processed > 0, "No matured stakes");
+    }
+
+    function splitStake(StakingCore.StakingStorage storage $, address _user, uint256 _stakeId, uint256 _amount) external returns (uint256 newStakeId) {
+        Stake storage userStake = $.stakes[_user][_stakeId];
+        require(userStake.active, "Stake not active");
+        require(_amount > 0 && _amount < userStake.amount, "Invalid amount");
+        require(_amount >= $.minStake && userStake.amount - _amount >= $.minStake, "Amount below minimum stake");
+
+        $.stakeCounter++;
+        newStakeId = $.stakeCounter;
+        Stake storage newStake = $.stakes[_user][newStakeId];
+        RewardStreams.update($);
+        RewardStreams.checkpoint($, userStake, _stakeId);
+        RewardStreams.checkpoint($, newStake, newStakeId);
+
+        untrackAccrual($, userStake);
+        userStake.amount -= _amount;
+        trackAccrual($, userStake);
+
+        newStake.amount = _amount;
+        newStake.startTime = userStake.startTime;
+        newStake.endTime = userStake.endTime;
+        newStake.lastRewardClaim = userStake.lastRewardClaim;
+        newStake.active = true;
+        newStake.tierId = userStake.tierId;
+        newStake.lockPeriod = userStake.lockPeriod;
+        newStake.apyBps = userStake.apyBps;
+        newStake.taxRate = userStake.taxRate;
+        trackAccrual($, newStake);
+        addStakeId($, _user, newStakeId);
+
+        $.positionToken.mint(_user, newStakeId);
+
+        emit IStakingEvents.StakeSplit(_user, _stakeId, newStakeId, _amount);
+    }
+
+    function mergeStakes(StakingCore.StakingStorage storage $, address _user, uint256 _stakeId, uint256 _mergedStakeId) external {
+        require(_stakeId != _mergedStakeId, "Cannot merge a stake into itself");
+        Stake storage userStake = $.stakes[_user][_stakeId];
+        Stake storage mergedStake = $.stakes[_user][_mergedStakeId];
+        require(userStake.active && mergedStake.active, "Stake not active");
+        require(
+            userStake.tierId == mergedStake.tierId &&
+            userStake.lockPeriod == mergedStake.lockPeriod &&
+            userStake.apyBps == mergedStake.apyBps &&
+            userStake.taxRate == mergedStake.taxRate,
+            "Incompatible stakes"
+        );
+
+        uint256 rewards = pendingRewards($, userStake) + pendingRewards($, mergedStake);
+        require(rewards <= $.rewardReserve, "Insufficient reward reserve");
+        uint256 tax = Fees.charge($, FeeAction.Claim, _user, userStake, rewards);
+        RewardStreams.update($);
+        RewardStreams.checkpoint($, userStake, _stakeId);
+        RewardStreams.checkpoint($, mergedStake, _mergedStakeId);
+
+        untrackAccrual($, userStake);
+        untrackAccrual($, mergedStake);
+        mergedStake.active = false;
+        clearAutoRollover($, _user, _mergedStakeId);
+
+        userStake.amount += mergedStake.amount;
+        userStake.lastRewardClaim = accrualTime($);
+        if (mergedStake.endTime > userStake.endTime) {
+            userStake.startTime = mergedStake.startTime;
+            userStake.endTime = mergedStake.endTime;
+        }
+        trackAccrual($, userStake);
+        $.rewardReserve -= rewards;
+        $.totalRewardsPaid += rewards;
+
+        $.positionToken.burn(_mergedStakeId);
+        RewardStreams.pay($, _user, _stakeId);
+        RewardStreams.pay($, _user, _mergedStakeId);
+
+        FeeShare[] memory fees = Fees.pay($, tax);
+        if (rewards > tax) {
+            $.stakingToken.safeTransfer(_user, rewards - tax);
+        }
+
+        emit IStakingEvents.StakesMerged(_user, _stakeId, _mergedStakeId, userStake.amount, userStake.endTime, rewards, tax, fees);
+    }
+
+    function transferPosition(StakingCore.StakingStorage storage $, address _from, address _to, uint256 _stakeId) external {
+        Stake memory position = $.stakes[_from][_stakeId];
+        delete $.stakes[_from][_stakeId];
+        $.stakes[_to][_stakeId] = position;
+
+        uint256[] storage fromIds = $.userStakeIds[_from];
+        uint256 index = $.stakeIdIndex[_stakeId];
+        uint256 lastId = fromIds[fromIds.length - 1];
+        fromIds[index] = lastId;
+        $.stakeIdIndex[lastId] = index;
+        fromIds.pop();
+
+        addStakeId($, _to, _stakeId);
+
+        $.userTotalStaked[_from] -= position.amount;
+        $.userTotalStaked[_to] += position.amount;
+        moveVotes($, _from, _to, position.amount);
+
+        // the bounty comes out of the holder's rewards, so the new holder has to opt in again
+        clearAutoRollover($, _from, _stakeId);
+
+        emit IStakingEvents.PositionTransferred(_from, _to, _stakeId, position.amount);
+    }
+
+    // only after a sunset, when locks no longer hold: accrued rewards are paid to the holder as a
+    // claim (what the reserve can't cover is forfeited, as on unstake) and the whole principal
+    // goes untaxed to the successor the admin named, which has to accept it. Any other receiver
+    // could hand the principal straight back and dodge the unstake fee
+    function migrate(StakingCore.StakingStorage storage $, address _user, uint256 _stakeId, address _newPool) external {
+        require($.sunsetTime != 0, "Staking not sunset");
+        require(_newPool != address(0) && _newPool == $.successorPool, "Invalid successor pool");
+        Stake storage userStake = $.stakes[_user][_stakeId];
+        require(userStake.active, "Stake not active");
+        RewardStreams.settle($, userStake, _stakeId);
+
+        uint256 principal = userStake.amount;
+        uint256 accrued = pendingRewards($, userStake);
+        uint256 rewards = accrued > $.rewardReserve ? $.rewardReserve : accrued;
+        uint256 tax = Fees.charge($, FeeAction.Claim, _user, userStake, rewards);
+
+        untrackAccrual($, userStake);
+        userStake.active = false;
+        clearAutoRollover($, _user, _stakeId);
+        $.userTotalStaked[_user] -= principal;
+        $.totalStaked -= principal;
+        moveVotes($, _user, address(0), principal);
+        $.rewardReserve -= rewards;
+        $.totalRewardsPaid += rewards;
+
+        if (accrued > rewards) {
+            emit IStakingEvents.RewardShortfall(_user, _stakeId, accrued - rewards);
+        }
+
+        $.positionToken.burn(_stakeId);
+        RewardStreams.pay($, _user, _stakeId);
+
+        FeeShare[] memory fees = Fees.pay($, tax);
+        if (rewards > tax) {
+            $.stakingToken.safeTransfer(_user, rewards - tax);
+        }
+
+        $.stakingToken.safeTransfer(_newPool, principal);
+        require(
+            IStakeMigrationReceiver(_newPool).onStakeMigrated(_user, _stakeId, principal) ==
+                IStakeMigrationReceiver.onStakeMigrated.selector,
+            "Migration rejected"
+        );
+
+        emit IStakingEvents.StakeMigrated(_user, _stakeId, _newPool, principal, rewards, tax, fees);
+    }
+
+    function setAutoRollover(StakingCore.StakingStorage storage $, address _user, uint256 _stakeId, bool _enabled) external {
+        require($.stakes[_user][_stakeId].active, "Stake not active");
+
+        if (_enabled) {
+            $.autoRolloverStakes.add(_stakeId);
+        } else {
+            $.autoRolloverStakes.remove(_stakeId);
+        }
+        emit IStakingEvents.AutoRolloverUpdated(_user, _stakeId, _enabled);
+    }
+
+    function upkeepReady(StakingCore.StakingStorage storage $, uint256 _offset, uint256 _maxCount) external view returns (uint256[] memory ready) {
+        if ($.sunsetTime != 0) return ready;
+
+        uint256 flagged = $.autoRolloverStakes.length();
+        ready = new uint256[](_maxCount);
+        uint256 count;
+        uint256 reserve = $.rewardReserve;
+
+        for (uint256 i = _offset; i < flagged && count < _maxCount; i++) {
+            uint256 stakeId = $.autoRolloverStakes.at(i);
+            Stake storage userStake = $.stakes[$.stakeOwner[stakeId]][stakeId];
+            if (!canRollover($, userStake)) continue;
+
+            uint256 rewards = pendingRewards($, userStake);
+            if (rewards > reserve) continue;
+            reserve -= rewards;
+
+            ready[count] = stakeId;
+            count++;
+        }
+
+        assembly {
+            mstore(ready, count)
+        }
+    }
+
+    function performUpkeep(
+        StakingCore.StakingStorage storage $,
+        address _keeper,
+        bytes calldata _performData,
+        uint256 _maxBatch
+    ) external {
+        uint256[] memory stakeIds = abi.decode(_performData, (uint256[]));
+        require(stakeIds.length <= _maxBatch, "Batch too large");
+
+        uint256 totalBounty;
+        uint256 processed;
+
+        for (uint256 i = 0; i < stakeIds.length; i++) {
+            uint256 stakeId = stakeIds[i];
+            address user = $.stakeOwner[stakeId];
+            // the reserve can run dry after checkUpkeep, so uncovered stakes are skipped rather than failing the batch
+            if (!$.autoRolloverStakes.contains(stakeId) || !canRolloverCovered($, $.stakes[user][stakeId])) continue;
+
+            uint256 bounty = rollover($, user, stakeId, $.keeperBountyBps);
+            totalBounty += bounty;
+            processed++;
+            emit IStakingEvents.AutoRollover(_keeper, user, stakeId, bounty);
+        }
+        require(processed > 0, "No upkeep needed");
+
+        if (totalBounty > 0) {
+            $.stakingToken.safeTransfer(_keeper, totalBounty);
+        }
+    }
+
+    function pendingStreamRewards(
+        StakingCore.StakingStorage storage $,
+        address _user,
+        uint256 _stakeId
+    ) external view returns (uint256[] memory pending) {
+        Stake storage userStake = $.stakes[_user][_stakeId];
+        pending = new uint256[]($.rewardStreams.length);
+        for (uint256 i = 0; i < pending.length; i++) {
+            pending[i] = RewardStreams.earned($, i, userStake, _stakeId);
+        }
+    }
+
+    // leaves are keccak256(bytes.concat(keccak256(abi.encode(account, limit)))), the layout
+    // @openzeppelin/merkle-tree's StandardMerkleTree builds for ["address", "uint256"]
+    function proveAllowlist(
+        StakingCore.StakingStorage storage $,
+        address _user,
+        uint256 _limit,
+        bytes32[] calldata _proof
+    ) external {
+        bytes32 root = $.allowlistRoot;
+        require(root != bytes32(0), "Allowlist not active");
+        bytes32 leaf = keccak256(bytes.concat(keccak256(abi.encode(_user, _limit))));
+        require(MerkleProof.verifyCalldata(_proof, root, leaf), "Invalid allowlist proof");
+
+        $.allowlistLimits[root][_user] = _limit;
+        emit IStakingEvents.AllowlistProved(_user, root, _limit);
+    }
+
+    // how much more _user can deposit under the global cap, their own cap and, during the
+    // allowlist phase, the limit they proved (nothing until they have)
+    function remainingCapacity(StakingCore.StakingStorage storage $, address _user) public view returns (uint256 remaining) {
+        uint256 userStaked = $.userTotalStaked[_user];
+        remaining = type(uint256).max;
+        if ($.maxTotalStaked > 0) remaining = capacityLeft($.maxTotalStaked, $.totalStaked, remaining);
+        if ($.maxUserStaked > 0) remaining = capacityLeft($.maxUserStaked, userStaked, remaining);
+        if ($.allowlistRoot != bytes32(0)) {
+            remaining = capacityLeft($.allowlistLimits[$.allowlistRoot][_user], userStaked, remaining);
+        }
+    }
+
+    // what actually arrived is checked, and only deposits are capped: compounding and position
+    // transfers can take an account or the pool past a cap
+    function checkCapacity(StakingCore.StakingStorage storage $, address _user, uint256 _amount) internal view {
+        require(
+            $.allowlistRoot == bytes32(0) || $.allowlistLimits[$.allowlistRoot][_user] > 0,
+            "Not allowlisted"
+        );
+        require(_amount <= remainingCapacity($, _user), "Stake cap exceeded");
+    }
+
+    function capacityLeft(uint256 _cap, uint256 _used, uint256 _remaining) internal pure returns (uint256) {
+        uint256 left = _cap > _used ? _cap - _used : 0;
+        return left < _remaining ? left : _remaining;
+    }
+
+    // what _action would pay out on the stake right now; all zero where the action isn't available
+    // abi-encoded (gross, fee, net, FeeShare[] fees), returned as is by the core like getUserStakes
+    function previewPayout(
+        StakingCore.StakingStorage storage $,
+        address _user,
+        uint256 _stakeId,
+        FeeAction _action
+    ) external view returns (bytes memory) {
+        (uint256 gross, uint256 fee, uint256 net, FeeShare[] memory fees) = payoutPreview($, _user, _stakeId, _action);
+        return abi.encode(gross, fee, net, fees);
+    }
+
+    function payoutPreview(
+        StakingCore.StakingStorage storage $,
+        address _user,
+        uint256 _stakeId,
+        FeeAction _action
+    ) internal view returns (uint256 gross, uint256 fee, uint256 net, FeeShare[] memory fees) {
+        Stake storage userStake = $.stakes[_user][_stakeId];
+        if (!userStake.active) return (0, 0, 0, fees);
+
+        if (_action == FeeAction.EarlyUnstake) {
+            if (isUnlocked($, userStake)) return (0, 0, 0, fees);
+            (net, , fee) = earlyUnstakeAmounts($, _user, userStake);
+            gross = net + fee;
+        } else {
+            gross = pendingRewards($, userStake);
+            if (_action == FeeAction.Unstake) {
+                if (!isUnlocked($, userStake)) return (0, 0, 0, fees);
+                gross = userStake.amount + (gross > $.rewardReserve ? $.rewardReserve : gross);
+            }
+            fee = Fees.charge($, _action, _user, userStake, gross);
+            net = gross - fee;
+        }
+        fees = Fees.split($, fee);
+    }
+
+    function calculateRewards(StakingCore.StakingStorage storage $, address _user, uint256 _stakeId) external view returns (uint256) {
+        return pendingRewards($, $.stakes[_user][_stakeId]);
+    }
+
+    function canUnstake(StakingCore.StakingStorage storage $, address _user, uint256 _stakeId) external view returns (bool) {
+        return isMatured($, $.stakes[_user][_stakeId]);
+    }
+
+    function previewEarlyUnstake(StakingCore.StakingStorage storage $, address _user, uint256 _stakeId) external view returns (
+        uint256 payout,
+        uint256 penalty,
+        uint256 tax,
+        uint256 forfeitedRewards
+    ) {
+        Stake storage userStake = $.stakes[_user][_stakeId];
+        if (!userStake.active || isUnlocked($, userStake)) return (0, 0, 0, 0);
+
+        (payout, penalty, tax) = earlyUnstakeAmounts($, _user, userStake);
+        forfeitedRewards = pendingRewards($, userStake);
+    }
+
+    // abi-encoded (StakeView[] page, uint256 nextOffset); the core returns it as is, since
+    // decoding a struct array there would cost more code than it has room for
+    function getUserStakes(
+        StakingCore.StakingStorage storage $,
+        address _user,
+        uint256 _offset,
+        uint256 _limit,
+        bool _onlyActive
+    ) external view returns (bytes memory) {
+        (StakeView[] memory page, uint256 nextOffset) = userStakesPage($, _user, _offset, _limit, _onlyActive);
+        return abi.encode(page, nextOffset);
+    }
+
+    function userStakesPage(
+        StakingCore.StakingStorage storage $,
+        address _user,
+        uint256 _offset,
+        uint256 _limit,
+        bool _onlyActive
+    ) internal view returns (StakeView[] memory page, uint256 nextOffset) {
+        uint256[] storage ids = $.userStakeIds[_user];
+        if (_offset >= ids.length) return (new StakeView[](0), ids.length);
+
+        uint256 remaining = ids.length - _offset;
+        page = new StakeView[](_limit < remaining ? _limit : remaining);
+
+        uint256 count;
+        nextOffset = _offset;
+        while (nextOffset < ids.length && count < page.length) {
+            uint256 stakeId = ids[nextOffset];
+            nextOffset++;
+
+            Stake storage userStake = $.stakes[_user][stakeId];
+            if (_onlyActive && !userStake.active) continue;
+
+            page[count] = StakeView({
+                stakeId: stakeId,
+                stake: userStake,
+                pendingRewards: pendingRewards($, userStake)
+            });
+            count++;
+        }
+
+        // trim the unused tail left by skipped inactive stakes
+        assembly {
+            mstore(page, count)
+        }
+    }
+
+    function getPortfolioSummary(StakingCore.StakingStorage storage $, address _user) external view returns (
+        uint256 totalPrincipal,
+        uint256 totalPending,
+        uint256 nextUnlockTime,
+        uint256 activeStakes
+    ) {
+        uint256[] storage ids = $.userStakeIds[_user];
+        for (uint256 i = 0; i < ids.length; i++) {
+            Stake storage userStake = $.stakes[_user][ids[i]];
+            if (!userStake.active) continue;
+
+            totalPrincipal += userStake.amount;
+            totalPending += pendingRewards($, userStake);
+            activeStakes++;
+
+            if (!isUnlocked($, userStake) && (nextUnlockTime == 0 || userStake.endTime < nextUnlockTime)) {
+                nextUnlockTime = userStake.endTime;
+            }
+        }
+    }
+
+    // returns the balance change rather than _amount, which differs for fee-on-transfer tokens
+    function pullTokens(IERC20 _token, address _from, uint256 _amount) internal returns (uint256) {
+        uint256 balanceBefore = _token.balanceOf(address(this));
+        _token.safeTransferFrom(_from, address(this), _amount);
+        return _token.balanceOf(address(this)) - balanceBefore;
+    }
+
+    function pendingRewards(StakingCore.StakingStorage storage $, Stake storage _userStake) internal view returns (uint256) {
+        uint256 accruedUntil = accrualTime($);
+        if (!_userStake.active || accruedUntil <= _userStake.lastRewardClaim) return 0;
+
+        uint256 stakingDuration = accruedUntil - _userStake.lastRewardClaim;
+        return (_userStake.amount * _userStake.apyBps * stakingDuration) / (BASIS_POINTS * SECONDS_PER_YEAR);
+    }
+
+    // accrual stops at the sunset, so rewards are final from then on
+    function accrualTime(StakingCore.StakingStorage storage $) internal view returns (uint256) {
+        uint256 sunsetTime = $.sunsetTime;
+        return sunsetTime != 0 && sunsetTime < block.timestamp ? sunsetTime : block.timestamp;
+    }
+
+    // after a sunset every lock counts as ended
+    function isUnlocked(StakingCore.StakingStorage storage $, Stake storage _userStake) internal view returns (bool) {
+        return $.sunsetTime != 0 || block.timestamp >= _userStake.endTime;
+    }
+
+    function isMatured(StakingCore.StakingStorage storage $, Stake storage _userStake) internal view returns (bool) {
+        return _userStake.active && isUnlocked($, _userStake);
+    }
+
+    function canRollover(StakingCore.StakingStorage storage $, Stake storage _userStake) internal view returns (bool) {
+        return isMatured($, _userStake) && $.tiers[_userStake.tierId].active;
+    }
+
+    function canRolloverCovered(StakingCore.StakingStorage storage $, Stake storage _userStake) internal view returns (bool) {
+        return canRollover($, _userStake) && pendingRewards($, _userStake) <= $.rewardReserve;
+    }
+
+    // only for stakes still locked
+    function earlyUnstakeAmounts(StakingCore.StakingStorage storage $, address _user, Stake storage _userStake) internal view returns (
+        uint256 payout,
+        uint256 penalty,
+        uint256 tax
+    ) {
+        uint256 penaltyBps = $.earlyUnstakePenaltyBps;
+        if ($.penaltyLinearDecay) {
+            penaltyBps = (penaltyBps * (_userStake.endTime - block.timestamp)) / _userStake.lockPeriod;
+        }
+
+        penalty = (_userStake.amount * penaltyBps) / BASIS_POINTS;
+        tax = Fees.charge($, FeeAction.EarlyUnstake, _user, _userStake, _userStake.amount - penalty);
+        payout = _userStake.amount - penalty - tax;
+    }
+
+    // keeps the position token's vote checkpoints in step with userTotalStaked and totalStaked
+    function moveVotes(StakingCore.StakingStorage storage $, address _from, address _to, uint256 _amount) internal {
+        if (_amount > 0) {
+            $.positionToken.moveVotingPower(_from, _to, _amount);
+        }
+    }
+
+    // drops a stake from the keeper set, announcing it if the stake had opted in
+    function clearAutoRollover(StakingCore.StakingStorage storage $, address _user, uint256 _stakeId) internal {
+        if ($.autoRolloverStakes.remove(_stakeId)) {
+            emit IStakingEvents.AutoRolloverUpdated(_user, _stakeId, false);
+        }
+    }
+
+    function addStakeId(StakingCore.StakingStorage storage $, address _user, uint256 _stakeId) internal {
+        $.stakeOwner[_stakeId] = _user;
+        $.stakeIdIndex[_stakeId] = $.userStakeIds[_user].length;
+        $.userStakeIds[_user].push(_stakeId);
+    }
+
+    function trackAccrual(StakingCore.StakingStorage storage $, Stake storage _userStake) internal {
+        uint256 weight = _userStake.amount * _userStake.apyBps;
+        $.totalRewardWeight += weight;
+        $.totalRewardWeightTime += weight * _userStake.lastRewardClaim;
+    }
+
+    function untrackAccrual(StakingCore.StakingStorage storage $, Stake storage _userStake) internal {
+        uint256 weight = _userStake.amount * _userStake.apyBps;
+        $.totalRewardWeight -= weight;
+        $.totalRewardWeightTime -= weight * _userStake.lastRewardClaim;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,50 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./staking.sol";
+import "./StakingAdmin.sol";
+
+// terms a pool starts with; the tiers, if any, replace the default 30-day / 10% tier
+struct PoolParams {
+    address stakingToken;
+    address treasury;
+    address admin;
+    uint256 taxRate;
+    uint256 minStake;
+    uint256 earlyUnstakePenaltyBps;
+    uint256[] lockPeriods;
+    uint256[] apyBps;
+}
+
+/**
+ * @title StakingPool
+ * @dev Implementation behind the minimal clones deployed by StakingPoolFactory. Clones are not
+ * upgradeable and all share the implementation's trusted forwarder.
+ */
+contract StakingPool is StakingCore {
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(address _trustedForwarder) StakingCore(_trustedForwarder) {
+        _disableInitializers();
+    }
+
+    function initialize(PoolParams calldata _params, address _positionToken) external initializer {
+        __StakingCore_init(_params.stakingToken, _params.treasury, _positionToken, _params.admin);
+
+        require(_params.taxRate <= MAX_TAX_RATE, "Tax rate too high");
+        require(_params.earlyUnstakePenaltyBps <= MAX_EARLY_UNSTAKE_PENALTY, "Penalty too high");
+        require(_params.lockPeriods.length == _params.apyBps.length, "Tier length mismatch");
+
+        StakingStorage storage $ = _getStakingStorage();
+        $.taxRate = _params.taxRate;
+        $.minStake = _params.minStake;
+        $.earlyUnstakePenaltyBps = _params.earlyUnstakePenaltyBps;
+
+        for (uint256 i = 0; i < _params.lockPeriods.length; i++) {
+            if (i == 0) {
+                StakingAdmin.updateTier($, 0, _params.lockPeriods[0], _params.apyBps[0], true);
+            } else {
+                StakingAdmin.addTier($, _params.lockPeriods[i], _params.apyBps[i]);
+            }
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,112 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/proxy/Clones.sol";
+import "./StakePosition.sol";
+import "./StakingPool.sol";
+
+/**
+ * @title StakingPoolFactory
+ * @dev Deploys StakingPool minimal clones, one per staking token and parameter set, each with
+ * its own position token, and keeps a registry of them. Changing the implementation only
+ * affects pools created afterwards.
+ */
+contract StakingPoolFactory is AccessControl {
+    bytes32 public constant POOL_CREATOR_ROLE = keccak256("POOL_CREATOR_ROLE");
+
+    address public implementation;
+
+    address[] public pools;
+    mapping(address => bool) public isPool;
+    mapping(address => address[]) private tokenPools;
+
+    event PoolCreated(
+        uint256 indexed poolId,
+        address indexed pool,
+        address indexed stakingToken,
+        address positionToken,
+        address admin
+    );
+    event ImplementationUpdated(address indexed oldImplementation, address indexed newImplementation);
+
+    constructor(address _implementation) {
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(POOL_CREATOR_ROLE, msg.sender);
+        _setImplementation(_implementation);
+    }
+
+    // the pool's admin gets its roles straight away; nothing is left with the factory
+    function createPool(PoolParams calldata _params) external onlyRole(POOL_CREATOR_ROLE) returns (address pool) {
+        pool = Clones.clone(implementation);
+        // the position token is bound to the clone, which is initialized in the same transaction
+        address positionToken = address(new StakePosition(pool));
+        StakingPool(pool).initialize(_params, positionToken);
+
+        uint256 poolId = pools.length;
+        pools.push(pool);
+        isPool[pool] = true;
+        tokenPools[_params.stakingToken].push(pool);
+
+        emit PoolCreated(poolId, pool, _params.stakingToken, positionToken, _params.admin);
+    }
+
+    function setImplementation(address _implementation) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _setImplementation(_implementation);
+    }
+
+    function poolCount() external view returns (uint256) {
+        return pools.length;
+    }
+
+    function getPools(uint256 _offset, uint256 _limit) external view returns (address[] memory page) {
+        if (_offset >= pools.length) return new address[](0);
+
+        uint256 remaining = pools.length - _offset;
+        page = new address[](_limit < remaining ? _limit : remaining);
+        for (uint256 i = 0; i < page.length; i++) {
+            page[i] = pools[_offset + i];
+        }
+    }
+
+    function getPoolsByToken(address _stakingToken) external view returns (address[] memory) {
+        return tokenPools[_stakingToken];
+    }
+
+    // sums getContractStats over every pool; amounts of different tokens are added as is,
+    // so use getTokenStats for figures in a single token's units
+    function getAggregateStats() external view returns (
+        uint256 _totalStaked,
+        uint256 _totalStakers,
+        uint256 _totalRewardsPaid
+    ) {
+        return _aggregate(pools);
+    }
+
+    function getTokenStats(address _stakingToken) external view returns (
+        uint256 _totalStaked,
+        uint256 _totalStakers,
+        uint256 _totalRewardsPaid
+    ) {
+        return _aggregate(tokenPools[_stakingToken]);
+    }
+
+    function _setImplementation(address _implementation) internal {
+        require(_implementation.code.length > 0, "Invalid implementation");
+        emit ImplementationUpdated(implementation, _implementation);
+        implementation = _implementation;
+    }
+
+    function _aggregate(address[] storage _pools) internal view returns (
+        uint256 _totalStaked,
+        uint256 _totalStakers,
+        uint256 _totalRewardsPaid
+    ) {
+        for (uint256 i = 0; i < _pools.length; i++) {
+            (uint256 staked, uint256 stakers, uint256 rewardsPaid) = StakingPool(_pools[i]).getContractStats();
+            _totalStaked += staked;
+            _totalStakers += stakers;
+            _totalRewardsPaid += rewardsPaid;
+        }
+    }
+}
\ No newline at end of file
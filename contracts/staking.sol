@@ -1,173 +1,383 @@
 // SPDX-License-Identifier: MIT
-pragma solidity ^0.8.19;
+pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
-import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
-import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+import "@openzeppelin/contracts-upgradeable/access/extensions/AccessControlDefaultAdminRulesUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/metatx/ERC2771ContextUpgradeable.sol";
+import "./StakePosition.sol";
+import "./StakingLogic.sol";
+import "./StakingAdmin.sol";
+import "./RewardStreams.sol";
+import "./Fees.sol";
 
-contract StakingContract is Ownable, ReentrancyGuard, Pausable {
+/**
+ * @title StakingCore
+ * @dev Staking logic shared by the immutable StakingContract and the UUPS StakingContractUpgradeable.
+ * All state lives in ERC-7201 namespaced storage so upgrades can't collide with inherited layouts;
+ * the per-stake logic runs in the linked StakingLogic library and initialization, parameter updates
+ * and reserve accounting in StakingAdmin, to stay under the size limit.
+ */
+abstract contract StakingCore is IStakingEvents, AccessControlDefaultAdminRulesUpgradeable, ReentrancyGuardUpgradeable, PausableUpgradeable, ERC2771ContextUpgradeable {
     using SafeERC20 for IERC20;
-
-    
-    IERC20 public immutable stakingToken;
-    address public treasury;
+    using EnumerableSet for EnumerableSet.UintSet;
 
      // constants
-    uint256 public constant LOCK_PERIOD = 30 days;
-    uint256 public constant APY = 10; 
-    uint256 public constant TAX_RATE = 50; 
-    uint256 public constant MIN_STAKE = 100 * 10**6; 
+    uint256 public constant DEFAULT_LOCK_PERIOD = StakingAdmin.DEFAULT_LOCK_PERIOD;
+    uint256 public constant DEFAULT_APY_BPS = StakingAdmin.DEFAULT_APY_BPS;
+    uint256 public constant MAX_APY_BPS = StakingAdmin.MAX_APY_BPS;
+    uint256 public constant MAX_TAX_RATE = Fees.MAX_RATE;
     uint256 public constant BASIS_POINTS = 10000;
     uint256 public constant SECONDS_PER_YEAR = 365 days;
+    uint256 public constant MAX_EARLY_UNSTAKE_PENALTY = StakingAdmin.MAX_EARLY_UNSTAKE_PENALTY;
+    uint256 public constant PARAMETER_TIMELOCK = StakingAdmin.PARAMETER_TIMELOCK;
+    uint256 public constant MAX_KEEPER_BOUNTY = StakingAdmin.MAX_KEEPER_BOUNTY;
+    uint256 public constant MAX_UPKEEP_BATCH = 20;
+    uint48 public constant INITIAL_ADMIN_DELAY = 2 days;
+    uint256 public constant MAX_REWARD_STREAMS = RewardStreams.MAX_STREAMS;
     
-    //state variables
-    uint256 public totalStaked;
-    uint256 public totalRewardsPaid;
-    uint256 public stakeCounter;
-    
-    //structs
-    struct Stake {
-        uint256 amount;
-        uint256 startTime;
-        uint256 endTime;
-        uint256 lastRewardClaim;
-        bool active;
-    }
-    
- // mappings   
-    mapping(address => mapping(uint256 => Stake)) public stakes;
-    mapping(address => uint256[]) public userStakeIds;
-    mapping(address => uint256) public userTotalStaked;
-    
-//Events    
-    event Staked(address indexed user, uint256 indexed stakeId, uint256 amount, uint256 timestamp);
-    event Unstaked(address indexed user, uint256 indexed stakeId, uint256 principal, uint256 rewards, uint256 tax);
-    event Rollover(address indexed user, uint256 indexed stakeId, uint256 newPrincipal, uint256 newEndTime);
-    event RewardsClaimed(address indexed user, uint256 indexed stakeId, uint256 rewards, uint256 tax);
-    event TreasuryUpdated(address indexed oldTreasury, address indexed newTreasury);
-    event RewardsDeposited(uint256 amount);
-    event EmergencyWithdraw(address indexed token, uint256 amount);
-    
-    
-    constructor(address _stakingToken, address _treasury) Ownable(msg.sender) {
-        require(_stakingToken != address(0), "Invalid token address");
-        require(_treasury != address(0), "Invalid treasury address");
-        
-        stakingToken = IERC20(_stakingToken);
-        treasury = _treasury;
+    // roles; DEFAULT_ADMIN_ROLE grants them, changes economic parameters and unpauses
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    bytes32 public constant REWARD_MANAGER_ROLE = keccak256("REWARD_MANAGER_ROLE");
+    bytes32 public constant TREASURY_ADMIN_ROLE = keccak256("TREASURY_ADMIN_ROLE");
+    bytes32 public constant EMERGENCY_ROLE = keccak256("EMERGENCY_ROLE");
+    
+    /// @custom:storage-location erc7201:staking.storage.Staking
+    struct StakingStorage {
+        IERC20 stakingToken;
+        // ERC-721 position token; token IDs are stake IDs
+        StakePosition positionToken;
+        address treasury;
+        uint256 taxRate;
+        uint256 minStake;
+        uint256 totalStaked;
+        uint256 totalRewardsPaid;
+        uint256 stakeCounter;
+        // reward tokens deposited via depositRewards and not yet paid out or compounded
+        uint256 rewardReserve;
+        // sum of amount * apyBps over active stakes, plus the same weighted by lastRewardClaim,
+        // so the accrued liability can be derived without iterating every stake
+        uint256 totalRewardWeight;
+        uint256 totalRewardWeightTime;
+        // early unstake penalty on principal; with linear decay it shrinks to zero at endTime
+        uint256 earlyUnstakePenaltyBps;
+        bool penaltyLinearDecay;
+        bool penaltyToReserve;
+        // share of the compounded rewards paid to the keeper that performs an auto-rollover
+        uint256 keeperBountyBps;
+        // tier 0 is the original 30-day / 10% product, seeded on initialization
+        Tier[] tiers;
+        mapping(address => mapping(uint256 => Stake)) stakes;
+        mapping(address => uint256[]) userStakeIds;
+        mapping(address => uint256) userTotalStaked;
+        mapping(uint256 => address) stakeOwner;
+        // position of each stake ID in its owner's userStakeIds array
+        mapping(uint256 => uint256) stakeIdIndex;
+        // keccak256 of a timelocked setter's calldata => earliest execution time
+        mapping(bytes32 => uint256) queuedChanges;
+        // stakes flagged for auto-rollover, scanned by checkUpkeep
+        EnumerableSet.UintSet autoRolloverStakes;
+        // extra reward tokens streamed over totalStaked on top of the fixed APY
+        RewardStream[] rewardStreams;
+        // streamId => stakeId => reward per token already credited / credited but not yet paid
+        mapping(uint256 => mapping(uint256 => uint256)) streamRewardPerTokenPaid;
+        mapping(uint256 => mapping(uint256 => uint256)) streamRewards;
+        // stream token => funded and not yet paid out or released
+        mapping(address => uint256) streamReserve;
+        // per-action fee schedules keyed by FeeAction, the weighted split of every fee and
+        // accounts that pay none
+        mapping(uint256 => FeeSchedule) feeSchedules;
+        FeeRecipient[] feeRecipients;
+        mapping(address => bool) feeExempt;
+        // deposit caps on totalStaked and each userTotalStaked; 0 means uncapped
+        uint256 maxTotalStaked;
+        uint256 maxUserStaked;
+        // while set, only allowlisted accounts can stake; root => account => limit proved from its leaf
+        bytes32 allowlistRoot;
+        mapping(bytes32 => mapping(address => uint256)) allowlistLimits;
+        // when the pool was retired; accrual stops there and every lock is released, 0 while live
+        uint256 sunsetTime;
+        // the only pool migrate can move stakes into, fixed by the sunset; 0 if there is none
+        address successorPool;
     }
     
+    // keccak256(abi.encode(uint256(keccak256("staking.storage.Staking")) - 1)) & ~bytes32(uint256(0xff))
+    bytes32 private constant STAKING_STORAGE_LOCATION = 0x15e73ee13efd4fc3d951ebb785d1ccc736fc8f8274dbcfce2685fa3cc67a1b00;
     
     
-    function stake(uint256 _amount) external nonReentrant whenNotPaused {
-        require(_amount >= MIN_STAKE, "Amount below minimum stake");
-        require(stakingToken.balanceOf(msg.sender) >= _amount, "Insufficient balance");
-        
-        stakeCounter++;
-        uint256 stakeId = stakeCounter;
-        
-        stakes[msg.sender][stakeId] = Stake({
-            amount: _amount,
-            startTime: block.timestamp,
-            endTime: block.timestamp + LOCK_PERIOD,
-            lastRewardClaim: block.timestamp,
-            active: true
-        });
-        
-        userStakeIds[msg.sender].push(stakeId);
-        userTotalStaked[msg.sender] += _amount;
-        totalStaked += _amount;
+    // economic setters only run with calldata queued through queueChange at least PARAMETER_TIMELOCK earlier
+    modifier timelocked() {
+        _consumeQueuedChange();
+        _;
+    }
+    
+    
+    // _trustedForwarder may be address(0) to disable meta-transactions
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(address _trustedForwarder) ERC2771ContextUpgradeable(_trustedForwarder) {}
+    
+    // the position token must already point at this contract
+    function __StakingCore_init(
+        address _stakingToken,
+        address _treasury,
+        address _positionToken,
+        address _initialAdmin
+    ) internal onlyInitializing {
+        __AccessControlDefaultAdminRules_init(INITIAL_ADMIN_DELAY, _initialAdmin);
+        __ReentrancyGuard_init();
+        __Pausable_init();
         
-        stakingToken.safeTransferFrom(msg.sender, address(this), _amount);
+        StakingAdmin.initialize(_getStakingStorage(), _stakingToken, _treasury, _positionToken);
         
-        emit Staked(msg.sender, stakeId, _amount, block.timestamp);
+        // EMERGENCY_ROLE has to be granted explicitly, to an account other than the reward manager
+        _grantRole(PAUSER_ROLE, _initialAdmin);
+        _grantRole(REWARD_MANAGER_ROLE, _initialAdmin);
+        _grantRole(TREASURY_ADMIN_ROLE, _initialAdmin);
+    }
+    
+    
+    function stake(uint256 _amount, uint256 _tierId) external nonReentrant whenNotPaused {
+        _stake(_msgSender(), _amount, _tierId);
+    }
+    
+    // a failed permit is ignored so a front-run permit doesn't block the stake;
+    // the transfer then relies on the allowance already in place
+    function stakeWithPermit(
+        uint256 _amount,
+        uint256 _tierId,
+        uint256 _deadline,
+        uint8 _v,
+        bytes32 _r,
+        bytes32 _s
+    ) external nonReentrant whenNotPaused {
+        StakingStorage storage $ = _getStakingStorage();
+        address user = _msgSender();
+        try IERC20Permit(address($.stakingToken)).permit(user, address(this), _amount, _deadline, _v, _r, _s) {} catch {}
+        _stake(user, _amount, _tierId);
+    }
+    
+    // during the allowlist phase the first stake carries the caller's leaf limit and proof;
+    // later stakes against the same root can use stake or stakeWithPermit
+    function stakeAllowlisted(
+        uint256 _amount,
+        uint256 _tierId,
+        uint256 _limit,
+        bytes32[] calldata _proof
+    ) external nonReentrant whenNotPaused {
+        address user = _msgSender();
+        StakingLogic.proveAllowlist(_getStakingStorage(), user, _limit, _proof);
+        _stake(user, _amount, _tierId);
     }
     
 
+    // principal can always exit; if the reserve cannot cover the accrued rewards,
+    // only what is left in the reserve is paid and the rest is forfeited
     function unstake(uint256 _stakeId) external nonReentrant {
-        Stake storage userStake = stakes[msg.sender][_stakeId];
-        require(userStake.active, "Stake not active");
-        require(block.timestamp >= userStake.endTime, "Lock period not ended");
-        
-        uint256 principal = userStake.amount;
-        uint256 rewards = calculateRewards(msg.sender, _stakeId);
-        uint256 totalAmount = principal + rewards;
-        
-        uint256 tax = (totalAmount * TAX_RATE) / BASIS_POINTS;
-        uint256 amountAfterTax = totalAmount - tax;
-        
-        userStake.active = false;
-        userTotalStaked[msg.sender] -= principal;
-        totalStaked -= principal;
-        totalRewardsPaid += rewards;
-        
-        if (tax > 0) {
-            stakingToken.safeTransfer(treasury, tax);
-        }
-        stakingToken.safeTransfer(msg.sender, amountAfterTax);
-        
-        emit Unstaked(msg.sender, _stakeId, principal, rewards, tax);
+        StakingStorage storage $ = _getStakingStorage();
+        address user = _msgSender();
+        _unstake(user, _stakeId, $.stakes[user][_stakeId].amount);
+    }
+    
+    // withdraws part of the principal after the lock; all accrued rewards are settled with it
+    // and the rest of the position keeps its terms and end time
+    function unstake(uint256 _stakeId, uint256 _amount) external nonReentrant {
+        _unstake(_msgSender(), _stakeId, _amount);
+    }
+    
+ 
+    // exits before endTime: accrued rewards stay in the reserve and the penalty is
+    // charged on principal, with the usual tax applied to what is left
+    function earlyUnstake(uint256 _stakeId) external nonReentrant {
+        StakingLogic.earlyUnstake(_getStakingStorage(), _msgSender(), _stakeId);
+    }
+    
+    // after a sunset, moves the stake's principal into the successor pool instead of paying it out;
+    // _newPool has to be the one the sunset named
+    function migrate(uint256 _stakeId, address _newPool) external nonReentrant {
+        StakingLogic.migrate(_getStakingStorage(), _msgSender(), _stakeId, _newPool);
     }
     
  
+    // compounds into a new lock on the tier's current terms
     function rollover(uint256 _stakeId) external nonReentrant whenNotPaused {
-        Stake storage userStake = stakes[msg.sender][_stakeId];
-        require(userStake.active, "Stake not active");
-        require(block.timestamp >= userStake.endTime, "Lock period not ended");
-        
-        uint256 rewards = calculateRewards(msg.sender, _stakeId);
-        uint256 newPrincipal = userStake.amount + rewards;
-        
-        userStake.amount = newPrincipal;
-        userStake.startTime = block.timestamp;
-        userStake.endTime = block.timestamp + LOCK_PERIOD;
-        userStake.lastRewardClaim = block.timestamp;
-        
-        userTotalStaked[msg.sender] += rewards;
-        totalStaked += rewards;
-        
-        emit Rollover(msg.sender, _stakeId, newPrincipal, userStake.endTime);
+        _rollover(_msgSender(), _stakeId, 0);
     }
     
   
+    // pays the fixed APY rewards and everything earned from reward streams
     function claimRewards(uint256 _stakeId) external nonReentrant {
-        Stake storage userStake = stakes[msg.sender][_stakeId];
-        require(userStake.active, "Stake not active");
-        
-        uint256 rewards = calculateRewards(msg.sender, _stakeId);
-        require(rewards > 0, "No rewards to claim");
-        
-        // Calculate tax
-        uint256 tax = (rewards * TAX_RATE) / BASIS_POINTS;
-        uint256 rewardsAfterTax = rewards - tax;
-        
-        // Update last claim time
-        userStake.lastRewardClaim = block.timestamp;
-        totalRewardsPaid += rewards;
-        
-        // Transfer tokens
-        if (tax > 0) {
-            stakingToken.safeTransfer(treasury, tax);
-        }
-        stakingToken.safeTransfer(msg.sender, rewardsAfterTax);
+        _claimRewards(_msgSender(), _stakeId);
+    }
+    
+    
+// Batch operations: stakes that don't qualify are skipped, and the call reverts only if none do
+    function claimAll(uint256[] calldata _stakeIds) external nonReentrant returns (uint256) {
+        return StakingLogic.claimAll(_getStakingStorage(), _msgSender(), _stakeIds);
+    }
+    
+    function rolloverMatured(uint256[] calldata _stakeIds) external nonReentrant whenNotPaused returns (uint256) {
+        return StakingLogic.rolloverMatured(_getStakingStorage(), _msgSender(), _stakeIds);
+    }
+    
+    function unstakeMatured(uint256[] calldata _stakeIds) external nonReentrant returns (uint256) {
+        return StakingLogic.unstakeMatured(_getStakingStorage(), _msgSender(), _stakeIds);
+    }
+    
+    
+// Position management: both halves of a split share the original terms and accrual,
+// so no rewards are settled; a merge pays out both stakes' rewards first
+    function splitStake(uint256 _stakeId, uint256 _amount) external nonReentrant whenNotPaused returns (uint256 newStakeId) {
+        return StakingLogic.splitStake(_getStakingStorage(), _msgSender(), _stakeId, _amount);
+    }
+    
+    // folds _mergedStakeId into _stakeId; both need the same tier, lock period, APY and tax rate,
+    // and the merged position ends at the later of the two end times
+    function mergeStakes(uint256 _stakeId, uint256 _mergedStakeId) external nonReentrant whenNotPaused {
+        StakingLogic.mergeStakes(_getStakingStorage(), _msgSender(), _stakeId, _mergedStakeId);
+    }
+    
+    
+// Auto-rollover
+    function setAutoRollover(uint256 _stakeId, bool _enabled) external {
+        StakingLogic.setAutoRollover(_getStakingStorage(), _msgSender(), _stakeId, _enabled);
+    }
+    
+    // keeper-compatible: checkData may hold an abi-encoded offset into the flagged set,
+    // performData is the abi-encoded list of stake IDs ready to roll over
+    function checkUpkeep(bytes calldata _checkData) external view returns (bool upkeepNeeded, bytes memory performData) {
+        if (paused()) return (false, "");
         
-        emit RewardsClaimed(msg.sender, _stakeId, rewards, tax);
+        uint256 offset = _checkData.length > 0 ? abi.decode(_checkData, (uint256)) : 0;
+        uint256[] memory ready = StakingLogic.upkeepReady(_getStakingStorage(), offset, MAX_UPKEEP_BATCH);
+        return (ready.length > 0, abi.encode(ready));
+    }
+    
+    // stakes are re-checked here: ones that no longer qualify or that the reserve can't cover are skipped,
+    // and the call reverts only if none is left
+    function performUpkeep(bytes calldata _performData) external nonReentrant whenNotPaused {
+        StakingLogic.performUpkeep(_getStakingStorage(), _msgSender(), _performData, MAX_UPKEEP_BATCH);
+    }
+    
+    
+// State getters
+    function stakingToken() external view returns (IERC20) {
+        return _getStakingStorage().stakingToken;
+    }
+    
+    function positionToken() external view returns (StakePosition) {
+        return _getStakingStorage().positionToken;
+    }
+    
+    function treasury() external view returns (address) {
+        return _getStakingStorage().treasury;
+    }
+    
+    function taxRate() external view returns (uint256) {
+        return _getStakingStorage().taxRate;
+    }
+    
+    function minStake() external view returns (uint256) {
+        return _getStakingStorage().minStake;
+    }
+    
+    function totalStaked() external view returns (uint256) {
+        return _getStakingStorage().totalStaked;
+    }
+    
+    function totalRewardsPaid() external view returns (uint256) {
+        return _getStakingStorage().totalRewardsPaid;
+    }
+    
+    function stakeCounter() external view returns (uint256) {
+        return _getStakingStorage().stakeCounter;
+    }
+    
+    function rewardReserve() external view returns (uint256) {
+        return _getStakingStorage().rewardReserve;
+    }
+    
+    function earlyUnstakePenaltyBps() external view returns (uint256) {
+        return _getStakingStorage().earlyUnstakePenaltyBps;
+    }
+    
+    function penaltyLinearDecay() external view returns (bool) {
+        return _getStakingStorage().penaltyLinearDecay;
+    }
+    
+    function penaltyToReserve() external view returns (bool) {
+        return _getStakingStorage().penaltyToReserve;
+    }
+    
+    function sunsetTime() external view returns (uint256) {
+        return _getStakingStorage().sunsetTime;
+    }
+    
+    function successorPool() external view returns (address) {
+        return _getStakingStorage().successorPool;
+    }
+    
+    function keeperBountyBps() external view returns (uint256) {
+        return _getStakingStorage().keeperBountyBps;
+    }
+    
+    function tiers(uint256 _tierId) external view returns (uint256 lockPeriod, uint256 apyBps, bool active) {
+        Tier storage tier = _getStakingStorage().tiers[_tierId];
+        return (tier.lockPeriod, tier.apyBps, tier.active);
+    }
+    
+    function stakes(address _user, uint256 _stakeId) external view returns (
+        uint256 amount,
+        uint256 startTime,
+        uint256 endTime,
+        uint256 lastRewardClaim,
+        bool active,
+        uint256 tierId,
+        uint256 lockPeriod,
+        uint256 apyBps,
+        uint256 stakeTaxRate
+    ) {
+        Stake storage userStake = _getStakingStorage().stakes[_user][_stakeId];
+        return (
+            userStake.amount,
+            userStake.startTime,
+            userStake.endTime,
+            userStake.lastRewardClaim,
+            userStake.active,
+            userStake.tierId,
+            userStake.lockPeriod,
+            userStake.apyBps,
+            userStake.taxRate
+        );
+    }
+    
+    function userStakeIds(address _user, uint256 _index) external view returns (uint256) {
+        return _getStakingStorage().userStakeIds[_user][_index];
+    }
+    
+    function userTotalStaked(address _user) external view returns (uint256) {
+        return _getStakingStorage().userTotalStaked[_user];
+    }
+    
+    function stakeOwner(uint256 _stakeId) external view returns (address) {
+        return _getStakingStorage().stakeOwner[_stakeId];
+    }
+    
+    function queuedChanges(bytes32 _changeId) external view returns (uint256) {
+        return _getStakingStorage().queuedChanges[_changeId];
+    }
+    
+    function streamReserve(address _token) external view returns (uint256) {
+        return _getStakingStorage().streamReserve[_token];
     }
     
     
 // View functions
     function calculateRewards(address _user, uint256 _stakeId) public view returns (uint256) {
-        Stake memory userStake = stakes[_user][_stakeId];
-        if (!userStake.active) return 0;
-        
-        uint256 stakingDuration = block.timestamp - userStake.lastRewardClaim;
-        
-       
-        uint256 rewards = (userStake.amount * APY * stakingDuration) / (100 * SECONDS_PER_YEAR);
-        
-        return rewards;
+        return StakingLogic.calculateRewards(_getStakingStorage(), _user, _stakeId);
     }
    
     function getStakeDetails(address _user, uint256 _stakeId) external view returns (
@@ -175,66 +385,401 @@ contract StakingContract is Ownable, ReentrancyGuard, Pausable {
         uint256 startTime,
         uint256 endTime,
         uint256 pendingRewards,
-        bool active
+        bool active,
+        uint256 tierId,
+        uint256 lockPeriod,
+        uint256 apyBps,
+        uint256 stakeTaxRate
     ) {
-        Stake memory userStake = stakes[_user][_stakeId];
+        Stake storage userStake = _getStakingStorage().stakes[_user][_stakeId];
         return (
             userStake.amount,
             userStake.startTime,
             userStake.endTime,
             calculateRewards(_user, _stakeId),
-            userStake.active
+            userStake.active,
+            userStake.tierId,
+            userStake.lockPeriod,
+            userStake.apyBps,
+            userStake.taxRate
         );
     }
     
   
     function getUserStakeIds(address _user) external view returns (uint256[] memory) {
-        return userStakeIds[_user];
+        StakingStorage storage $ = _getStakingStorage();
+        return $.userStakeIds[_user];
     }
     
+    // scans userStakeIds[_user] from _offset and returns up to _limit stakes;
+    // nextOffset is where the next page starts and equals the ID count once exhausted
+    function getUserStakes(address _user, uint256 _offset, uint256 _limit, bool _onlyActive) external view returns (
+        StakeView[] memory,
+        uint256
+    ) {
+        _returnData(StakingLogic.getUserStakes(_getStakingStorage(), _user, _offset, _limit, _onlyActive));
+    }
+    
+    // nextUnlockTime is the earliest endTime still in the future, 0 if nothing is locked
+    function getPortfolioSummary(address _user) external view returns (
+        uint256 totalPrincipal,
+        uint256 totalPending,
+        uint256 nextUnlockTime,
+        uint256 activeStakes
+    ) {
+        return StakingLogic.getPortfolioSummary(_getStakingStorage(), _user);
+    }
+    
+
+    // rewards accrued by all active stakes but not yet paid out
+    function accruedRewardLiability() external view returns (uint256) {
+        return StakingAdmin.accruedRewardLiability(_getStakingStorage());
+    }
+    
+    // seconds until the reserve is exhausted at the current total stake, 0 if already insolvent
+    function rewardRunway() external view returns (uint256) {
+        return StakingAdmin.rewardRunway(_getStakingStorage());
+    }
+    
+    // whether the reserve and balance cover principal plus every accrued reward, final once sunset
+    function solvency() external view returns (bool solvent, uint256 liability, uint256 shortfall) {
+        return StakingAdmin.solvency(_getStakingStorage());
+    }
+    
+    // staking tokens held beyond principal and the reward reserve
+    function unallocatedBalance() external view returns (uint256) {
+        return StakingAdmin.unallocatedBalance(_getStakingStorage());
+    }
+    
+    function isAutoRollover(uint256 _stakeId) external view returns (bool) {
+        StakingStorage storage $ = _getStakingStorage();
+        return $.autoRolloverStakes.contains(_stakeId);
+    }
+    
+    function autoRolloverStakeCount() external view returns (uint256) {
+        StakingStorage storage $ = _getStakingStorage();
+        return $.autoRolloverStakes.length();
+    }
+    
+    function rewardStreamCount() external view returns (uint256) {
+        return _getStakingStorage().rewardStreams.length;
+    }
+    
+    function rewardStreams(uint256 _streamId) external view returns (
+        address token,
+        uint256 rewardRate,
+        uint256 endTime,
+        uint256 lastUpdateTime,
+        uint256 rewardPerTokenStored
+    ) {
+        RewardStream storage stream = _getStakingStorage().rewardStreams[_streamId];
+        return (address(stream.token), stream.rewardRate, stream.endTime, stream.lastUpdateTime, stream.rewardPerTokenStored);
+    }
+    
+    // stream rewards earned by a stake and not yet paid, indexed by stream ID
+    function pendingStreamRewards(address _user, uint256 _stakeId) external view returns (uint256[] memory) {
+        return StakingLogic.pendingStreamRewards(_getStakingStorage(), _user, _stakeId);
+    }
+    
+    function getTiers() external view returns (Tier[] memory) {
+        StakingStorage storage $ = _getStakingStorage();
+        return $.tiers;
+    }
+    
+    function tierCount() external view returns (uint256) {
+        StakingStorage storage $ = _getStakingStorage();
+        return $.tiers.length;
+    }
   
     function getContractStats() external view returns (
         uint256 _totalStaked,
         uint256 _totalStakers,
         uint256 _totalRewardsPaid
     ) {
-        return (totalStaked, stakeCounter, totalRewardsPaid);
+        StakingStorage storage $ = _getStakingStorage();
+        return ($.totalStaked, $.stakeCounter, $.totalRewardsPaid);
     }
     
+    
+    function previewEarlyUnstake(address _user, uint256 _stakeId) external view returns (
+        uint256 payout,
+        uint256 penalty,
+        uint256 tax,
+        uint256 forfeitedRewards
+    ) {
+        return StakingLogic.previewEarlyUnstake(_getStakingStorage(), _user, _stakeId);
+    }
   
-    function can_Unstake(address _user, uint256 _stakeId) external view returns (bool) {
-        Stake memory userStake = stakes[_user][_stakeId];
-        return userStake.active && block.timestamp >= userStake.endTime;
+    // gross payout, total fee, net payout and the fee's split for _action on the stake right now
+    function previewPayout(address _user, uint256 _stakeId, FeeAction _action) external view returns (
+        uint256,
+        uint256,
+        uint256,
+        FeeShare[] memory
+    ) {
+        _returnData(StakingLogic.previewPayout(_getStakingStorage(), _user, _stakeId, _action));
+    }
+    
+    function feeSchedule(FeeAction _action) external view returns (FeeSchedule memory) {
+        return _getStakingStorage().feeSchedules[uint256(_action)];
+    }
+    
+    function getFeeRecipients() external view returns (FeeRecipient[] memory) {
+        return _getStakingStorage().feeRecipients;
+    }
+    
+    function stakeCaps() external view returns (uint256 maxTotalStaked, uint256 maxUserStaked, bytes32 allowlistRoot) {
+        StakingStorage storage $ = _getStakingStorage();
+        return ($.maxTotalStaked, $.maxUserStaked, $.allowlistRoot);
+    }
+    
+    // the limit _user proved against the current allowlist root, 0 if none
+    function allowlistLimit(address _user) external view returns (uint256) {
+        StakingStorage storage $ = _getStakingStorage();
+        return $.allowlistLimits[$.allowlistRoot][_user];
+    }
+    
+    function remainingCapacity(address _user) external view returns (uint256) {
+        return StakingLogic.remainingCapacity(_getStakingStorage(), _user);
+    }
+    
+    function isFeeExempt(address _account) external view returns (bool) {
+        return _getStakingStorage().feeExempt[_account];
+    }
+  
+    function can_Unstake(address _user, uint256 _stakeId) public view returns (bool) {
+        return StakingLogic.canUnstake(_getStakingStorage(), _user, _stakeId);
+    }
+    
+    // governance votes: the checkpoints live in the position token and are read from there,
+    // so a Governor can take either this contract or positionToken() as its token
+    function clock() external view returns (uint48) {
+        _forwardToPositionToken();
+    }
+    
+    function CLOCK_MODE() external view returns (string memory) {
+        _forwardToPositionToken();
+    }
+    
+    function getVotes(address) external view returns (uint256) {
+        _forwardToPositionToken();
+    }
+    
+    function getPastVotes(address, uint256) external view returns (uint256) {
+        _forwardToPositionToken();
+    }
+    
+    function getPastTotalSupply(uint256) external view returns (uint256) {
+        _forwardToPositionToken();
+    }
+    
+    function delegates(address) external view returns (address) {
+        _forwardToPositionToken();
     }
     
   //admin functions
-    function setTreasury(address _newTreasury) external onlyOwner {
-        require(_newTreasury != address(0), "Invalid treasury address");
-        address oldTreasury = treasury;
-        treasury = _newTreasury;
-        emit TreasuryUpdated(oldTreasury, _newTreasury);
+    function setTreasury(address _newTreasury) external onlyRole(TREASURY_ADMIN_ROLE) {
+        StakingAdmin.setTreasury(_getStakingStorage(), _newTreasury);
+    }
+    
+
+    function queueChange(bytes calldata _data) external onlyRole(DEFAULT_ADMIN_ROLE) returns (bytes32) {
+        return StakingAdmin.queueChange(_getStakingStorage(), _data);
+    }
+    
+    function cancelChange(bytes32 _changeId) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        StakingAdmin.cancelChange(_getStakingStorage(), _changeId);
+    }
+    
+    // existing stakes keep the tax rate recorded at stake time until their next rollover
+    function setTaxRate(uint256 _taxRate) external onlyRole(DEFAULT_ADMIN_ROLE) timelocked {
+        StakingAdmin.setTaxRate(_getStakingStorage(), _taxRate);
+    }
+    
+    function setMinStake(uint256 _minStake) external onlyRole(DEFAULT_ADMIN_ROLE) timelocked {
+        StakingAdmin.setMinStake(_getStakingStorage(), _minStake);
+    }
+    
+    function addTier(uint256 _lockPeriod, uint256 _apyBps) external onlyRole(DEFAULT_ADMIN_ROLE) timelocked returns (uint256) {
+        return StakingAdmin.addTier(_getStakingStorage(), _lockPeriod, _apyBps);
+    }
+    
+    // existing stakes keep the terms recorded at stake time until their next rollover
+    function updateTier(uint256 _tierId, uint256 _lockPeriod, uint256 _apyBps, bool _active) external onlyRole(DEFAULT_ADMIN_ROLE) timelocked {
+        StakingAdmin.updateTier(_getStakingStorage(), _tierId, _lockPeriod, _apyBps, _active);
+    }
+    
+
+    function setEarlyUnstakePenalty(uint256 _penaltyBps, bool _linearDecay, bool _toReserve) external onlyRole(DEFAULT_ADMIN_ROLE) timelocked {
+        StakingAdmin.setEarlyUnstakePenalty(_getStakingStorage(), _penaltyBps, _linearDecay, _toReserve);
     }
     
 
-    function depositRewards(uint256 _amount) external onlyOwner {
-        stakingToken.safeTransferFrom(msg.sender, address(this), _amount);
-        emit RewardsDeposited(_amount);
+    // actions without an enabled schedule keep charging each stake's recorded tax rate
+    function setFeeSchedule(
+        FeeAction _action,
+        bool _enabled,
+        uint256 _rateBps,
+        FeeBracket[] calldata _brackets
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) timelocked {
+        StakingAdmin.setFeeSchedule(_getStakingStorage(), _action, _enabled, _rateBps, _brackets);
+    }
+    
+    function setFeeRecipients(FeeRecipient[] calldata _recipients) external onlyRole(DEFAULT_ADMIN_ROLE) timelocked {
+        StakingAdmin.setFeeRecipients(_getStakingStorage(), _recipients);
+    }
+    
+    // partner contracts staking on behalf of their users can be exempted from all fees
+    function setFeeExemption(address _account, bool _exempt) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _getStakingStorage().feeExempt[_account] = _exempt;
+        emit FeeExemptionUpdated(_account, _exempt);
+    }
+    
+    // 0 removes a cap; lowering one below what is already staked only blocks new deposits
+    function setStakeCaps(uint256 _maxTotalStaked, uint256 _maxUserStaked) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        StakingAdmin.setStakeCaps(_getStakingStorage(), _maxTotalStaked, _maxUserStaked);
+    }
+    
+    function setAllowlistRoot(bytes32 _root) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        StakingAdmin.setAllowlistRoot(_getStakingStorage(), _root);
+    }
+    
+    // one way; stakes can then exit with unstake regardless of lock, or move into
+    // _successorPool with migrate. The successor is part of the queued call, so stakers see it
+    // during the timelock; address(0) allows exits only
+    function sunset(address _successorPool) external onlyRole(DEFAULT_ADMIN_ROLE) timelocked {
+        StakingAdmin.sunset(_getStakingStorage(), _successorPool);
+    }
+    
+    // called by the position token on every transfer: the stake moves to the new holder,
+    // who then manages it through the usual unstake / rollover / claimRewards calls
+    function onPositionTransfer(address _from, address _to, uint256 _stakeId) external {
+        StakingStorage storage $ = _getStakingStorage();
+        require(msg.sender == address($.positionToken), "Only position token");
+        StakingLogic.transferPosition($, _from, _to, _stakeId);
+    }
+    
+    function setKeeperBounty(uint256 _bountyBps) external onlyRole(DEFAULT_ADMIN_ROLE) timelocked {
+        StakingAdmin.setKeeperBounty(_getStakingStorage(), _bountyBps);
+    }
+    
+
+    function depositRewards(uint256 _amount) external onlyRole(REWARD_MANAGER_ROLE) {
+        StakingAdmin.depositRewards(_getStakingStorage(), _msgSender(), _amount);
+    }
+    
+    // the stream's whole emission, _rewardRate * (_endTime - now), is pulled from the caller
+    function addRewardStream(
+        address _token,
+        uint256 _rewardRate,
+        uint256 _endTime
+    ) external nonReentrant onlyRole(DEFAULT_ADMIN_ROLE) returns (uint256) {
+        return StakingAdmin.addRewardStream(_getStakingStorage(), _msgSender(), IERC20(_token), _rewardRate, _endTime);
+    }
+    
+    // tops up or extends a stream; the caller pays whatever the new schedule needs beyond what is left
+    function updateRewardStream(
+        uint256 _streamId,
+        uint256 _rewardRate,
+        uint256 _endTime
+    ) external nonReentrant onlyRole(REWARD_MANAGER_ROLE) {
+        StakingAdmin.updateRewardStream(_getStakingStorage(), _msgSender(), _streamId, _rewardRate, _endTime);
     }
  
-    function pause() external onlyOwner {
+    function pause() external onlyRole(PAUSER_ROLE) {
         _pause();
     }
     
     
- 
-    function unpause() external onlyOwner {
+    // a pauser bot can stop the contract but only the admin can resume it
+    function unpause() external onlyRole(DEFAULT_ADMIN_ROLE) {
         _unpause();
     }
   
-    function emergencyWithdraw(address _token, uint256 _amount) external onlyOwner {
-        require(_token != address(stakingToken) || _amount <= IERC20(_token).balanceOf(address(this)) - totalStaked, 
-                "Cannot withdraw staked tokens");
-        IERC20(_token).safeTransfer(owner(), _amount);
-        emit EmergencyWithdraw(_token, _amount);
+    // only while paused, only unallocated tokens, and always to the admin
+    function emergencyWithdraw(address _token, uint256 _amount) external onlyRole(EMERGENCY_ROLE) whenPaused {
+        StakingAdmin.emergencyWithdraw(_getStakingStorage(), _token, _amount, defaultAdmin());
+    }
+
+    
+  //internal functions
+    function _stake(address _user, uint256 _amount, uint256 _tierId) internal {
+        StakingLogic.stake(_getStakingStorage(), _user, _amount, _tierId);
+    }
+    
+    function _unstake(address _user, uint256 _stakeId, uint256 _principal) internal {
+        StakingLogic.unstake(_getStakingStorage(), _user, _stakeId, _principal);
+    }
+    
+    function _rollover(address _user, uint256 _stakeId, uint256 _bountyBps) internal returns (uint256) {
+        return StakingLogic.rollover(_getStakingStorage(), _user, _stakeId, _bountyBps);
+    }
+    
+    function _claimRewards(address _user, uint256 _stakeId) internal {
+        StakingLogic.claimRewards(_getStakingStorage(), _user, _stakeId);
+    }
+    
+    // the position token has the same view signatures, so the call is passed through unchanged
+    // and its result or revert returned as is
+    function _forwardToPositionToken() internal view {
+        (bool success, bytes memory result) = address(_getStakingStorage().positionToken).staticcall(msg.data);
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+        _returnData(result);
+    }
+    
+    // ends the call with already abi-encoded return data
+    function _returnData(bytes memory _data) internal pure {
+        assembly {
+            return(add(_data, 32), mload(_data))
+        }
+    }
+    
+    function _getStakingStorage() internal pure returns (StakingStorage storage $) {
+        assembly {
+            $.slot := STAKING_STORAGE_LOCATION
+        }
+    }
+    
+    function _consumeQueuedChange() internal {
+        StakingAdmin.consumeQueuedChange(_getStakingStorage(), keccak256(_msgData()));
+    }
+    
+    // the reward funding bot must never be able to move tokens out, so no account holds both roles
+    function _grantRole(bytes32 _role, address _account) internal override returns (bool) {
+        require(
+            !(_role == EMERGENCY_ROLE && hasRole(REWARD_MANAGER_ROLE, _account)) &&
+            !(_role == REWARD_MANAGER_ROLE && hasRole(EMERGENCY_ROLE, _account)),
+            "Conflicting roles"
+        );
+        return super._grantRole(_role, _account);
+    }
+    
+    function _msgSender() internal view override(ContextUpgradeable, ERC2771ContextUpgradeable) returns (address) {
+        return ERC2771ContextUpgradeable._msgSender();
+    }
+    
+    function _msgData() internal view override(ContextUpgradeable, ERC2771ContextUpgradeable) returns (bytes calldata) {
+        return ERC2771ContextUpgradeable._msgData();
+    }
+    
+    function _contextSuffixLength() internal view override(ContextUpgradeable, ERC2771ContextUpgradeable) returns (uint256) {
+        return ERC2771ContextUpgradeable._contextSuffixLength();
+    }
+}
+
+/**
+ * @title StakingContract
+ * @dev Non-upgradeable deployment of StakingCore; deploys its own position token.
+ */
+contract StakingContract is StakingCore {
+    constructor(address _stakingToken, address _treasury, address _trustedForwarder)
+        StakingCore(_trustedForwarder)
+        initializer
+    {
+        __StakingCore_init(_stakingToken, _treasury, address(new StakePosition(address(this))), _msgSender());
     }
 }
\ No newline at end of file
@@ -1,5 +1,7 @@
 require("@nomicfoundation/hardhat-toolbox");
+require("@openzeppelin/hardhat-upgrades");
 require("dotenv").config();
+require("./tasks/staking");
 
 /** @type import('hardhat/config').HardhatUserConfig */
 
@@ -8,7 +10,15 @@ const PRIVATE_KEY = process.env.PRIVATE_KEY
   : undefined;
 
 module.exports = {
-  solidity: "0.8.28",
+  solidity: {
+    version: "0.8.28",
+    settings: {
+      optimizer: {
+        enabled: true,
+        runs: 200,
+      },
+    },
+  },
 
   networks: {
     sepolia: {
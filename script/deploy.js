@@ -1,32 +1,300 @@
-const  {ethers} =require("hardhat");
- require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+require("dotenv").config();
 
+// hardhat/localhost get a MockERC20 with a funded reward reserve instead of a real token
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+const LOCAL_MINT = "1000000";
+const LOCAL_SEED_REWARDS = "10000";
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+// external libraries linked into every staking deployment
+const LIBRARIES = ["StakingLogic", "StakingAdmin"];
 
-async function main() {
- 
-  const STAKING_TOKEN = process.env.STAKING_TOKEN_ADDRESS;
-  const TREASURY = process.env.TREASURY_ADDRESS;
+function configFromEnv() {
+  return {
+    stakingToken: process.env.STAKING_TOKEN_ADDRESS,
+    treasury: process.env.TREASURY_ADDRESS,
+    // optional: leave unset to deploy without meta-transaction support
+    trustedForwarder: process.env.TRUSTED_FORWARDER_ADDRESS,
+    // optional post-deploy steps
+    newAdmin: process.env.POST_DEPLOY_ADMIN,
+    newTreasury: process.env.POST_DEPLOY_TREASURY,
+    seedRewards: process.env.POST_DEPLOY_SEED_REWARDS,
+    roles: {
+      PAUSER_ROLE: process.env.POST_DEPLOY_PAUSER,
+      REWARD_MANAGER_ROLE: process.env.POST_DEPLOY_REWARD_MANAGER,
+      TREASURY_ADMIN_ROLE: process.env.POST_DEPLOY_TREASURY_ADMIN,
+      EMERGENCY_ROLE: process.env.POST_DEPLOY_EMERGENCY,
+    },
+    // deploy StakingContractUpgradeable behind a UUPS proxy instead of the immutable StakingContract
+    upgradeable: process.env.STAKING_UPGRADEABLE === "true",
+    // also deploy StakingPoolFactory and the StakingPool implementation it clones
+    poolFactory: process.env.DEPLOY_POOL_FACTORY === "true",
+  };
+}
 
-  if (!STAKING_TOKEN || !TREASURY) {
-    throw new Error("Please set STAKING_TOKEN_ADDRESS and TREASURY_ADDRESS in .env");
+function manifestPath(hre, config) {
+  return path.join(config.deploymentsDir || DEPLOYMENTS_DIR, `${hre.network.name}.json`);
+}
+
+function readManifest(file, chainId) {
+  if (!fs.existsSync(file)) return null;
+  const manifest = JSON.parse(fs.readFileSync(file, "utf8"));
+  return manifest.chainId === chainId ? manifest : null;
+}
+
+function writeManifest(file, manifest) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(manifest, null, 2) + "\n");
+}
+
+// options shared by deploy and upgrade; the trusted forwarder is an implementation immutable
+// and the staking libraries are external, which the upgrades plugin rejects by default
+function proxyOptions(trustedForwarder) {
+  return { kind: "uups", constructorArgs: [trustedForwarder], unsafeAllowLinkedLibraries: true };
+}
+
+// reuses the manifest entry when it was built from the same bytecode (with libraries linked)
+// and constructor args and the address still has code; otherwise deploys a fresh instance
+async function deployOrReuse(hre, previous, name, args, libraries = {}) {
+  const { ethers } = hre;
+  const artifact = await hre.artifacts.readArtifact(name);
+  const factory = await ethers.getContractFactory(name, { libraries });
+  const bytecodeHash = ethers.keccak256(factory.bytecode);
+  const abiHash = ethers.id(JSON.stringify(artifact.abi));
+  const constructorArgs = args.map(String);
+
+  const recorded = previous && previous.contracts[name];
+  if (
+    recorded &&
+    recorded.bytecodeHash === bytecodeHash &&
+    JSON.stringify(recorded.constructorArgs) === JSON.stringify(constructorArgs) &&
+    (await ethers.provider.getCode(recorded.address)) !== "0x"
+  ) {
+    console.log(`${name} unchanged, reusing ${recorded.address}`);
+    return { contract: await ethers.getContractAt(name, recorded.address), entry: recorded, deployed: false };
+  }
+
+  const contract = await factory.deploy(...args);
+  const receipt = await contract.deploymentTransaction().wait();
+  console.log(`${name} deployed to: ${receipt.contractAddress}`);
+
+  return {
+    contract,
+    deployed: true,
+    entry: {
+      address: receipt.contractAddress,
+      constructorArgs,
+      libraries,
+      blockNumber: receipt.blockNumber,
+      transactionHash: receipt.hash,
+      bytecodeHash,
+      abiHash,
+    },
+  };
+}
+
+// the factory holds the pool registry, so it is kept across implementation changes and
+// pointed at the new implementation instead of being redeployed
+async function deployOrReusePoolFactory(hre, previous, trustedForwarder, libraries) {
+  const implementation = await deployOrReuse(hre, previous, "StakingPool", [trustedForwarder], libraries);
+  const recorded = previous && previous.contracts.StakingPoolFactory;
+  const args = recorded ? recorded.constructorArgs : [implementation.entry.address];
+  const factory = await deployOrReuse(hre, previous, "StakingPoolFactory", args);
+
+  if ((await factory.contract.implementation()) !== implementation.entry.address) {
+    await (await factory.contract.setImplementation(implementation.entry.address)).wait();
+    console.log("StakingPoolFactory implementation set to:", implementation.entry.address);
   }
+  return { implementation, factory };
+}
 
+// an existing proxy is kept as is; script/upgrade.js moves it to a new implementation
+async function deployOrReuseProxy(hre, previous, args, libraries) {
+  const { ethers, upgrades } = hre;
   const [deployer] = await ethers.getSigners();
+  const [stakingToken, treasury, trustedForwarder] = args;
+
+  const recorded = previous && previous.contracts.StakingContract;
+  if (recorded && recorded.kind === "uups" && (await ethers.provider.getCode(recorded.address)) !== "0x") {
+    console.log(`StakingContract proxy exists, reusing ${recorded.address}`);
+    return {
+      contract: await ethers.getContractAt("StakingContractUpgradeable", recorded.address),
+      entry: recorded,
+      position: previous.contracts.StakePosition,
+      deployed: false,
+    };
+  }
+
+  const factory = await ethers.getContractFactory("StakingContractUpgradeable", { libraries });
+  const options = proxyOptions(trustedForwarder);
+  const implementation = await upgrades.deployImplementation(factory, options);
+
+  // the position token is bound to the proxy at construction, so it goes to the address the
+  // proxy is about to get; initialize reverts with "Position token not bound" if that was wrong
+  const nonce = await deployer.getNonce();
+  const proxyAddress = ethers.getCreateAddress({ from: deployer.address, nonce: nonce + 1 });
+  const position = await deployOrReuse(hre, null, "StakePosition", [proxyAddress]);
+
+  const contract = await upgrades.deployProxy(
+    factory,
+    [stakingToken, treasury, position.entry.address, deployer.address],
+    options
+  );
+  const receipt = await contract.deploymentTransaction().wait();
+  console.log(`StakingContract proxy deployed to: ${receipt.contractAddress}`);
+
+  const artifact = await hre.artifacts.readArtifact("StakingContractUpgradeable");
+  return {
+    contract,
+    position: position.entry,
+    deployed: true,
+    entry: {
+      address: receipt.contractAddress,
+      kind: "uups",
+      implementation,
+      constructorArgs: [String(trustedForwarder)],
+      initializerArgs: [stakingToken, treasury, position.entry.address, deployer.address].map(String),
+      libraries,
+      blockNumber: receipt.blockNumber,
+      transactionHash: receipt.hash,
+      bytecodeHash: ethers.keccak256(factory.bytecode),
+      abiHash: ethers.id(JSON.stringify(artifact.abi)),
+    },
+  };
+}
+
+async function deploy(hre, config = configFromEnv()) {
+  const { ethers, network } = hre;
+  const [deployer] = await ethers.getSigners();
+  const chainId = Number((await ethers.provider.getNetwork()).chainId);
+  const isLocal = LOCAL_NETWORKS.includes(network.name);
+
+  const manifestFile = manifestPath(hre, config);
+  const previous = readManifest(manifestFile, chainId);
+  const manifest = { network: network.name, chainId, deployer: deployer.address, contracts: {} };
+
   console.log("Deploying contracts with account:", deployer.address);
 
-  
-  const Staking = await ethers.getContractFactory("StakingContract");
-  const stakingContract = await Staking.deploy(STAKING_TOKEN, TREASURY);
-  await stakingContract.waitForDeployment();
+  let stakingToken = config.stakingToken;
+  let treasury = config.treasury;
+  if (isLocal) {
+    const mock = await deployOrReuse(hre, previous, "MockERC20", ["Mock USDT", "USDT", 6]);
+    manifest.contracts.MockERC20 = mock.entry;
+    if (mock.deployed) {
+      await (await mock.contract.mint(deployer.address, ethers.parseUnits(LOCAL_MINT, 6))).wait();
+    }
+    stakingToken = mock.entry.address;
+    treasury = deployer.address;
+  }
+
+  if (!stakingToken || !treasury) {
+    throw new Error("Please set STAKING_TOKEN_ADDRESS and TREASURY_ADDRESS in .env");
+  }
+  const trustedForwarder = config.trustedForwarder || ethers.ZeroAddress;
+
+  const libraries = {};
+  for (const name of LIBRARIES) {
+    const library = await deployOrReuse(hre, previous, name, []);
+    manifest.contracts[name] = library.entry;
+    libraries[name] = library.entry.address;
+  }
+
+  const args = [stakingToken, treasury, trustedForwarder];
+  const staking = config.upgradeable
+    ? await deployOrReuseProxy(hre, previous, args, libraries)
+    : await deployOrReuse(hre, previous, "StakingContract", args, libraries);
+  const stakingContract = staking.contract;
+  manifest.contracts.StakingContract = staking.entry;
+
+  if (staking.position) {
+    manifest.contracts.StakePosition = staking.position;
+  } else {
+    // created by the StakingContract constructor, so it shares its deployment transaction
+    const positionArtifact = await hre.artifacts.readArtifact("StakePosition");
+    manifest.contracts.StakePosition = {
+      address: await stakingContract.positionToken(),
+      constructorArgs: [staking.entry.address],
+      blockNumber: staking.entry.blockNumber,
+      transactionHash: staking.entry.transactionHash,
+      bytecodeHash: ethers.keccak256(positionArtifact.bytecode),
+      abiHash: ethers.id(JSON.stringify(positionArtifact.abi)),
+    };
+  }
+  if (config.poolFactory) {
+    const pools = await deployOrReusePoolFactory(hre, previous, trustedForwarder, libraries);
+    manifest.contracts.StakingPool = pools.implementation.entry;
+    manifest.contracts.StakingPoolFactory = pools.factory.entry;
+  }
+  writeManifest(manifestFile, manifest);
 
-  console.log("StakingContract deployed to:", await stakingContract.getAddress());
-  console.log("Staking Token Address:", STAKING_TOKEN);
-  console.log("Treasury Address:", TREASURY);
+  // rewards are only seeded right after a fresh deployment, so re-running never double-funds
+  const seedRewards = config.seedRewards || (isLocal ? LOCAL_SEED_REWARDS : undefined);
+  if (staking.deployed && seedRewards) {
+    const token = await ethers.getContractAt("IERC20Metadata", stakingToken);
+    const amount = ethers.parseUnits(seedRewards, await token.decimals());
+    await (await token.approve(staking.entry.address, amount)).wait();
+    await (await stakingContract.depositRewards(amount)).wait();
+    console.log("Seeded reward reserve with:", seedRewards);
+  }
+
+  if (config.newTreasury && (await stakingContract.treasury()) !== ethers.getAddress(config.newTreasury)) {
+    await (await stakingContract.setTreasury(config.newTreasury)).wait();
+    console.log("Treasury set to:", config.newTreasury);
+  }
+
+  for (const [role, account] of Object.entries(config.roles || {})) {
+    if (!account || (await stakingContract.hasRole(await stakingContract[role](), account))) continue;
+    await (await stakingContract.grantRole(await stakingContract[role](), account)).wait();
+    console.log(`Granted ${role} to:`, account);
+  }
+
+  // last, since every other step needs the deployer to still be the admin; the new admin
+  // accepts with acceptDefaultAdminTransfer once the admin transfer delay has passed
+  const pending = (await stakingContract.pendingDefaultAdmin())[0];
+  if (
+    config.newAdmin &&
+    (await stakingContract.defaultAdmin()) !== ethers.getAddress(config.newAdmin) &&
+    pending !== ethers.getAddress(config.newAdmin)
+  ) {
+    await (await stakingContract.beginDefaultAdminTransfer(config.newAdmin)).wait();
+    console.log("Admin transfer started to:", config.newAdmin);
+  }
+
+  manifest.admin = await stakingContract.defaultAdmin();
+  manifest.pendingAdmin = (await stakingContract.pendingDefaultAdmin())[0];
+  manifest.treasury = await stakingContract.treasury();
+  writeManifest(manifestFile, manifest);
+
+  console.log("StakingContract:", staking.entry.address);
+  console.log("Stake Position Token:", manifest.contracts.StakePosition.address);
+  console.log("Staking Token Address:", stakingToken);
+  console.log("Treasury Address:", manifest.treasury);
+  console.log("Trusted Forwarder:", trustedForwarder);
+  if (manifest.contracts.StakingPoolFactory) {
+    console.log("StakingPoolFactory:", manifest.contracts.StakingPoolFactory.address);
+  }
+  console.log("Manifest written to:", manifestFile);
+
+  return manifest;
 }
 
-main()
-  .then(() => process.exit(0))
-  .catch((error) => {
-    console.error(error);
-    process.exit(1);
-  });
+module.exports = {
+  LIBRARIES,
+  deploy,
+  configFromEnv,
+  deployOrReuse,
+  manifestPath,
+  proxyOptions,
+  readManifest,
+  writeManifest,
+};
+
+if (require.main === module) {
+  deploy(require("hardhat"))
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
\ No newline at end of file
@@ -0,0 +1,401 @@
+const fs = require("fs");
+const path = require("path");
+require("dotenv").config();
+const { manifestPath, readManifest } = require("./deploy");
+
+const REPORTS_DIR = path.join(__dirname, "..", "reports");
+const DEFAULT_BATCH_SIZE = 2000;
+
+// every event that moves principal or pays out, so the ledger reconciles with the contract
+const EVENTS = [
+  "Staked",
+  "Unstaked",
+  "PartialUnstaked",
+  "EarlyUnstaked",
+  "Rollover",
+  "AutoRollover",
+  "RewardsClaimed",
+  "StakesMerged",
+  "StakeSplit",
+  "PositionTransferred",
+  "StakeMigrated",
+  "RewardsDeposited",
+  "EmergencyWithdraw",
+];
+
+const USER_FIELDS = [
+  "principal",
+  "staked",
+  "compounded",
+  "withdrawn",
+  "migrated",
+  "transferredIn",
+  "transferredOut",
+  "rewards",
+  "tax",
+  "penalties",
+  "forfeited",
+  "keeperBounties",
+];
+const TOTAL_FIELDS = ["rewardsDeposited", "rewardsPaid", "tax", "penalties"];
+const ENTRY_FIELDS = ["principal", "rewards", "tax", "penalty"];
+
+function configFromEnv() {
+  return {
+    // defaults to the StakingContract recorded in deployments/<network>.json
+    staking: process.env.STAKING_CONTRACT_ADDRESS,
+    // defaults to the block the recorded contract was deployed in, then 0
+    fromBlock: optionalNumber(process.env.INDEXER_FROM_BLOCK),
+    // defaults to the latest block
+    toBlock: optionalNumber(process.env.INDEXER_TO_BLOCK),
+    batchSize: optionalNumber(process.env.INDEXER_BATCH_SIZE),
+    // defaults to reports/<network>
+    outDir: process.env.INDEXER_OUT_DIR,
+  };
+}
+
+function optionalNumber(value) {
+  return value ? Number(value) : undefined;
+}
+
+function emptyState(contract, chainId, fromBlock) {
+  return {
+    contract,
+    chainId,
+    fromBlock,
+    nextBlock: fromBlock,
+    stakeCounter: 0,
+    stakes: {},
+    users: {},
+    totals: Object.fromEntries(TOTAL_FIELDS.map((field) => [field, 0n])),
+    emergencyWithdrawals: {},
+    entries: [],
+  };
+}
+
+function user(state, address) {
+  if (!state.users[address]) {
+    state.users[address] = Object.fromEntries(USER_FIELDS.map((field) => [field, 0n]));
+  }
+  return state.users[address];
+}
+
+// stakes opened before fromBlock start at zero principal, which the cross-check then reports
+function stakeOf(state, stakeId, owner) {
+  if (!state.stakes[stakeId]) state.stakes[stakeId] = { owner, principal: 0n };
+  return state.stakes[stakeId];
+}
+
+// the checkpoint is the whole state after the last fully processed batch; amounts are
+// stored as decimal strings and revived as bigints
+function loadCheckpoint(file, contract, chainId) {
+  if (!fs.existsSync(file)) return null;
+  const saved = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (saved.contract !== contract || saved.chainId !== chainId) return null;
+
+  const revive = (record, fields) => {
+    for (const field of fields) record[field] = BigInt(record[field]);
+  };
+  Object.values(saved.users).forEach((record) => revive(record, USER_FIELDS));
+  Object.values(saved.stakes).forEach((record) => revive(record, ["principal"]));
+  saved.entries.forEach((entry) => revive(entry, ENTRY_FIELDS));
+  revive(saved.totals, TOTAL_FIELDS);
+  revive(saved.emergencyWithdrawals, Object.keys(saved.emergencyWithdrawals));
+  return saved;
+}
+
+function writeJson(file, value) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const json = JSON.stringify(value, (key, v) => (typeof v === "bigint" ? v.toString() : v), 2);
+  fs.writeFileSync(file, json + "\n");
+}
+
+function record(state, log, timestamp, name, fields) {
+  state.entries.push({
+    blockNumber: log.blockNumber,
+    timestamp,
+    transactionHash: log.transactionHash,
+    logIndex: log.index,
+    event: name,
+    user: fields.user,
+    stakeId: fields.stakeId === undefined ? "" : fields.stakeId.toString(),
+    principal: fields.principal || 0n,
+    rewards: fields.rewards || 0n,
+    tax: fields.tax || 0n,
+    penalty: fields.penalty || 0n,
+  });
+}
+
+function payout(state, account, rewards, tax) {
+  account.rewards += rewards;
+  account.tax += tax;
+  state.totals.rewardsPaid += rewards;
+  state.totals.tax += tax;
+}
+
+function withdraw(state, stakeId, account, principal) {
+  stakeOf(state, stakeId).principal -= principal;
+  account.principal -= principal;
+  account.withdrawn += principal;
+}
+
+function applyEvent(state, log, timestamp, event) {
+  const { args } = event;
+  const name = event.name;
+
+  switch (name) {
+    case "Staked": {
+      const account = user(state, args.user);
+      state.stakes[args.stakeId] = { owner: args.user, principal: args.amount };
+      state.stakeCounter = Math.max(state.stakeCounter, Number(args.stakeId));
+      account.principal += args.amount;
+      account.staked += args.amount;
+      record(state, log, timestamp, name, { user: args.user, stakeId: args.stakeId, principal: args.amount });
+      break;
+    }
+    case "Unstaked":
+    case "PartialUnstaked": {
+      const account = user(state, args.user);
+      withdraw(state, args.stakeId, account, args.principal);
+      payout(state, account, args.rewards, args.tax);
+      record(state, log, timestamp, name, {
+        user: args.user, stakeId: args.stakeId, principal: args.principal, rewards: args.rewards, tax: args.tax,
+      });
+      break;
+    }
+    case "EarlyUnstaked": {
+      const account = user(state, args.user);
+      withdraw(state, args.stakeId, account, args.principal);
+      account.tax += args.tax;
+      account.penalties += args.penalty;
+      account.forfeited += args.forfeitedRewards;
+      state.totals.tax += args.tax;
+      state.totals.penalties += args.penalty;
+      record(state, log, timestamp, name, {
+        user: args.user, stakeId: args.stakeId, principal: args.principal, tax: args.tax, penalty: args.penalty,
+      });
+      break;
+    }
+    case "Rollover": {
+      // the event carries the new principal; the difference is the rewards compounded
+      const account = user(state, args.user);
+      const stake = stakeOf(state, args.stakeId, args.user);
+      const compounded = args.newPrincipal - stake.principal;
+      stake.principal = args.newPrincipal;
+      account.principal += compounded;
+      account.compounded += compounded;
+      record(state, log, timestamp, name, { user: args.user, stakeId: args.stakeId, rewards: compounded });
+      break;
+    }
+    case "AutoRollover": {
+      // the keeper's bounty comes out of the staker's rewards
+      user(state, args.user).keeperBounties += args.bounty;
+      state.totals.rewardsPaid += args.bounty;
+      record(state, log, timestamp, name, { user: args.user, stakeId: args.stakeId, rewards: args.bounty });
+      break;
+    }
+    case "RewardsClaimed": {
+      payout(state, user(state, args.user), args.rewards, args.tax);
+      record(state, log, timestamp, name, {
+        user: args.user, stakeId: args.stakeId, rewards: args.rewards, tax: args.tax,
+      });
+      break;
+    }
+    case "StakesMerged": {
+      stakeOf(state, args.stakeId, args.user).principal = args.newAmount;
+      stakeOf(state, args.mergedStakeId, args.user).principal = 0n;
+      payout(state, user(state, args.user), args.rewards, args.tax);
+      record(state, log, timestamp, name, {
+        user: args.user, stakeId: args.stakeId, rewards: args.rewards, tax: args.tax,
+      });
+      break;
+    }
+    case "StakeSplit": {
+      stakeOf(state, args.stakeId, args.user).principal -= args.amount;
+      state.stakes[args.newStakeId] = { owner: args.user, principal: args.amount };
+      state.stakeCounter = Math.max(state.stakeCounter, Number(args.newStakeId));
+      record(state, log, timestamp, name, { user: args.user, stakeId: args.newStakeId, principal: args.amount });
+      break;
+    }
+    case "PositionTransferred": {
+      const from = user(state, args.from);
+      const to = user(state, args.to);
+      stakeOf(state, args.stakeId).owner = args.to;
+      from.principal -= args.amount;
+      from.transferredOut += args.amount;
+      to.principal += args.amount;
+      to.transferredIn += args.amount;
+      record(state, log, timestamp, name, { user: args.from, stakeId: args.stakeId, principal: -args.amount });
+      record(state, log, timestamp, name, { user: args.to, stakeId: args.stakeId, principal: args.amount });
+      break;
+    }
+    case "StakeMigrated": {
+      // the principal leaves for the successor pool; the rewards are paid out as a claim
+      const account = user(state, args.user);
+      stakeOf(state, args.stakeId).principal -= args.principal;
+      account.principal -= args.principal;
+      account.migrated += args.principal;
+      payout(state, account, args.rewards, args.tax);
+      record(state, log, timestamp, name, {
+        user: args.user, stakeId: args.stakeId, principal: args.principal, rewards: args.rewards, tax: args.tax,
+      });
+      break;
+    }
+    case "RewardsDeposited": {
+      state.totals.rewardsDeposited += args.amount;
+      break;
+    }
+    case "EmergencyWithdraw": {
+      state.emergencyWithdrawals[args.token] = (state.emergencyWithdrawals[args.token] || 0n) + args.amount;
+      break;
+    }
+  }
+}
+
+// compares the indexed totals with the contract's own at the last indexed block; they only
+// agree when indexing started at or before the deployment block
+async function crossCheck(staking, state, blockTag) {
+  const stats = await staking.getContractStats({ blockTag });
+  const totalStaked = Object.values(state.users).reduce((sum, account) => sum + account.principal, 0n);
+
+  const checks = [
+    { name: "totalStaked", indexed: totalStaked, onChain: stats._totalStaked },
+    { name: "totalStakers", indexed: BigInt(state.stakeCounter), onChain: stats._totalStakers },
+    { name: "totalRewardsPaid", indexed: state.totals.rewardsPaid, onChain: stats._totalRewardsPaid },
+  ];
+  for (const [address, account] of Object.entries(state.users)) {
+    checks.push({
+      name: `userTotalStaked(${address})`,
+      indexed: account.principal,
+      onChain: await staking.userTotalStaked(address, { blockTag }),
+    });
+  }
+
+  const mismatches = checks.filter((check) => check.indexed !== check.onChain).map((check) => check.name);
+  return { ok: mismatches.length === 0, mismatches, checks };
+}
+
+async function tokenDecimals(hre, token) {
+  try {
+    const metadata = await hre.ethers.getContractAt("IERC20Metadata", token);
+    return Number(await metadata.decimals());
+  } catch (error) {
+    return 18;
+  }
+}
+
+function toCsv(headers, rows) {
+  return [headers, ...rows].map((row) => row.join(",")).join("\n") + "\n";
+}
+
+function writeReports(outDir, report, state, format) {
+  writeJson(path.join(outDir, "ledger.json"), report);
+
+  const entries = state.entries.map((entry) => [
+    entry.blockNumber,
+    entry.timestamp,
+    new Date(entry.timestamp * 1000).toISOString(),
+    entry.transactionHash,
+    entry.event,
+    entry.user,
+    entry.stakeId,
+    ...ENTRY_FIELDS.map((field) => format(entry[field])),
+  ]);
+  fs.writeFileSync(
+    path.join(outDir, "ledger.csv"),
+    toCsv(["block", "timestamp", "date", "transaction", "event", "user", "stakeId", ...ENTRY_FIELDS], entries)
+  );
+
+  const users = Object.entries(state.users).map(([address, account]) => [
+    address,
+    ...USER_FIELDS.map((field) => format(account[field])),
+  ]);
+  fs.writeFileSync(path.join(outDir, "users.csv"), toCsv(["user", ...USER_FIELDS], users));
+}
+
+// replays the contract's logs in batches from the checkpoint (or fromBlock) to toBlock,
+// saving the checkpoint after each batch, then writes ledger.json, ledger.csv and users.csv
+async function runIndexer(hre, config = configFromEnv()) {
+  const { ethers } = hre;
+  const chainId = Number((await ethers.provider.getNetwork()).chainId);
+
+  const manifest = readManifest(manifestPath(hre, config), chainId);
+  const recorded = manifest && manifest.contracts.StakingContract;
+  const address = config.staking || (recorded && recorded.address);
+  if (!address) {
+    throw new Error("Please set STAKING_CONTRACT_ADDRESS or deploy with script/deploy.js first");
+  }
+
+  const staking = await ethers.getContractAt("StakingContract", address);
+  const outDir = config.outDir || path.join(REPORTS_DIR, hre.network.name);
+  const checkpointFile = path.join(outDir, "checkpoint.json");
+  const batchSize = config.batchSize || DEFAULT_BATCH_SIZE;
+
+  let state = loadCheckpoint(checkpointFile, address, chainId);
+  if (state) {
+    console.log(`Resuming from block ${state.nextBlock}`);
+  } else {
+    const deployBlock = recorded && recorded.address === address ? recorded.blockNumber : 0;
+    state = emptyState(address, chainId, config.fromBlock ?? deployBlock);
+  }
+  const toBlock = config.toBlock ?? (await ethers.provider.getBlockNumber());
+
+  const topics = EVENTS.map((name) => staking.interface.getEvent(name).topicHash);
+  const timestamps = new Map();
+  for (let from = state.nextBlock; from <= toBlock; from += batchSize) {
+    const to = Math.min(from + batchSize - 1, toBlock);
+    const logs = await ethers.provider.getLogs({ address, fromBlock: from, toBlock: to, topics: [topics] });
+
+    for (const log of logs) {
+      if (!timestamps.has(log.blockNumber)) {
+        timestamps.set(log.blockNumber, (await ethers.provider.getBlock(log.blockNumber)).timestamp);
+      }
+      applyEvent(state, log, timestamps.get(log.blockNumber), staking.interface.parseLog(log));
+    }
+
+    state.nextBlock = to + 1;
+    writeJson(checkpointFile, state);
+    console.log(`Indexed blocks ${from}-${to}: ${logs.length} events`);
+  }
+
+  const lastBlock = state.nextBlock - 1;
+  const stakingToken = await staking.stakingToken();
+  const decimals = await tokenDecimals(hre, stakingToken);
+  const report = {
+    network: hre.network.name,
+    chainId,
+    contract: address,
+    stakingToken,
+    decimals,
+    fromBlock: state.fromBlock,
+    toBlock: lastBlock,
+    totals: { ...state.totals, emergencyWithdrawals: state.emergencyWithdrawals },
+    users: state.users,
+    crossCheck: await crossCheck(staking, state, lastBlock),
+  };
+  writeReports(outDir, report, state, (amount) => ethers.formatUnits(amount, decimals));
+
+  if (report.crossCheck.ok) {
+    console.log("Cross-check against the contract passed");
+  } else {
+    console.log(`Cross-check mismatches: ${report.crossCheck.mismatches.join(", ")}`);
+  }
+  console.log("Reports written to:", outDir);
+
+  return report;
+}
+
+module.exports = {
+  runIndexer,
+  configFromEnv,
+  EVENTS,
+};
+
+if (require.main === module) {
+  runIndexer(require("hardhat"))
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
\ No newline at end of file
@@ -0,0 +1,82 @@
+require("dotenv").config();
+const {
+  LIBRARIES,
+  deployOrReuse,
+  manifestPath,
+  proxyOptions,
+  readManifest,
+  writeManifest,
+} = require("./deploy");
+
+function configFromEnv() {
+  return {
+    // defaults to the proxy recorded in deployments/<network>.json
+    proxy: process.env.STAKING_PROXY_ADDRESS,
+    implementation: process.env.UPGRADE_IMPLEMENTATION || "StakingContractUpgradeable",
+  };
+}
+
+async function upgrade(hre, config = configFromEnv()) {
+  const { ethers, upgrades } = hre;
+  const chainId = Number((await ethers.provider.getNetwork()).chainId);
+
+  const manifestFile = manifestPath(hre, config);
+  const manifest = readManifest(manifestFile, chainId);
+  const recorded = manifest && manifest.contracts.StakingContract;
+  const proxy = config.proxy || (recorded && recorded.kind === "uups" ? recorded.address : undefined);
+  if (!proxy) {
+    throw new Error("Please set STAKING_PROXY_ADDRESS or deploy with STAKING_UPGRADEABLE=true first");
+  }
+
+  const artifact = await hre.artifacts.readArtifact(config.implementation);
+  // only the libraries the new implementation actually links are deployed and recorded
+  const linked = Object.values(artifact.linkReferences).flatMap((refs) => Object.keys(refs));
+  const libraries = {};
+  const entries = {};
+  for (const name of LIBRARIES.filter((library) => linked.includes(library))) {
+    entries[name] = (await deployOrReuse(hre, manifest, name, [])).entry;
+    libraries[name] = entries[name].address;
+  }
+  const factory = await ethers.getContractFactory(config.implementation, { libraries });
+
+  // the forwarder lives in the implementation, so keep the one the proxy runs with today
+  const current = await ethers.getContractAt("StakingContractUpgradeable", proxy);
+  const options = proxyOptions(await current.trustedForwarder());
+
+  // compares the new implementation's storage layout against the one recorded for the proxy
+  // and throws with a report of every conflict before anything is sent
+  console.log(`Validating ${config.implementation} against ${proxy}...`);
+  await upgrades.validateUpgrade(proxy, factory, options);
+  console.log("Storage layout is compatible");
+
+  await upgrades.upgradeProxy(proxy, factory, options);
+  const implementation = await upgrades.erc1967.getImplementationAddress(proxy);
+  console.log(`StakingContract upgraded to ${config.implementation} at: ${implementation}`);
+
+  if (manifest && recorded && recorded.address === proxy) {
+    Object.assign(manifest.contracts, entries);
+    manifest.contracts.StakingContract = {
+      ...recorded,
+      implementation,
+      implementationName: config.implementation,
+      libraries,
+      bytecodeHash: ethers.keccak256(factory.bytecode),
+      abiHash: ethers.id(JSON.stringify(artifact.abi)),
+    };
+    writeManifest(manifestFile, manifest);
+    console.log("Manifest updated:", manifestFile);
+  }
+
+  return implementation;
+}
+
+module.exports = { upgrade, configFromEnv };
+
+if (require.main === module) {
+  upgrade(require("hardhat"))
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
\ No newline at end of file
@@ -0,0 +1,441 @@
+const { task, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+
+// Shared helpers: every task resolves the staking contract from --contract or
+// STAKING_CONTRACT_ADDRESS and acts as the signer picked with --account.
+
+function stakingTask(name, description) {
+  return task(name, description)
+    .addOptionalParam("contract", "StakingContract address (defaults to STAKING_CONTRACT_ADDRESS)")
+    .addOptionalParam("account", "Index of the signer to use", 0, types.int);
+}
+
+async function connect(hre, args) {
+  const address = args.contract || process.env.STAKING_CONTRACT_ADDRESS;
+  if (!address) {
+    throw new HardhatPluginError("staking", "Pass --contract or set STAKING_CONTRACT_ADDRESS in .env");
+  }
+
+  const signers = await hre.ethers.getSigners();
+  const signer = signers[args.account];
+  if (!signer) {
+    throw new HardhatPluginError("staking", `No signer at index ${args.account}`);
+  }
+
+  const staking = await hre.ethers.getContractAt("StakingContract", address, signer);
+  const token = await hre.ethers.getContractAt("IERC20Metadata", await staking.stakingToken(), signer);
+  const decimals = await token.decimals();
+  const symbol = await token.symbol();
+
+  return {
+    signer,
+    staking,
+    token,
+    symbol,
+    parse: (amount) => hre.ethers.parseUnits(amount, decimals),
+    format: (amount) => `${hre.ethers.formatUnits(amount, decimals)} ${symbol}`,
+  };
+}
+
+const ROLES = ["PAUSER", "REWARD_MANAGER", "TREASURY_ADMIN", "EMERGENCY"];
+
+async function roleId(ctx, name) {
+  const role = name.toUpperCase().replace(/_ROLE$/, "");
+  if (!ROLES.includes(role)) {
+    throw new HardhatPluginError("staking", `Unknown role ${name}, expected one of ${ROLES.join(", ")}`);
+  }
+  return ctx.staking[`${role}_ROLE`]();
+}
+
+function formatTime(timestamp) {
+  return new Date(Number(timestamp) * 1000).toISOString();
+}
+
+async function ensureAllowance(ctx, amount) {
+  const spender = await ctx.staking.getAddress();
+  const allowance = await ctx.token.allowance(ctx.signer.address, spender);
+  if (allowance >= amount) return;
+
+  console.log(`Approving ${ctx.format(amount)}...`);
+  await send(ctx, ctx.token.approve(spender, amount));
+}
+
+// sends a transaction, prints the events it emitted and turns reverts into readable errors
+async function send(ctx, txPromise) {
+  let receipt;
+  try {
+    const tx = await txPromise;
+    console.log(`Transaction: ${tx.hash}`);
+    receipt = await tx.wait();
+  } catch (error) {
+    throw new HardhatPluginError("staking", `Transaction reverted: ${decodeError(ctx, error)}`);
+  }
+
+  for (const log of receipt.logs) {
+    const event = parseLog(ctx, log);
+    if (!event) continue;
+
+    const args = event.fragment.inputs
+      .map((input, i) => `${input.name}=${event.args[i]}`)
+      .join(", ");
+    console.log(`  ${event.name}(${args})`);
+  }
+  return receipt;
+}
+
+function parseLog(ctx, log) {
+  for (const contract of [ctx.staking, ctx.token]) {
+    try {
+      const event = contract.interface.parseLog(log);
+      if (event) return event;
+    } catch (error) {
+      // not emitted by this contract
+    }
+  }
+  return null;
+}
+
+function decodeError(ctx, error) {
+  if (error.reason) return error.reason;
+
+  const data = findRevertData(error);
+  if (data) {
+    for (const contract of [ctx.staking, ctx.token]) {
+      const decoded = contract.interface.parseError(data);
+      if (!decoded) continue;
+      // require strings come back as the built-in Error(string)
+      if (decoded.name === "Error") return decoded.args[0];
+      return `${decoded.name}(${decoded.args.join(", ")})`;
+    }
+  }
+  return error.shortMessage || error.message;
+}
+
+// the in-process network and JSON-RPC nodes nest the revert data at different depths
+function findRevertData(value, depth = 0) {
+  if (typeof value === "string") return /^0x[0-9a-fA-F]{8,}$/.test(value) ? value : null;
+  if (!value || typeof value !== "object" || depth > 4) return null;
+
+  for (const key of ["data", "error", "info"]) {
+    const data = findRevertData(value[key], depth + 1);
+    if (data) return data;
+  }
+  return null;
+}
+
+// User tasks
+
+stakingTask("staking:stake", "Stake tokens into a tier, approving first if needed")
+  .addParam("amount", "Amount in whole tokens, e.g. 1000 or 12.5")
+  .addOptionalParam("tier", "Tier ID", 0, types.int)
+  .setAction(async (args, hre) => {
+    const ctx = await connect(hre, args);
+    const amount = ctx.parse(args.amount);
+
+    await ensureAllowance(ctx, amount);
+    console.log(`Staking ${ctx.format(amount)} in tier ${args.tier}...`);
+    return send(ctx, ctx.staking.stake(amount, args.tier));
+  });
+
+stakingTask("staking:unstake", "Unstake a matured stake, fully or partially")
+  .addParam("id", "Stake ID", undefined, types.int)
+  .addOptionalParam("amount", "Principal to withdraw in whole tokens (defaults to all of it)")
+  .setAction(async (args, hre) => {
+    const ctx = await connect(hre, args);
+
+    if (args.amount) {
+      const amount = ctx.parse(args.amount);
+      console.log(`Withdrawing ${ctx.format(amount)} from stake ${args.id}...`);
+      return send(ctx, ctx.staking["unstake(uint256,uint256)"](args.id, amount));
+    }
+
+    console.log(`Unstaking stake ${args.id}...`);
+    return send(ctx, ctx.staking["unstake(uint256)"](args.id));
+  });
+
+stakingTask("staking:rollover", "Compound a matured stake into a new lock")
+  .addParam("id", "Stake ID", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const ctx = await connect(hre, args);
+
+    console.log(`Rolling over stake ${args.id}...`);
+    return send(ctx, ctx.staking.rollover(args.id));
+  });
+
+stakingTask("staking:claim", "Claim the rewards accrued on a stake")
+  .addParam("id", "Stake ID", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const ctx = await connect(hre, args);
+
+    console.log(`Claiming rewards on stake ${args.id}...`);
+    return send(ctx, ctx.staking.claimRewards(args.id));
+  });
+
+stakingTask("staking:status", "Show a user's stakes and pending rewards")
+  .addOptionalParam("user", "User address (defaults to the signer)")
+  .setAction(async (args, hre) => {
+    const ctx = await connect(hre, args);
+    const user = args.user || ctx.signer.address;
+
+    const summary = await ctx.staking.getPortfolioSummary(user);
+    console.log(`User: ${user}`);
+    console.log(`Wallet balance: ${ctx.format(await ctx.token.balanceOf(user))}`);
+    console.log(`Total staked: ${ctx.format(summary.totalPrincipal)}`);
+    console.log(`Pending rewards: ${ctx.format(summary.totalPending)}`);
+    console.log(`Active stakes: ${summary.activeStakes}`);
+    if (summary.nextUnlockTime > 0n) {
+      console.log(`Next unlock: ${formatTime(summary.nextUnlockTime)}`);
+    }
+
+    const now = BigInt((await hre.ethers.provider.getBlock("latest")).timestamp);
+    const total = BigInt((await ctx.staking.getUserStakeIds(user)).length);
+    let offset = 0n;
+    while (offset < total) {
+      const [page, nextOffset] = await ctx.staking.getUserStakes(user, offset, 50, true);
+      for (const { stakeId, stake, pendingRewards } of page) {
+        const state = stake.endTime <= now ? "matured" : `locked until ${formatTime(stake.endTime)}`;
+        console.log(
+          `  #${stakeId}: ${ctx.format(stake.amount)}, tier ${stake.tierId}, ` +
+          `${Number(stake.apyBps) / 100}% APY, ${state}, pending ${ctx.format(pendingRewards)}`
+        );
+      }
+      offset = nextOffset;
+    }
+
+    return summary;
+  });
+
+stakingTask("staking:stats", "Show contract-wide totals and parameters")
+  .setAction(async (args, hre) => {
+    const ctx = await connect(hre, args);
+    const stats = await ctx.staking.getContractStats();
+    const runway = await ctx.staking.rewardRunway();
+
+    console.log(`Contract: ${await ctx.staking.getAddress()}`);
+    console.log(`Staking token: ${await ctx.token.getAddress()} (${ctx.symbol})`);
+    console.log(`Admin: ${await ctx.staking.defaultAdmin()}`);
+    const [pendingAdmin, acceptAfter] = await ctx.staking.pendingDefaultAdmin();
+    if (pendingAdmin !== hre.ethers.ZeroAddress) {
+      console.log(`Pending admin: ${pendingAdmin} (can accept after ${formatTime(acceptAfter)})`);
+    }
+    console.log(`Treasury: ${await ctx.staking.treasury()}`);
+    console.log(`Paused: ${await ctx.staking.paused()}`);
+    console.log(`Total staked: ${ctx.format(stats._totalStaked)}`);
+    console.log(`Stakes created: ${stats._totalStakers}`);
+    console.log(`Rewards paid: ${ctx.format(stats._totalRewardsPaid)}`);
+    console.log(`Reward reserve: ${ctx.format(await ctx.staking.rewardReserve())}`);
+    console.log(`Accrued liability: ${ctx.format(await ctx.staking.accruedRewardLiability())}`);
+    console.log(`Reward runway: ${runway === hre.ethers.MaxUint256 ? "unlimited" : `${runway / 86400n} days`}`);
+    console.log(`Tax rate: ${Number(await ctx.staking.taxRate()) / 100}%`);
+    console.log(`Minimum stake: ${ctx.format(await ctx.staking.minStake())}`);
+
+    const tiers = await ctx.staking.getTiers();
+    tiers.forEach((tier, id) => {
+      console.log(
+        `  Tier ${id}: ${Number(tier.lockPeriod) / 86400} days, ` +
+        `${Number(tier.apyBps) / 100}% APY${tier.active ? "" : " (inactive)"}`
+      );
+    });
+
+    return stats;
+  });
+
+// Admin tasks
+
+stakingTask("staking:set-treasury", "Set the treasury address")
+  .addParam("treasury", "New treasury address")
+  .setAction(async (args, hre) => {
+    const ctx = await connect(hre, args);
+
+    console.log(`Setting treasury to ${args.treasury}...`);
+    return send(ctx, ctx.staking.setTreasury(args.treasury));
+  });
+
+stakingTask("staking:deposit-rewards", "Deposit tokens into the reward reserve, approving first if needed")
+  .addParam("amount", "Amount in whole tokens")
+  .setAction(async (args, hre) => {
+    const ctx = await connect(hre, args);
+    const amount = ctx.parse(args.amount);
+
+    await ensureAllowance(ctx, amount);
+    console.log(`Depositing ${ctx.format(amount)} of rewards...`);
+    return send(ctx, ctx.staking.depositRewards(amount));
+  });
+
+stakingTask("staking:pause", "Pause staking, rollovers and upkeep")
+  .setAction(async (args, hre) => {
+    const ctx = await connect(hre, args);
+    return send(ctx, ctx.staking.pause());
+  });
+
+stakingTask("staking:unpause", "Unpause the contract (admin only)")
+  .setAction(async (args, hre) => {
+    const ctx = await connect(hre, args);
+    return send(ctx, ctx.staking.unpause());
+  });
+
+stakingTask("staking:grant-role", "Grant an operational role (admin only)")
+  .addParam("role", `One of ${ROLES.join(", ")}`)
+  .addParam("to", "Account receiving the role")
+  .setAction(async (args, hre) => {
+    const ctx = await connect(hre, args);
+
+    console.log(`Granting ${args.role} to ${args.to}...`);
+    return send(ctx, ctx.staking.grantRole(await roleId(ctx, args.role), args.to));
+  });
+
+stakingTask("staking:revoke-role", "Revoke an operational role (admin only)")
+  .addParam("role", `One of ${ROLES.join(", ")}`)
+  .addParam("from", "Account losing the role")
+  .setAction(async (args, hre) => {
+    const ctx = await connect(hre, args);
+
+    console.log(`Revoking ${args.role} from ${args.from}...`);
+    return send(ctx, ctx.staking.revokeRole(await roleId(ctx, args.role), args.from));
+  });
+
+stakingTask("staking:emergency-withdraw", "Withdraw unallocated or foreign tokens to the admin while paused")
+  .addParam("amount", "Amount in whole tokens of the withdrawn token")
+  .addOptionalParam("token", "Token address (defaults to the staking token)")
+  .setAction(async (args, hre) => {
+    const ctx = await connect(hre, args);
+    const tokenAddress = args.token || await ctx.token.getAddress();
+    const token = await hre.ethers.getContractAt("IERC20Metadata", tokenAddress, ctx.signer);
+    const amount = hre.ethers.parseUnits(args.amount, await token.decimals());
+
+    console.log(`Withdrawing ${args.amount} of ${tokenAddress}...`);
+    return send(ctx, ctx.staking.emergencyWithdraw(tokenAddress, amount));
+  });
+
+// Pool factory tasks: the factory comes from --factory or POOL_FACTORY_ADDRESS
+
+function factoryTask(name, description) {
+  return task(name, description)
+    .addOptionalParam("factory", "StakingPoolFactory address (defaults to POOL_FACTORY_ADDRESS)")
+    .addOptionalParam("account", "Index of the signer to use", 0, types.int);
+}
+
+async function connectFactory(hre, args) {
+  const address = args.factory || process.env.POOL_FACTORY_ADDRESS;
+  if (!address) {
+    throw new HardhatPluginError("staking", "Pass --factory or set POOL_FACTORY_ADDRESS in .env");
+  }
+
+  const signer = (await hre.ethers.getSigners())[args.account];
+  if (!signer) {
+    throw new HardhatPluginError("staking", `No signer at index ${args.account}`);
+  }
+  return { signer, factory: await hre.ethers.getContractAt("StakingPoolFactory", address, signer) };
+}
+
+// "30:1000,90:1200" -> lock periods in seconds and APYs in basis points
+function parseTiers(tiers) {
+  const lockPeriods = [];
+  const apyBps = [];
+  for (const tier of tiers ? tiers.split(",") : []) {
+    const [days, bps] = tier.split(":").map(Number);
+    if (!Number.isInteger(days) || !Number.isInteger(bps)) {
+      throw new HardhatPluginError("staking", `Invalid tier ${tier}, expected <days>:<apy bps>`);
+    }
+    lockPeriods.push(days * 86400);
+    apyBps.push(bps);
+  }
+  return { lockPeriods, apyBps };
+}
+
+factoryTask("staking:create-pool", "Deploy a new staking pool through the factory")
+  .addParam("token", "Staking token address")
+  .addOptionalParam("treasury", "Treasury address (defaults to the signer)")
+  .addOptionalParam("admin", "Pool admin (defaults to the signer)")
+  .addOptionalParam("tax", "Tax rate in basis points", 50, types.int)
+  .addOptionalParam("minStake", "Minimum stake in whole tokens", "100")
+  .addOptionalParam("penalty", "Early unstake penalty in basis points", 1000, types.int)
+  .addOptionalParam("tiers", "Tiers as <days>:<apy bps>, comma separated (defaults to 30:1000)")
+  .setAction(async (args, hre) => {
+    const { signer, factory } = await connectFactory(hre, args);
+    const token = await hre.ethers.getContractAt("IERC20Metadata", args.token, signer);
+    const params = {
+      stakingToken: args.token,
+      treasury: args.treasury || signer.address,
+      admin: args.admin || signer.address,
+      taxRate: args.tax,
+      minStake: hre.ethers.parseUnits(args.minStake, await token.decimals()),
+      earlyUnstakePenaltyBps: args.penalty,
+      ...parseTiers(args.tiers),
+    };
+
+    console.log(`Creating a ${await token.symbol()} pool...`);
+    const receipt = await send({ staking: factory, token }, factory.createPool(params));
+    const created = receipt.logs
+      .filter((log) => log.address === factory.target)
+      .map((log) => factory.interface.parseLog(log))
+      .find((event) => event && event.name === "PoolCreated");
+    console.log(`Use --contract ${created.args.pool} with the staking:* tasks`);
+    return created.args.pool;
+  });
+
+factoryTask("staking:pools", "List the factory's pools and their totals")
+  .addOptionalParam("token", "Only list pools of this staking token")
+  .setAction(async (args, hre) => {
+    const { signer, factory } = await connectFactory(hre, args);
+    const pools = args.token
+      ? await factory.getPoolsByToken(args.token)
+      : await factory.getPools(0, await factory.poolCount());
+
+    for (const address of pools) {
+      const pool = await hre.ethers.getContractAt("StakingPool", address, signer);
+      const token = await hre.ethers.getContractAt("IERC20Metadata", await pool.stakingToken(), signer);
+      const decimals = await token.decimals();
+      const symbol = await token.symbol();
+      const stats = await pool.getContractStats();
+      console.log(
+        `${address}: ${symbol}, ${hre.ethers.formatUnits(stats._totalStaked, decimals)} ${symbol} staked, ` +
+        `${stats._totalStakers} stakes, ${hre.ethers.formatUnits(stats._totalRewardsPaid, decimals)} ${symbol} paid`
+      );
+    }
+    console.log(`Pools: ${pools.length}`);
+    return pools;
+  });
+
+// Local development
+
+task("staking:deploy-local", "Deploy MockERC20 and StakingContract and fund the first signers")
+  .addOptionalParam("mint", "Tokens minted to each of the first five signers", "100000")
+  .addOptionalParam("rewards", "Tokens deposited into the reward reserve", "10000")
+  .setAction(async (args, hre) => {
+    const { ethers } = hre;
+    const signers = (await ethers.getSigners()).slice(0, 5);
+    const [deployer] = signers;
+
+    const token = await ethers.deployContract("MockERC20", ["Mock USDT", "USDT", 6]);
+    await token.waitForDeployment();
+    const stakingLogic = await ethers.deployContract("StakingLogic");
+    await stakingLogic.waitForDeployment();
+    const stakingAdmin = await ethers.deployContract("StakingAdmin");
+    await stakingAdmin.waitForDeployment();
+    const staking = await ethers.deployContract(
+      "StakingContract",
+      [await token.getAddress(), deployer.address, ethers.ZeroAddress],
+      {
+        libraries: {
+          StakingLogic: await stakingLogic.getAddress(),
+          StakingAdmin: await stakingAdmin.getAddress(),
+        },
+      }
+    );
+    await staking.waitForDeployment();
+
+    for (const signer of signers) {
+      await (await token.mint(signer.address, ethers.parseUnits(args.mint, 6))).wait();
+    }
+    const rewards = ethers.parseUnits(args.rewards, 6);
+    await (await token.approve(await staking.getAddress(), rewards)).wait();
+    await (await staking.depositRewards(rewards)).wait();
+
+    console.log(`MockERC20 deployed to: ${await token.getAddress()}`);
+    console.log(`StakingContract deployed to: ${await staking.getAddress()}`);
+    console.log(`Minted ${args.mint} USDT to ${signers.length} signers, deposited ${args.rewards} USDT of rewards`);
+    console.log(`Use --contract ${await staking.getAddress()} or set STAKING_CONTRACT_ADDRESS`);
+
+    return staking;
+  });
\ No newline at end of file
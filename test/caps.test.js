@@ -0,0 +1,195 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployStaking } = require("./helpers/staking");
+
+describe("Deposit Caps & Allowlist", function () {
+    let stakingContract;
+    let mockToken;
+    let owner;
+    let treasury;
+    let user1;
+    let user2;
+    let user3;
+
+    const LOCK_PERIOD = 30 * 24 * 60 * 60;
+    const stakeAmount = ethers.parseUnits("1000", 6);
+
+    // leaves and sorted-pair hashing as built by @openzeppelin/merkle-tree's StandardMerkleTree
+    function leaf(account, limit) {
+        return ethers.keccak256(ethers.keccak256(
+            ethers.AbiCoder.defaultAbiCoder().encode(["address", "uint256"], [account, limit])
+        ));
+    }
+
+    function merkleTree(entries) {
+        const hashPair = (a, b) => ethers.keccak256(ethers.concat(a < b ? [a, b] : [b, a]));
+        const levels = [entries.map(([account, limit]) => leaf(account, limit))];
+        while (levels[levels.length - 1].length > 1) {
+            const level = levels[levels.length - 1];
+            const next = [];
+            for (let i = 0; i < level.length; i += 2) {
+                next.push(i + 1 < level.length ? hashPair(level[i], level[i + 1]) : level[i]);
+            }
+            levels.push(next);
+        }
+
+        return {
+            root: levels[levels.length - 1][0],
+            proof(index) {
+                const proof = [];
+                for (const level of levels.slice(0, -1)) {
+                    if ((index ^ 1) < level.length) proof.push(level[index ^ 1]);
+                    index >>= 1;
+                }
+                return proof;
+            },
+        };
+    }
+
+    beforeEach(async function () {
+        [owner, treasury, user1, user2, user3] = await ethers.getSigners();
+
+        const MockToken = await ethers.getContractFactory("MockERC20");
+        mockToken = await MockToken.deploy("Mock USDT", "USDT", 6);
+        stakingContract = await deployStaking(mockToken.target, treasury.address);
+
+        for (const account of [owner, user1, user2, user3]) {
+            await mockToken.mint(account.address, ethers.parseUnits("100000", 6));
+            await mockToken.connect(account).approve(stakingContract.target, ethers.MaxUint256);
+        }
+        await stakingContract.connect(owner).depositRewards(ethers.parseUnits("10000", 6));
+    });
+
+    describe("Stake caps", function () {
+        it("Should start uncapped", async function () {
+            const [maxTotalStaked, maxUserStaked, allowlistRoot] = await stakingContract.stakeCaps();
+            expect(maxTotalStaked).to.equal(0);
+            expect(maxUserStaked).to.equal(0);
+            expect(allowlistRoot).to.equal(ethers.ZeroHash);
+            expect(await stakingContract.remainingCapacity(user1.address)).to.equal(ethers.MaxUint256);
+        });
+
+        it("Should cap totalStaked across users", async function () {
+            await expect(stakingContract.connect(owner).setStakeCaps(stakeAmount * 2n, 0))
+                .to.emit(stakingContract, "StakeCapsUpdated")
+                .withArgs(stakeAmount * 2n, 0);
+
+            await stakingContract.connect(user1).stake((stakeAmount * 3n) / 2n, 0);
+            expect(await stakingContract.remainingCapacity(user2.address)).to.equal(stakeAmount / 2n);
+            await expect(stakingContract.connect(user2).stake(stakeAmount, 0))
+                .to.be.revertedWith("Stake cap exceeded");
+
+            await stakingContract.connect(user2).stake(stakeAmount / 2n, 0);
+            expect(await stakingContract.remainingCapacity(user2.address)).to.equal(0);
+        });
+
+        it("Should cap each user's total and free capacity on unstake", async function () {
+            await stakingContract.connect(owner).setStakeCaps(0, (stakeAmount * 3n) / 2n);
+
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
+            await expect(stakingContract.connect(user1).stake(stakeAmount, 0))
+                .to.be.revertedWith("Stake cap exceeded");
+            await stakingContract.connect(user2).stake(stakeAmount, 0);
+            expect(await stakingContract.remainingCapacity(user1.address)).to.equal(stakeAmount / 2n);
+
+            await time.increase(LOCK_PERIOD);
+            await stakingContract.connect(user1)["unstake(uint256)"](1);
+            expect(await stakingContract.remainingCapacity(user1.address)).to.equal((stakeAmount * 3n) / 2n);
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
+        });
+
+        it("Should report the tighter of the global and per-user caps", async function () {
+            await stakingContract.connect(owner).setStakeCaps(stakeAmount * 3n, stakeAmount * 2n);
+            await stakingContract.connect(user1).stake(stakeAmount * 2n, 0);
+
+            expect(await stakingContract.remainingCapacity(user1.address)).to.equal(0);
+            expect(await stakingContract.remainingCapacity(user2.address)).to.equal(stakeAmount);
+        });
+
+        it("Should only cap deposits, not compounding", async function () {
+            await stakingContract.connect(owner).setStakeCaps(stakeAmount, stakeAmount);
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
+
+            await time.increase(LOCK_PERIOD);
+            await stakingContract.connect(user1).rollover(1);
+            expect(await stakingContract.userTotalStaked(user1.address)).to.be.greaterThan(stakeAmount);
+            expect(await stakingContract.remainingCapacity(user1.address)).to.equal(0);
+        });
+
+        it("Should only let the admin set caps and the allowlist", async function () {
+            await expect(stakingContract.connect(user1).setStakeCaps(stakeAmount, 0))
+                .to.be.revertedWithCustomError(stakingContract, "AccessControlUnauthorizedAccount");
+            await expect(stakingContract.connect(user1).setAllowlistRoot(ethers.ZeroHash))
+                .to.be.revertedWithCustomError(stakingContract, "AccessControlUnauthorizedAccount");
+        });
+    });
+
+    describe("Allowlist phase", function () {
+        let tree;
+
+        beforeEach(async function () {
+            tree = merkleTree([
+                [user1.address, stakeAmount * 2n],
+                [user2.address, stakeAmount],
+                [owner.address, stakeAmount * 5n],
+            ]);
+            await expect(stakingContract.connect(owner).setAllowlistRoot(tree.root))
+                .to.emit(stakingContract, "AllowlistRootUpdated")
+                .withArgs(tree.root);
+        });
+
+        it("Should require a proof before the first stake", async function () {
+            await expect(stakingContract.connect(user1).stake(stakeAmount, 0))
+                .to.be.revertedWith("Not allowlisted");
+            expect(await stakingContract.remainingCapacity(user1.address)).to.equal(0);
+
+            await expect(stakingContract.connect(user1).stakeAllowlisted(stakeAmount, 0, stakeAmount * 2n, tree.proof(0)))
+                .to.emit(stakingContract, "AllowlistProved")
+                .withArgs(user1.address, tree.root, stakeAmount * 2n);
+            expect(await stakingContract.allowlistLimit(user1.address)).to.equal(stakeAmount * 2n);
+            expect(await stakingContract.remainingCapacity(user1.address)).to.equal(stakeAmount);
+
+            // the proved limit carries over to plain stakes against the same root
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
+            await expect(stakingContract.connect(user1).stake(stakeAmount, 0))
+                .to.be.revertedWith("Stake cap exceeded");
+        });
+
+        it("Should reject proofs for another account or limit", async function () {
+            await expect(stakingContract.connect(user1).stakeAllowlisted(stakeAmount, 0, stakeAmount * 5n, tree.proof(0)))
+                .to.be.revertedWith("Invalid allowlist proof");
+            await expect(stakingContract.connect(user3).stakeAllowlisted(stakeAmount, 0, stakeAmount, tree.proof(1)))
+                .to.be.revertedWith("Invalid allowlist proof");
+        });
+
+        it("Should apply the global and per-user caps on top of the leaf limit", async function () {
+            await stakingContract.connect(owner).setStakeCaps(0, (stakeAmount * 3n) / 2n);
+            await expect(stakingContract.connect(owner).stakeAllowlisted(stakeAmount * 2n, 0, stakeAmount * 5n, tree.proof(2)))
+                .to.be.revertedWith("Stake cap exceeded");
+
+            await stakingContract.connect(owner).stakeAllowlisted(stakeAmount, 0, stakeAmount * 5n, tree.proof(2));
+            expect(await stakingContract.remainingCapacity(owner.address)).to.equal(stakeAmount / 2n);
+        });
+
+        it("Should drop the allowlist when the phase ends and ask for a new proof on a new root", async function () {
+            await stakingContract.connect(user2).stakeAllowlisted(stakeAmount, 0, stakeAmount, tree.proof(1));
+
+            await stakingContract.connect(owner).setAllowlistRoot(ethers.ZeroHash);
+            await stakingContract.connect(user3).stake(stakeAmount, 0);
+            await stakingContract.connect(user2).stake(stakeAmount, 0);
+            expect(await stakingContract.remainingCapacity(user2.address)).to.equal(ethers.MaxUint256);
+            await expect(stakingContract.connect(user2).stakeAllowlisted(stakeAmount, 0, stakeAmount, tree.proof(1)))
+                .to.be.revertedWith("Allowlist not active");
+
+            const next = merkleTree([[user2.address, stakeAmount * 4n], [user3.address, stakeAmount]]);
+            await stakingContract.connect(owner).setAllowlistRoot(next.root);
+            expect(await stakingContract.allowlistLimit(user2.address)).to.equal(0);
+            await expect(stakingContract.connect(user2).stake(stakeAmount, 0))
+                .to.be.revertedWith("Not allowlisted");
+
+            await stakingContract.connect(user2).stakeAllowlisted(stakeAmount, 0, stakeAmount * 4n, next.proof(0));
+            expect(await stakingContract.remainingCapacity(user2.address)).to.equal(stakeAmount);
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,149 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { deploy } = require("../script/deploy");
+
+const { ethers } = hre;
+
+describe("Deployment script", function () {
+    let deploymentsDir;
+    let owner;
+    let user1;
+    let user2;
+
+    async function runDeploy(config = {}) {
+        const log = console.log;
+        console.log = () => {};
+        try {
+            return await deploy(hre, { deploymentsDir, ...config });
+        } finally {
+            console.log = log;
+        }
+    }
+
+    function readManifest() {
+        return JSON.parse(fs.readFileSync(path.join(deploymentsDir, "hardhat.json"), "utf8"));
+    }
+
+    beforeEach(async function () {
+        [owner, user1, user2] = await ethers.getSigners();
+        deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+    });
+
+    afterEach(function () {
+        fs.rmSync(deploymentsDir, { recursive: true, force: true });
+    });
+
+    it("Should deploy a MockERC20 and a funded contract on local networks", async function () {
+        const manifest = await runDeploy();
+
+        const staking = await ethers.getContractAt("StakingContract", manifest.contracts.StakingContract.address);
+        expect(await staking.stakingToken()).to.equal(manifest.contracts.MockERC20.address);
+        expect(await staking.treasury()).to.equal(owner.address);
+        expect(await staking.rewardReserve()).to.equal(ethers.parseUnits("10000", 6));
+    });
+
+    it("Should write a manifest with addresses, args, block and hashes", async function () {
+        await runDeploy();
+        const manifest = readManifest();
+
+        const artifact = await hre.artifacts.readArtifact("StakingContract");
+        const libraries = {
+            StakingLogic: manifest.contracts.StakingLogic.address,
+            StakingAdmin: manifest.contracts.StakingAdmin.address,
+        };
+        const factory = await ethers.getContractFactory("StakingContract", { libraries });
+        const entry = manifest.contracts.StakingContract;
+        expect(manifest.network).to.equal("hardhat");
+        expect(manifest.chainId).to.equal(31337);
+        expect(entry.constructorArgs).to.deep.equal([
+            manifest.contracts.MockERC20.address,
+            owner.address,
+            ethers.ZeroAddress,
+        ]);
+        expect(entry.blockNumber).to.be.a("number");
+        expect(entry.libraries).to.deep.equal(libraries);
+        expect(entry.bytecodeHash).to.equal(ethers.keccak256(factory.bytecode));
+        expect(entry.abiHash).to.equal(ethers.id(JSON.stringify(artifact.abi)));
+
+        const staking = await ethers.getContractAt("StakingContract", entry.address);
+        expect(manifest.contracts.StakePosition.address).to.equal(await staking.positionToken());
+    });
+
+    it("Should reuse contracts that match the manifest", async function () {
+        const first = await runDeploy();
+        const second = await runDeploy();
+
+        expect(second.contracts.StakingContract).to.deep.equal(first.contracts.StakingContract);
+        expect(second.contracts.MockERC20).to.deep.equal(first.contracts.MockERC20);
+
+        const staking = await ethers.getContractAt("StakingContract", second.contracts.StakingContract.address);
+        expect(await staking.rewardReserve()).to.equal(ethers.parseUnits("10000", 6));
+    });
+
+    it("Should redeploy when the constructor args change", async function () {
+        const first = await runDeploy();
+        const second = await runDeploy({ trustedForwarder: user2.address });
+
+        expect(second.contracts.MockERC20.address).to.equal(first.contracts.MockERC20.address);
+        expect(second.contracts.StakingContract.address).to.not.equal(first.contracts.StakingContract.address);
+        expect(second.contracts.StakingContract.constructorArgs[2]).to.equal(user2.address);
+    });
+
+    it("Should redeploy when the recorded contract has no code", async function () {
+        const first = await runDeploy();
+        const manifest = readManifest();
+        manifest.contracts.StakingContract.address = user2.address;
+        fs.writeFileSync(path.join(deploymentsDir, "hardhat.json"), JSON.stringify(manifest));
+
+        const second = await runDeploy();
+        expect(second.contracts.StakingContract.address).to.not.equal(user2.address);
+        expect(second.contracts.StakingContract.address).to.not.equal(first.contracts.StakingContract.address);
+    });
+
+    it("Should run the post-deploy steps", async function () {
+        const manifest = await runDeploy({
+            newTreasury: user1.address,
+            newAdmin: user2.address,
+            roles: { PAUSER_ROLE: user1.address },
+            seedRewards: "2500",
+        });
+
+        const staking = await ethers.getContractAt("StakingContract", manifest.contracts.StakingContract.address);
+        expect(await staking.treasury()).to.equal(user1.address);
+        expect(await staking.defaultAdmin()).to.equal(owner.address);
+        expect((await staking.pendingDefaultAdmin())[0]).to.equal(user2.address);
+        expect(await staking.hasRole(await staking.PAUSER_ROLE(), user1.address)).to.equal(true);
+        expect(await staking.rewardReserve()).to.equal(ethers.parseUnits("2500", 6));
+        expect(readManifest().admin).to.equal(owner.address);
+        expect(readManifest().pendingAdmin).to.equal(user2.address);
+        expect(readManifest().treasury).to.equal(user1.address);
+    });
+
+    it("Should deploy the pool factory and keep its registry across implementation changes", async function () {
+        const first = await runDeploy({ poolFactory: true });
+        const factory = await ethers.getContractAt("StakingPoolFactory", first.contracts.StakingPoolFactory.address);
+        expect(await factory.implementation()).to.equal(first.contracts.StakingPool.address);
+        expect(first.contracts.StakingPool.libraries.StakingLogic).to.equal(first.contracts.StakingLogic.address);
+        expect(first.contracts.StakingPool.libraries.StakingAdmin).to.equal(first.contracts.StakingAdmin.address);
+
+        await factory.createPool({
+            stakingToken: first.contracts.MockERC20.address,
+            treasury: owner.address,
+            admin: owner.address,
+            taxRate: 50,
+            minStake: ethers.parseUnits("100", 6),
+            earlyUnstakePenaltyBps: 1000,
+            lockPeriods: [],
+            apyBps: [],
+        });
+
+        const second = await runDeploy({ poolFactory: true, trustedForwarder: user2.address });
+        expect(second.contracts.StakingPoolFactory.address).to.equal(factory.target);
+        expect(second.contracts.StakingPool.address).to.not.equal(first.contracts.StakingPool.address);
+        expect(await factory.implementation()).to.equal(second.contracts.StakingPool.address);
+        expect(await factory.poolCount()).to.equal(1);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,222 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { deployLibraries, stakingFactory } = require("./helpers/staking");
+
+describe("StakingPoolFactory", function () {
+    let factory;
+    let implementation;
+    let libraries;
+    let usdt;
+    let gov;
+    let owner;
+    let treasury;
+    let poolAdmin;
+    let user1;
+
+    const LOCK_PERIOD = 30 * 24 * 60 * 60;
+
+    function poolParams(token, overrides = {}) {
+        return {
+            stakingToken: token.target,
+            treasury: treasury.address,
+            admin: poolAdmin.address,
+            taxRate: 50,
+            minStake: ethers.parseUnits("100", 6),
+            earlyUnstakePenaltyBps: 1000,
+            lockPeriods: [],
+            apyBps: [],
+            ...overrides,
+        };
+    }
+
+    async function createPool(params) {
+        const address = await factory.createPool.staticCall(params);
+        await factory.createPool(params);
+        return ethers.getContractAt("StakingPool", address);
+    }
+
+    beforeEach(async function () {
+        [owner, treasury, poolAdmin, user1] = await ethers.getSigners();
+
+        const MockToken = await ethers.getContractFactory("MockERC20");
+        usdt = await MockToken.deploy("Mock USDT", "USDT", 6);
+        gov = await MockToken.deploy("Governance", "GOV", 18);
+
+        libraries = await deployLibraries();
+        const StakingPool = await stakingFactory("StakingPool", libraries);
+        implementation = await StakingPool.deploy(ethers.ZeroAddress);
+        factory = await ethers.deployContract("StakingPoolFactory", [implementation.target]);
+    });
+
+    describe("Creating pools", function () {
+        it("Should deploy an initialized clone with its own position token", async function () {
+            const params = poolParams(usdt);
+            const address = await factory.createPool.staticCall(params);
+
+            await expect(factory.createPool(params))
+                .to.emit(factory, "PoolCreated")
+                .withArgs(0, address, usdt.target, anyValue, poolAdmin.address);
+
+            const pool = await ethers.getContractAt("StakingPool", address);
+            const position = await ethers.getContractAt("StakePosition", await pool.positionToken());
+            expect(await pool.stakingToken()).to.equal(usdt.target);
+            expect(await pool.treasury()).to.equal(treasury.address);
+            expect(await pool.defaultAdmin()).to.equal(poolAdmin.address);
+            expect(await pool.hasRole(await pool.REWARD_MANAGER_ROLE(), poolAdmin.address)).to.equal(true);
+            expect(await pool.hasRole(ethers.ZeroHash, factory.target)).to.equal(false);
+            expect(await position.staking()).to.equal(address);
+
+            // a minimal clone delegating to the implementation
+            const code = await ethers.provider.getCode(address);
+            expect(code.length).to.equal(2 + 45 * 2);
+            expect(code.toLowerCase()).to.include(implementation.target.slice(2).toLowerCase());
+        });
+
+        it("Should apply the pool's economic parameters", async function () {
+            const pool = await createPool(poolParams(gov, {
+                taxRate: 100,
+                minStake: ethers.parseEther("1"),
+                earlyUnstakePenaltyBps: 2000,
+                lockPeriods: [7 * 24 * 60 * 60, 90 * 24 * 60 * 60],
+                apyBps: [500, 1500],
+            }));
+
+            expect(await pool.taxRate()).to.equal(100);
+            expect(await pool.minStake()).to.equal(ethers.parseEther("1"));
+            expect(await pool.earlyUnstakePenaltyBps()).to.equal(2000);
+
+            const tiers = await pool.getTiers();
+            expect(tiers.length).to.equal(2);
+            expect(tiers[0].lockPeriod).to.equal(7 * 24 * 60 * 60);
+            expect(tiers[0].apyBps).to.equal(500);
+            expect(tiers[1].apyBps).to.equal(1500);
+        });
+
+        it("Should keep the default tier when none are given", async function () {
+            const pool = await createPool(poolParams(usdt));
+            const tiers = await pool.getTiers();
+            expect(tiers.length).to.equal(1);
+            expect(tiers[0].lockPeriod).to.equal(LOCK_PERIOD);
+            expect(tiers[0].apyBps).to.equal(1000);
+        });
+
+        it("Should reject invalid parameters", async function () {
+            await expect(factory.createPool(poolParams(usdt, { taxRate: 1001 })))
+                .to.be.revertedWith("Tax rate too high");
+            await expect(factory.createPool(poolParams(usdt, { earlyUnstakePenaltyBps: 5001 })))
+                .to.be.revertedWith("Penalty too high");
+            await expect(factory.createPool(poolParams(usdt, { lockPeriods: [LOCK_PERIOD], apyBps: [] })))
+                .to.be.revertedWith("Tier length mismatch");
+            await expect(factory.createPool(poolParams(usdt, { lockPeriods: [0], apyBps: [1000] })))
+                .to.be.revertedWith("Invalid lock period");
+            await expect(factory.createPool(poolParams(usdt, { stakingToken: ethers.ZeroAddress })))
+                .to.be.revertedWith("Invalid token address");
+        });
+
+        it("Should only let pool creators create pools", async function () {
+            await expect(factory.connect(user1).createPool(poolParams(usdt)))
+                .to.be.revertedWithCustomError(factory, "AccessControlUnauthorizedAccount")
+                .withArgs(user1.address, await factory.POOL_CREATOR_ROLE());
+
+            await factory.grantRole(await factory.POOL_CREATOR_ROLE(), user1.address);
+            await expect(factory.connect(user1).createPool(poolParams(usdt))).to.emit(factory, "PoolCreated");
+        });
+
+        it("Should not let anyone initialize the implementation or a pool again", async function () {
+            const pool = await createPool(poolParams(usdt));
+            await expect(pool.initialize(poolParams(usdt), await pool.positionToken()))
+                .to.be.revertedWithCustomError(pool, "InvalidInitialization");
+            await expect(implementation.initialize(poolParams(usdt), await pool.positionToken()))
+                .to.be.revertedWithCustomError(implementation, "InvalidInitialization");
+        });
+
+        it("Should use a new implementation for later pools only", async function () {
+            const first = await createPool(poolParams(usdt));
+            const StakingPool = await stakingFactory("StakingPool", libraries);
+            const next = await StakingPool.deploy(ethers.ZeroAddress);
+
+            await expect(factory.connect(user1).setImplementation(next.target))
+                .to.be.revertedWithCustomError(factory, "AccessControlUnauthorizedAccount");
+            await expect(factory.setImplementation(user1.address)).to.be.revertedWith("Invalid implementation");
+            await expect(factory.setImplementation(next.target))
+                .to.emit(factory, "ImplementationUpdated")
+                .withArgs(implementation.target, next.target);
+
+            const second = await createPool(poolParams(usdt));
+            const codeOf = async (pool) => (await ethers.provider.getCode(pool.target)).toLowerCase();
+            expect(await codeOf(first)).to.include(implementation.target.slice(2).toLowerCase());
+            expect(await codeOf(second)).to.include(next.target.slice(2).toLowerCase());
+        });
+    });
+
+    describe("Pools in use", function () {
+        let usdtPool;
+        let govPool;
+
+        beforeEach(async function () {
+            usdtPool = await createPool(poolParams(usdt));
+            govPool = await createPool(poolParams(gov, { minStake: ethers.parseEther("1") }));
+
+            await usdt.mint(user1.address, ethers.parseUnits("10000", 6));
+            await gov.mint(user1.address, ethers.parseEther("10000"));
+            await usdt.mint(poolAdmin.address, ethers.parseUnits("10000", 6));
+            await gov.mint(poolAdmin.address, ethers.parseEther("10000"));
+            await usdt.connect(user1).approve(usdtPool.target, ethers.MaxUint256);
+            await gov.connect(user1).approve(govPool.target, ethers.MaxUint256);
+            await usdt.connect(poolAdmin).approve(usdtPool.target, ethers.MaxUint256);
+            await gov.connect(poolAdmin).approve(govPool.target, ethers.MaxUint256);
+            await usdtPool.connect(poolAdmin).depositRewards(ethers.parseUnits("1000", 6));
+            await govPool.connect(poolAdmin).depositRewards(ethers.parseEther("1000"));
+        });
+
+        it("Should run every pool independently", async function () {
+            await usdtPool.connect(user1).stake(ethers.parseUnits("1000", 6), 0);
+            await govPool.connect(user1).stake(ethers.parseEther("50"), 0);
+
+            expect(await usdtPool.totalStaked()).to.equal(ethers.parseUnits("1000", 6));
+            expect(await govPool.totalStaked()).to.equal(ethers.parseEther("50"));
+
+            const govPosition = await ethers.getContractAt("StakePosition", await govPool.positionToken());
+            expect(await govPosition.ownerOf(1)).to.equal(user1.address);
+
+            await time.increase(LOCK_PERIOD);
+            await expect(govPool.connect(user1)["unstake(uint256)"](1)).to.emit(govPool, "Unstaked");
+            expect(await govPool.totalStaked()).to.equal(0);
+            expect(await usdtPool.totalStaked()).to.equal(ethers.parseUnits("1000", 6));
+        });
+
+        it("Should keep a registry of pools", async function () {
+            const third = await createPool(poolParams(usdt, { taxRate: 0 }));
+
+            expect(await factory.poolCount()).to.equal(3);
+            expect(await factory.pools(1)).to.equal(govPool.target);
+            expect(await factory.isPool(usdtPool.target)).to.equal(true);
+            expect(await factory.isPool(user1.address)).to.equal(false);
+            expect(await factory.getPools(0, 10)).to.deep.equal([usdtPool.target, govPool.target, third.target]);
+            expect(await factory.getPools(1, 1)).to.deep.equal([govPool.target]);
+            expect(await factory.getPools(5, 1)).to.deep.equal([]);
+            expect(await factory.getPoolsByToken(usdt.target)).to.deep.equal([usdtPool.target, third.target]);
+        });
+
+        it("Should aggregate stats across pools", async function () {
+            await usdtPool.connect(user1).stake(ethers.parseUnits("1000", 6), 0);
+            await usdtPool.connect(user1).stake(ethers.parseUnits("500", 6), 0);
+            await govPool.connect(user1).stake(ethers.parseEther("5"), 0);
+            await time.increase(LOCK_PERIOD / 2);
+            await usdtPool.connect(user1).claimRewards(1);
+
+            const usdtStats = await usdtPool.getContractStats();
+            const govStats = await govPool.getContractStats();
+
+            const tokenStats = await factory.getTokenStats(usdt.target);
+            expect(tokenStats).to.deep.equal(usdtStats);
+
+            const all = await factory.getAggregateStats();
+            expect(all._totalStaked).to.equal(usdtStats._totalStaked + govStats._totalStaked);
+            expect(all._totalStakers).to.equal(3);
+            expect(all._totalRewardsPaid).to.equal(usdtStats._totalRewardsPaid);
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,281 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployStaking, executeTimelocked } = require("./helpers/staking");
+
+describe("Fee Engine", function () {
+    let stakingContract;
+    let mockToken;
+    let owner;
+    let treasury;
+    let insurance;
+    let user1;
+    let user2;
+    let partner;
+
+    const LOCK_PERIOD = 30 * 24 * 60 * 60;
+    const BURN = "0x000000000000000000000000000000000000dEaD";
+    const Action = { Unstake: 0, Claim: 1, EarlyUnstake: 2 };
+    const stakeAmount = ethers.parseUnits("1000", 6);
+
+    async function eventArgs(txPromise, name) {
+        const receipt = await (await txPromise).wait();
+        return receipt.logs
+            .map((log) => stakingContract.interface.parseLog(log))
+            .find((event) => event && event.name === name).args;
+    }
+
+    // previewPayout's outputs are unnamed in the ABI, so they are read by position
+    async function previewPayout(user, stakeId, action, overrides = {}) {
+        const [gross, fee, net, fees] = await stakingContract.previewPayout(user.address, stakeId, action, overrides);
+        return { gross, fee, net, fees };
+    }
+
+    const recipients = () => [
+        { account: treasury.address, weight: 50 },
+        { account: insurance.address, weight: 30 },
+        { account: BURN, weight: 20 },
+    ];
+
+    beforeEach(async function () {
+        [owner, treasury, insurance, user1, user2, partner] = await ethers.getSigners();
+
+        const MockToken = await ethers.getContractFactory("MockERC20");
+        mockToken = await MockToken.deploy("Mock USDT", "USDT", 6);
+        stakingContract = await deployStaking(mockToken.target, treasury.address);
+
+        for (const account of [owner, user1, user2, partner]) {
+            await mockToken.mint(account.address, ethers.parseUnits("100000", 6));
+            await mockToken.connect(account).approve(stakingContract.target, ethers.MaxUint256);
+        }
+        await stakingContract.connect(owner).depositRewards(ethers.parseUnits("10000", 6));
+    });
+
+    describe("Fee recipients", function () {
+        it("Should send the whole fee to the treasury until recipients are set", async function () {
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
+            await time.increase(LOCK_PERIOD);
+
+            const { tax, fees } = await eventArgs(stakingContract.connect(user1)["unstake(uint256)"](1), "Unstaked");
+            expect(tax).to.be.greaterThan(0);
+            expect(fees.length).to.equal(1);
+            expect(fees[0].recipient).to.equal(treasury.address);
+            expect(fees[0].amount).to.equal(tax);
+        });
+
+        it("Should split fees by weight, the last recipient taking the dust", async function () {
+            await expect(executeTimelocked(stakingContract, owner, "setFeeRecipients", [recipients()]))
+                .to.emit(stakingContract, "FeeRecipientsUpdated");
+            expect((await stakingContract.getFeeRecipients()).map((r) => r.account))
+                .to.deep.equal([treasury.address, insurance.address, BURN]);
+
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
+            await time.increase(LOCK_PERIOD / 3);
+
+            const treasuryBefore = await mockToken.balanceOf(treasury.address);
+            const { tax, fees } = await eventArgs(stakingContract.connect(user1).claimRewards(1), "RewardsClaimed");
+            const toTreasury = (tax * 50n) / 100n;
+            const toInsurance = (tax * 30n) / 100n;
+
+            expect(fees.map((share) => share.recipient)).to.deep.equal([treasury.address, insurance.address, BURN]);
+            expect(fees[0].amount).to.equal(toTreasury);
+            expect(fees[1].amount).to.equal(toInsurance);
+            expect(fees[2].amount).to.equal(tax - toTreasury - toInsurance);
+
+            expect(await mockToken.balanceOf(treasury.address) - treasuryBefore).to.equal(toTreasury);
+            expect(await mockToken.balanceOf(insurance.address)).to.equal(toInsurance);
+            expect(await mockToken.balanceOf(BURN)).to.equal(fees[2].amount);
+        });
+
+        it("Should keep the early unstake penalty out of the split", async function () {
+            await executeTimelocked(stakingContract, owner, "setFeeRecipients", [[{ account: insurance.address, weight: 1 }]]);
+            await executeTimelocked(stakingContract, owner, "setEarlyUnstakePenalty", [1000, false, false]);
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
+
+            const { penalty, tax } = await eventArgs(stakingContract.connect(user1).earlyUnstake(1), "EarlyUnstaked");
+            expect(await mockToken.balanceOf(insurance.address)).to.equal(tax);
+            expect(await mockToken.balanceOf(treasury.address)).to.equal(penalty);
+        });
+
+        it("Should reject invalid recipient lists", async function () {
+            await expect(executeTimelocked(stakingContract, owner, "setFeeRecipients", [[{ account: ethers.ZeroAddress, weight: 1 }]]))
+                .to.be.revertedWith("Invalid fee recipient");
+            await expect(executeTimelocked(stakingContract, owner, "setFeeRecipients", [[{ account: insurance.address, weight: 0 }]]))
+                .to.be.revertedWith("Invalid fee recipient");
+
+            const tooMany = Array(6).fill({ account: insurance.address, weight: 1 });
+            await expect(executeTimelocked(stakingContract, owner, "setFeeRecipients", [tooMany]))
+                .to.be.revertedWith("Too many fee recipients");
+        });
+    });
+
+    describe("Fee schedules", function () {
+        it("Should charge a different rate per action", async function () {
+            await executeTimelocked(stakingContract, owner, "setTaxRate", [500]);
+            await expect(executeTimelocked(stakingContract, owner, "setFeeSchedule", [Action.Claim, true, 0, []]))
+                .to.emit(stakingContract, "FeeScheduleUpdated");
+            await executeTimelocked(stakingContract, owner, "setFeeSchedule", [Action.Unstake, true, 200, []]);
+
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
+            await time.increase(LOCK_PERIOD / 2);
+            const claimed = await eventArgs(stakingContract.connect(user1).claimRewards(1), "RewardsClaimed");
+            expect(claimed.tax).to.equal(0);
+            expect(claimed.fees.length).to.equal(0);
+
+            await time.increase(LOCK_PERIOD / 2);
+            const unstaked = await eventArgs(stakingContract.connect(user1)["unstake(uint256)"](1), "Unstaked");
+            expect(unstaked.tax).to.equal(((unstaked.principal + unstaked.rewards) * 200n) / 10000n);
+        });
+
+        it("Should apply the lowest rate among the brackets a stake qualifies for", async function () {
+            const brackets = [
+                { minAmount: ethers.parseUnits("5000", 6), minDuration: 0, rateBps: 100 },
+                { minAmount: 0, minDuration: LOCK_PERIOD, rateBps: 200 },
+            ];
+            await executeTimelocked(stakingContract, owner, "setTaxRate", [500]);
+            await executeTimelocked(stakingContract, owner, "setFeeSchedule", [Action.Claim, true, 300, brackets]);
+            const schedule = await stakingContract.feeSchedule(Action.Claim);
+            expect(schedule.enabled).to.equal(true);
+            expect(schedule.rateBps).to.equal(300);
+            expect(schedule.brackets.length).to.equal(2);
+
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
+            await stakingContract.connect(user2).stake(ethers.parseUnits("5000", 6), 0);
+            await time.increase(LOCK_PERIOD / 2);
+
+            // neither large enough nor held long enough, then large enough
+            let preview = await previewPayout(user1, 1, Action.Claim);
+            expect(preview.fee).to.equal((preview.gross * 300n) / 10000n);
+            preview = await previewPayout(user2, 2, Action.Claim);
+            expect(preview.fee).to.equal((preview.gross * 100n) / 10000n);
+
+            // held for the whole lock
+            await time.increase(LOCK_PERIOD / 2);
+            preview = await previewPayout(user1, 1, Action.Claim);
+            expect(preview.fee).to.equal((preview.gross * 200n) / 10000n);
+            preview = await previewPayout(user2, 2, Action.Claim);
+            expect(preview.fee).to.equal((preview.gross * 100n) / 10000n);
+        });
+
+        it("Should fall back to the stake's tax rate without an enabled schedule", async function () {
+            await executeTimelocked(stakingContract, owner, "setFeeSchedule", [Action.Claim, false, 0, []]);
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
+            await time.increase(LOCK_PERIOD / 2);
+
+            const { rewards, tax } = await eventArgs(stakingContract.connect(user1).claimRewards(1), "RewardsClaimed");
+            expect(tax).to.equal((rewards * 50n) / 10000n);
+        });
+
+        it("Should not raise the rate of a stake opened before the schedule", async function () {
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
+            await executeTimelocked(stakingContract, owner, "setFeeSchedule", [Action.Claim, true, 300, []]);
+            await time.increase(LOCK_PERIOD / 2);
+
+            const { rewards, tax } = await eventArgs(stakingContract.connect(user1).claimRewards(1), "RewardsClaimed");
+            expect(tax).to.equal((rewards * 50n) / 10000n);
+        });
+
+        it("Should reject invalid schedules", async function () {
+            await expect(executeTimelocked(stakingContract, owner, "setFeeSchedule", [Action.Unstake, true, 1001, []]))
+                .to.be.revertedWith("Fee rate too high");
+            await expect(executeTimelocked(stakingContract, owner, "setFeeSchedule", [Action.Unstake, true, 100, [
+                { minAmount: 0, minDuration: 0, rateBps: 1001 },
+            ]])).to.be.revertedWith("Fee rate too high");
+
+            const tooMany = Array(6).fill({ minAmount: 0, minDuration: 0, rateBps: 10 });
+            await expect(executeTimelocked(stakingContract, owner, "setFeeSchedule", [Action.Unstake, true, 100, tooMany]))
+                .to.be.revertedWith("Too many fee brackets");
+        });
+
+        it("Should require the admin and the timelock", async function () {
+            await expect(stakingContract.connect(user1).setFeeRecipients(recipients()))
+                .to.be.revertedWithCustomError(stakingContract, "AccessControlUnauthorizedAccount");
+            await expect(stakingContract.connect(user1).setFeeSchedule(Action.Claim, true, 0, []))
+                .to.be.revertedWithCustomError(stakingContract, "AccessControlUnauthorizedAccount");
+
+            await expect(stakingContract.connect(owner).setFeeRecipients(recipients()))
+                .to.be.revertedWith("Change not queued");
+            await expect(stakingContract.connect(owner).setFeeSchedule(Action.Claim, true, 0, []))
+                .to.be.revertedWith("Change not queued");
+        });
+    });
+
+    describe("Exemptions", function () {
+        it("Should not charge exempt accounts", async function () {
+            await expect(stakingContract.connect(owner).setFeeExemption(partner.address, true))
+                .to.emit(stakingContract, "FeeExemptionUpdated")
+                .withArgs(partner.address, true);
+            expect(await stakingContract.isFeeExempt(partner.address)).to.equal(true);
+
+            await stakingContract.connect(partner).stake(stakeAmount, 0);
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
+            await time.increase(LOCK_PERIOD);
+
+            const exempt = await eventArgs(stakingContract.connect(partner)["unstake(uint256)"](1), "Unstaked");
+            expect(exempt.tax).to.equal(0);
+            expect(exempt.fees.length).to.equal(0);
+            const charged = await eventArgs(stakingContract.connect(user1)["unstake(uint256)"](2), "Unstaked");
+            expect(charged.tax).to.be.greaterThan(0);
+
+            await stakingContract.connect(owner).setFeeExemption(partner.address, false);
+            expect(await stakingContract.isFeeExempt(partner.address)).to.equal(false);
+        });
+
+        it("Should only let the admin manage exemptions", async function () {
+            await expect(stakingContract.connect(user1).setFeeExemption(user1.address, true))
+                .to.be.revertedWithCustomError(stakingContract, "AccessControlUnauthorizedAccount");
+        });
+    });
+
+    describe("Payout preview", function () {
+        beforeEach(async function () {
+            await executeTimelocked(stakingContract, owner, "setFeeRecipients", [recipients()]);
+            await executeTimelocked(stakingContract, owner, "setTaxRate", [500]);
+            await executeTimelocked(stakingContract, owner, "setFeeSchedule", [Action.EarlyUnstake, true, 400, []]);
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
+        });
+
+        async function previewAt(timestamp, stakeId, action) {
+            await time.setNextBlockTimestamp(timestamp);
+            return previewPayout(user1, stakeId, action, { blockTag: "pending" });
+        }
+
+        it("Should match the actual payout of every action", async function () {
+            let next = (await time.latest()) + LOCK_PERIOD / 2;
+            let preview = await previewAt(next, 1, Action.EarlyUnstake);
+            let balanceBefore = await mockToken.balanceOf(user1.address);
+            const early = await eventArgs(stakingContract.connect(user1).earlyUnstake(1), "EarlyUnstaked");
+            expect(await mockToken.balanceOf(user1.address) - balanceBefore).to.equal(preview.net);
+            expect(preview.fee).to.equal(early.tax);
+            expect(preview.gross).to.equal(early.principal - early.penalty);
+            expect(preview.fees.map((share) => share.amount)).to.deep.equal(early.fees.map((share) => share.amount));
+
+            next += 1000;
+            preview = await previewAt(next, 2, Action.Claim);
+            balanceBefore = await mockToken.balanceOf(user1.address);
+            const claimed = await eventArgs(stakingContract.connect(user1).claimRewards(2), "RewardsClaimed");
+            expect(await mockToken.balanceOf(user1.address) - balanceBefore).to.equal(preview.net);
+            expect(preview.gross).to.equal(claimed.rewards);
+            expect(preview.fee).to.equal(claimed.tax);
+
+            next += LOCK_PERIOD;
+            preview = await previewAt(next, 2, Action.Unstake);
+            balanceBefore = await mockToken.balanceOf(user1.address);
+            const unstaked = await eventArgs(stakingContract.connect(user1)["unstake(uint256)"](2), "Unstaked");
+            expect(await mockToken.balanceOf(user1.address) - balanceBefore).to.equal(preview.net);
+            expect(preview.gross).to.equal(unstaked.principal + unstaked.rewards);
+            expect(preview.fee).to.equal(unstaked.tax);
+        });
+
+        it("Should return zeros for actions the stake can't take", async function () {
+            const zeros = (preview) => [preview.gross, preview.fee, preview.net, preview.fees.length];
+
+            expect(zeros(await previewPayout(user1, 1, Action.Unstake))).to.deep.equal([0n, 0n, 0n, 0n]);
+            expect(zeros(await previewPayout(user2, 1, Action.Claim))).to.deep.equal([0n, 0n, 0n, 0n]);
+
+            await time.increase(LOCK_PERIOD);
+            expect(zeros(await previewPayout(user1, 1, Action.EarlyUnstake))).to.deep.equal([0n, 0n, 0n, 0n]);
+        });
+    });
+});
\ No newline at end of file
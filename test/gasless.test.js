@@ -0,0 +1,206 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployStaking } = require("./helpers/staking");
+
+describe("Gasless staking", function () {
+    let stakingContract;
+    let mockToken;
+    let forwarder;
+    let owner;
+    let treasury;
+    let relayer;
+    let user;
+    let chainId;
+    
+    const LOCK_PERIOD = 30 * 24 * 60 * 60;
+    const stakeAmount = ethers.parseUnits("1000", 6);
+    
+    async function signPermit(signer, value, deadline) {
+        const domain = {
+            name: await mockToken.name(),
+            version: "1",
+            chainId,
+            verifyingContract: mockToken.target,
+        };
+        const types = {
+            Permit: [
+                { name: "owner", type: "address" },
+                { name: "spender", type: "address" },
+                { name: "value", type: "uint256" },
+                { name: "nonce", type: "uint256" },
+                { name: "deadline", type: "uint256" },
+            ],
+        };
+        const message = {
+            owner: signer.address,
+            spender: stakingContract.target,
+            value,
+            nonce: await mockToken.nonces(signer.address),
+            deadline,
+        };
+        return ethers.Signature.from(await signer.signTypedData(domain, types, message));
+    }
+    
+    async function signForwardRequest(signer, data) {
+        const domain = {
+            name: "StakingForwarder",
+            version: "1",
+            chainId,
+            verifyingContract: forwarder.target,
+        };
+        const types = {
+            ForwardRequest: [
+                { name: "from", type: "address" },
+                { name: "to", type: "address" },
+                { name: "value", type: "uint256" },
+                { name: "gas", type: "uint256" },
+                { name: "nonce", type: "uint256" },
+                { name: "deadline", type: "uint48" },
+                { name: "data", type: "bytes" },
+            ],
+        };
+        const request = {
+            from: signer.address,
+            to: stakingContract.target,
+            value: 0n,
+            gas: 1_000_000n,
+            nonce: await forwarder.nonces(signer.address),
+            deadline: (await time.latest()) + 3600,
+            data,
+        };
+        const signature = await signer.signTypedData(domain, types, request);
+        return { ...request, signature };
+    }
+    
+    async function relay(signer, method, args) {
+        const data = stakingContract.interface.encodeFunctionData(method, args);
+        const request = await signForwardRequest(signer, data);
+        return forwarder.connect(relayer).execute(request);
+    }
+    
+    beforeEach(async function () {
+        [owner, treasury, relayer] = await ethers.getSigners();
+        chainId = (await ethers.provider.getNetwork()).chainId;
+        
+        // a user that holds USDT but no ETH at all
+        user = ethers.Wallet.createRandom().connect(ethers.provider);
+        
+        const Forwarder = await ethers.getContractFactory("StakingForwarder");
+        forwarder = await Forwarder.deploy();
+        
+        const MockToken = await ethers.getContractFactory("MockERC20");
+        mockToken = await MockToken.deploy("Mock USDT", "USDT", 6);
+        
+        stakingContract = await deployStaking(mockToken.target, treasury.address, forwarder.target);
+        
+        await mockToken.mint(user.address, ethers.parseUnits("10000", 6));
+        await mockToken.mint(owner.address, ethers.parseUnits("100000", 6));
+        await mockToken.connect(owner).approve(stakingContract.target, ethers.MaxUint256);
+        await stakingContract.connect(owner).depositRewards(ethers.parseUnits("10000", 6));
+    });
+    
+    describe("Permit", function () {
+        it("Should stake without a prior approve transaction", async function () {
+            const [, , , staker] = await ethers.getSigners();
+            await mockToken.mint(staker.address, stakeAmount);
+            
+            const deadline = (await time.latest()) + 3600;
+            const { v, r, s } = await signPermit(staker, stakeAmount, deadline);
+            
+            await expect(stakingContract.connect(staker).stakeWithPermit(stakeAmount, 0, deadline, v, r, s))
+                .to.emit(stakingContract, "Staked");
+            
+            expect(await stakingContract.userTotalStaked(staker.address)).to.equal(stakeAmount);
+            expect(await mockToken.allowance(staker.address, stakingContract.target)).to.equal(0);
+        });
+        
+        it("Should still stake when the permit was front-run", async function () {
+            const [, , , staker] = await ethers.getSigners();
+            await mockToken.mint(staker.address, stakeAmount);
+            
+            const deadline = (await time.latest()) + 3600;
+            const { v, r, s } = await signPermit(staker, stakeAmount, deadline);
+            await mockToken.connect(relayer).permit(staker.address, stakingContract.target, stakeAmount, deadline, v, r, s);
+            
+            await expect(stakingContract.connect(staker).stakeWithPermit(stakeAmount, 0, deadline, v, r, s))
+                .to.emit(stakingContract, "Staked");
+        });
+        
+        it("Should revert when neither the permit nor an allowance covers the stake", async function () {
+            const [, , , staker] = await ethers.getSigners();
+            await mockToken.mint(staker.address, stakeAmount);
+            
+            const deadline = (await time.latest()) + 3600;
+            const { v, r, s } = await signPermit(staker, stakeAmount - 1n, deadline);
+            
+            await expect(
+                stakingContract.connect(staker).stakeWithPermit(stakeAmount, 0, deadline, v, r, s)
+            ).to.be.revertedWithCustomError(mockToken, "ERC20InsufficientAllowance");
+        });
+    });
+    
+    describe("Meta-transactions", function () {
+        beforeEach(async function () {
+            const deadline = (await time.latest()) + 3600;
+            const { v, r, s } = await signPermit(user, stakeAmount, deadline);
+            await relay(user, "stakeWithPermit", [stakeAmount, 0, deadline, v, r, s]);
+        });
+        
+        it("Should trust the configured forwarder", async function () {
+            expect(await stakingContract.trustedForwarder()).to.equal(forwarder.target);
+            expect(await stakingContract.isTrustedForwarder(forwarder.target)).to.equal(true);
+        });
+        
+        it("Should record relayed stakes under the signer", async function () {
+            const stakeIds = await stakingContract.getUserStakeIds(user.address);
+            expect(stakeIds.length).to.equal(1);
+            expect(await stakingContract.userTotalStaked(user.address)).to.equal(stakeAmount);
+            expect(await stakingContract.userTotalStaked(relayer.address)).to.equal(0);
+            expect(await ethers.provider.getBalance(user.address)).to.equal(0);
+        });
+        
+        it("Should relay stake with an existing allowance", async function () {
+            const deadline = (await time.latest()) + 3600;
+            const { v, r, s } = await signPermit(user, stakeAmount, deadline);
+            await mockToken.permit(user.address, stakingContract.target, stakeAmount, deadline, v, r, s);
+            
+            await relay(user, "stake", [stakeAmount, 0]);
+            expect(await stakingContract.userTotalStaked(user.address)).to.equal(stakeAmount * 2n);
+        });
+        
+        it("Should relay claimRewards to the signer", async function () {
+            await time.increase(LOCK_PERIOD / 2);
+            
+            await expect(relay(user, "claimRewards", [1]))
+                .to.emit(stakingContract, "RewardsClaimed");
+            expect(await mockToken.balanceOf(user.address)).to.be.gt(ethers.parseUnits("9000", 6));
+        });
+        
+        it("Should relay rollover for the signer", async function () {
+            await time.increase(LOCK_PERIOD);
+            
+            await expect(relay(user, "rollover", [1]))
+                .to.emit(stakingContract, "Rollover");
+            const stake = await stakingContract.getStakeDetails(user.address, 1);
+            expect(stake.amount).to.be.gt(stakeAmount);
+        });
+        
+        it("Should relay unstake and pay the signer", async function () {
+            await time.increase(LOCK_PERIOD);
+            
+            await expect(relay(user, "unstake(uint256)", [1]))
+                .to.emit(stakingContract, "Unstaked");
+            expect(await mockToken.balanceOf(user.address)).to.be.gt(ethers.parseUnits("10000", 6));
+            expect(await stakingContract.userTotalStaked(user.address)).to.equal(0);
+        });
+        
+        it("Should not let a relayer act on stakes it did not sign for", async function () {
+            await time.increase(LOCK_PERIOD);
+            
+            await expect(
+                stakingContract.connect(relayer).unstake(1)
+            ).to.be.revertedWith("Stake not active");
+        });
+    });
+});
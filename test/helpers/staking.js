@@ -0,0 +1,30 @@
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+// every StakingCore deployment links these; the result is the `libraries` option for
+// getContractFactory / deployContract
+async function deployLibraries() {
+    const stakingLogic = await ethers.deployContract("StakingLogic");
+    const stakingAdmin = await ethers.deployContract("StakingAdmin");
+    return { StakingLogic: stakingLogic.target, StakingAdmin: stakingAdmin.target };
+}
+
+// StakingContract, StakingPool or MockStakingContractV2, linked to fresh libraries unless given some
+async function stakingFactory(name = "StakingContract", libraries) {
+    return ethers.getContractFactory(name, { libraries: libraries || (await deployLibraries()) });
+}
+
+async function deployStaking(token, treasury, forwarder = ethers.ZeroAddress) {
+    const StakingContract = await stakingFactory();
+    return StakingContract.deploy(token, treasury, forwarder);
+}
+
+// queues the call, waits out the parameter timelock and makes it
+async function executeTimelocked(contract, admin, method, args = []) {
+    const data = contract.interface.encodeFunctionData(method, args);
+    await contract.connect(admin).queueChange(data);
+    await time.increase(await contract.PARAMETER_TIMELOCK());
+    return contract.connect(admin)[method](...args);
+}
+
+module.exports = { deployLibraries, stakingFactory, deployStaking, executeTimelocked };
\ No newline at end of file
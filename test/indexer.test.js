@@ -0,0 +1,205 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { runIndexer } = require("../script/indexer");
+const { deployStaking, executeTimelocked } = require("./helpers/staking");
+
+const { ethers } = hre;
+
+describe("Event indexer", function () {
+    let stakingContract;
+    let positionToken;
+    let mockToken;
+    let deployBlock;
+    let outDir;
+    let owner;
+    let treasury;
+    let user1;
+    let user2;
+    let keeper;
+
+    const LOCK_PERIOD = 30 * 24 * 60 * 60;
+    const stakeAmount = ethers.parseUnits("1000", 6);
+
+    async function index(config = {}) {
+        const log = console.log;
+        console.log = () => {};
+        try {
+            return await runIndexer(hre, { staking: stakingContract.target, fromBlock: deployBlock, outDir, ...config });
+        } finally {
+            console.log = log;
+        }
+    }
+
+    function eventsOf(receipt, name) {
+        return receipt.logs
+            .map((log) => stakingContract.interface.parseLog(log))
+            .filter((event) => event && event.name === name)
+            .map((event) => event.args);
+    }
+
+    function readCsv(file) {
+        return fs.readFileSync(path.join(outDir, file), "utf8").trim().split("\n").map((line) => line.split(","));
+    }
+
+    // every event the indexer replays, from two users, a keeper and an emergency withdrawal
+    async function runScenario() {
+        await stakingContract.connect(user1).stake(stakeAmount, 0);
+        await stakingContract.connect(user1).stake(stakeAmount, 0);
+        await stakingContract.connect(user2).stake(stakeAmount * 2n, 0);
+        await stakingContract.connect(user2).stake(stakeAmount, 0);
+        await stakingContract.connect(user2).setAutoRollover(4, true);
+
+        await time.increase(LOCK_PERIOD / 2);
+        await stakingContract.connect(user1).claimRewards(1);
+        await stakingContract.connect(user2).splitStake(3, stakeAmount / 2n);
+        await stakingContract.connect(user2).earlyUnstake(5);
+        await positionToken.connect(user1).transferFrom(user1.address, user2.address, 2);
+
+        await time.increase(LOCK_PERIOD / 2);
+        await stakingContract.connect(user1).rollover(1);
+        await stakingContract.connect(keeper).performUpkeep(ethers.AbiCoder.defaultAbiCoder().encode(["uint256[]"], [[4]]));
+        await stakingContract.connect(user2)["unstake(uint256,uint256)"](3, stakeAmount / 2n);
+        await stakingContract.connect(user2)["unstake(uint256)"](2);
+
+        await mockToken.mint(stakingContract.target, ethers.parseUnits("5", 6));
+        await stakingContract.connect(owner).pause();
+        await stakingContract.connect(treasury).emergencyWithdraw(mockToken.target, ethers.parseUnits("5", 6));
+        await stakingContract.connect(owner).unpause();
+    }
+
+    beforeEach(async function () {
+        [owner, treasury, user1, user2, keeper] = await ethers.getSigners();
+        outDir = fs.mkdtempSync(path.join(os.tmpdir(), "indexer-"));
+
+        const MockToken = await ethers.getContractFactory("MockERC20");
+        mockToken = await MockToken.deploy("Mock USDT", "USDT", 6);
+        stakingContract = await deployStaking(mockToken.target, treasury.address);
+        deployBlock = (await stakingContract.deploymentTransaction().wait()).blockNumber;
+        positionToken = await ethers.getContractAt("StakePosition", await stakingContract.positionToken());
+
+        for (const account of [owner, user1, user2]) {
+            await mockToken.mint(account.address, ethers.parseUnits("100000", 6));
+            await mockToken.connect(account).approve(stakingContract.target, ethers.MaxUint256);
+        }
+        await stakingContract.connect(owner).depositRewards(ethers.parseUnits("10000", 6));
+        await stakingContract.connect(owner).grantRole(await stakingContract.EMERGENCY_ROLE(), treasury.address);
+    });
+
+    afterEach(function () {
+        fs.rmSync(outDir, { recursive: true, force: true });
+    });
+
+    it("Should build a per-user ledger that reconciles with the contract", async function () {
+        await runScenario();
+        const report = await index();
+
+        expect(report.crossCheck.mismatches).to.deep.equal([]);
+        expect(report.crossCheck.ok).to.equal(true);
+        expect(report.toBlock).to.equal(await ethers.provider.getBlockNumber());
+
+        const ledger1 = report.users[user1.address];
+        const ledger2 = report.users[user2.address];
+        expect(ledger1.principal).to.equal(await stakingContract.userTotalStaked(user1.address));
+        expect(ledger2.principal).to.equal(await stakingContract.userTotalStaked(user2.address));
+        expect(ledger1.staked).to.equal(stakeAmount * 2n);
+        expect(ledger1.transferredOut).to.equal(stakeAmount);
+        expect(ledger2.transferredIn).to.equal(stakeAmount);
+        expect(ledger1.compounded).to.be.greaterThan(0);
+        expect(ledger2.keeperBounties).to.be.greaterThan(0);
+        expect(ledger2.penalties).to.be.greaterThan(0);
+        expect(ledger2.forfeited).to.be.greaterThan(0);
+
+        const stats = await stakingContract.getContractStats();
+        expect(report.totals.rewardsPaid).to.equal(stats._totalRewardsPaid);
+        expect(report.totals.rewardsDeposited).to.equal(ethers.parseUnits("10000", 6));
+        expect(report.totals.emergencyWithdrawals[mockToken.target]).to.equal(ethers.parseUnits("5", 6));
+    });
+
+    it("Should add up the tax each user paid", async function () {
+        await stakingContract.connect(user1).stake(stakeAmount, 0);
+        await time.increase(LOCK_PERIOD / 2);
+        const claim = await (await stakingContract.connect(user1).claimRewards(1)).wait();
+        await time.increase(LOCK_PERIOD / 2);
+        const unstake = await (await stakingContract.connect(user1)["unstake(uint256)"](1)).wait();
+
+        const report = await index();
+        const [claimed] = eventsOf(claim, "RewardsClaimed");
+        const [unstaked] = eventsOf(unstake, "Unstaked");
+        expect(report.users[user1.address].tax).to.equal(claimed.tax + unstaked.tax);
+        expect(report.users[user1.address].rewards).to.equal(claimed.rewards + unstaked.rewards);
+        expect(report.totals.tax).to.equal(claimed.tax + unstaked.tax);
+    });
+
+    it("Should follow positions migrated out after a sunset", async function () {
+        const receiver = await ethers.deployContract("MockMigrationReceiver");
+        await stakingContract.connect(user1).stake(stakeAmount, 0);
+        await stakingContract.connect(user1).stake(stakeAmount, 0);
+        await time.increase(LOCK_PERIOD / 2);
+        await executeTimelocked(stakingContract, owner, "sunset", [receiver.target]);
+        const migration = await (await stakingContract.connect(user1).migrate(1, receiver.target)).wait();
+
+        const report = await index();
+        const [migrated] = eventsOf(migration, "StakeMigrated");
+        const ledger = report.users[user1.address];
+        expect(report.crossCheck.ok).to.equal(true);
+        expect(ledger.migrated).to.equal(stakeAmount);
+        expect(ledger.principal).to.equal(stakeAmount);
+        expect(ledger.rewards).to.equal(migrated.rewards);
+        expect(ledger.tax).to.equal(migrated.tax);
+    });
+
+    it("Should resume from its checkpoint", async function () {
+        const first = await index();
+        expect(first.totals.rewardsDeposited).to.equal(ethers.parseUnits("10000", 6));
+        const checkpoint = JSON.parse(fs.readFileSync(path.join(outDir, "checkpoint.json"), "utf8"));
+        expect(checkpoint.nextBlock).to.equal(first.toBlock + 1);
+
+        await runScenario();
+        const resumed = await index({ fromBlock: 0, batchSize: 3 });
+
+        // a fresh run over the whole range gives the same result
+        const fresh = await index({ outDir: path.join(outDir, "fresh") });
+        expect(resumed.crossCheck.ok).to.equal(true);
+        expect(resumed.users).to.deep.equal(fresh.users);
+        expect(resumed.totals).to.deep.equal(fresh.totals);
+        expect(resumed.fromBlock).to.equal(deployBlock);
+    });
+
+    it("Should report where the ledger and the contract disagree", async function () {
+        await stakingContract.connect(user1).stake(stakeAmount, 0);
+        const report = await index({ fromBlock: (await ethers.provider.getBlockNumber()) + 1 });
+
+        expect(report.crossCheck.ok).to.equal(false);
+        expect(report.crossCheck.mismatches).to.include("totalStaked");
+    });
+
+    it("Should write JSON and CSV reports", async function () {
+        await runScenario();
+        const report = await index();
+
+        const json = JSON.parse(fs.readFileSync(path.join(outDir, "ledger.json"), "utf8"));
+        expect(json.contract).to.equal(stakingContract.target);
+        expect(json.decimals).to.equal(6);
+        expect(json.users[user1.address].principal).to.equal(report.users[user1.address].principal.toString());
+
+        const ledger = readCsv("ledger.csv");
+        expect(ledger[0]).to.deep.equal([
+            "block", "timestamp", "date", "transaction", "event", "user", "stakeId", "principal", "rewards", "tax", "penalty",
+        ]);
+        expect(ledger.slice(1).map((row) => row[4])).to.include.members([
+            "Staked", "RewardsClaimed", "StakeSplit", "EarlyUnstaked", "PositionTransferred",
+            "Rollover", "AutoRollover", "PartialUnstaked", "Unstaked",
+        ]);
+        const firstStake = ledger.find((row) => row[4] === "Staked");
+        expect(firstStake[5]).to.equal(user1.address);
+        expect(firstStake[7]).to.equal("1000.0");
+
+        const users = readCsv("users.csv");
+        expect(users[0][0]).to.equal("user");
+        expect(users.slice(1).map((row) => row[0])).to.have.members([user1.address, user2.address]);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,157 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployStaking } = require("./helpers/staking");
+
+describe("StakePosition", function () {
+    let stakingContract;
+    let positionToken;
+    let mockToken;
+    let owner;
+    let treasury;
+    let user1;
+    let user2;
+
+    const LOCK_PERIOD = 30 * 24 * 60 * 60;
+    const stakeAmount = ethers.parseUnits("1000", 6);
+
+    beforeEach(async function () {
+        [owner, treasury, user1, user2] = await ethers.getSigners();
+
+        const MockToken = await ethers.getContractFactory("MockERC20");
+        mockToken = await MockToken.deploy("Mock USDT", "USDT", 6);
+        stakingContract = await deployStaking(mockToken.target, treasury.address);
+        positionToken = await ethers.getContractAt("StakePosition", await stakingContract.positionToken());
+
+        await mockToken.mint(user1.address, ethers.parseUnits("10000", 6));
+        await mockToken.mint(owner.address, ethers.parseUnits("100000", 6));
+        await mockToken.connect(user1).approve(stakingContract.target, ethers.MaxUint256);
+        await mockToken.connect(owner).approve(stakingContract.target, ethers.MaxUint256);
+        await stakingContract.connect(owner).depositRewards(ethers.parseUnits("10000", 6));
+
+        await stakingContract.connect(user1).stake(stakeAmount, 0);
+    });
+
+    describe("Minting and burning", function () {
+        it("Should mint a position token keyed by stakeId", async function () {
+            expect(await positionToken.staking()).to.equal(stakingContract.target);
+            expect(await positionToken.ownerOf(1)).to.equal(user1.address);
+            expect(await positionToken.balanceOf(user1.address)).to.equal(1);
+        });
+
+        it("Should burn the position token on unstake", async function () {
+            await time.increase(LOCK_PERIOD);
+            await stakingContract.connect(user1).unstake(1);
+
+            await expect(positionToken.ownerOf(1))
+                .to.be.revertedWithCustomError(positionToken, "ERC721NonexistentToken");
+        });
+
+        it("Should burn the position token on early unstake", async function () {
+            await stakingContract.connect(user1).earlyUnstake(1);
+            expect(await positionToken.balanceOf(user1.address)).to.equal(0);
+        });
+
+        it("Should only let the staking contract mint, burn or report transfers", async function () {
+            await expect(
+                positionToken.connect(user1).mint(user1.address, 99)
+            ).to.be.revertedWith("Only staking contract");
+            await expect(
+                positionToken.connect(user1).burn(1)
+            ).to.be.revertedWith("Only staking contract");
+            await expect(
+                stakingContract.connect(user1).onPositionTransfer(user1.address, user2.address, 1)
+            ).to.be.revertedWith("Only position token");
+        });
+    });
+
+    describe("Transfers", function () {
+        it("Should move the stake to the new holder", async function () {
+            await expect(positionToken.connect(user1).transferFrom(user1.address, user2.address, 1))
+                .to.emit(stakingContract, "PositionTransferred")
+                .withArgs(user1.address, user2.address, 1, stakeAmount);
+
+            const moved = await stakingContract.getStakeDetails(user2.address, 1);
+            expect(moved.amount).to.equal(stakeAmount);
+            expect(moved.active).to.equal(true);
+            expect((await stakingContract.getStakeDetails(user1.address, 1)).active).to.equal(false);
+            expect(await stakingContract.stakeOwner(1)).to.equal(user2.address);
+        });
+
+        it("Should keep userStakeIds and userTotalStaked correct", async function () {
+            await stakingContract.connect(user1).stake(stakeAmount * 2n, 0);
+            await stakingContract.connect(user1).stake(stakeAmount * 3n, 0);
+
+            await positionToken.connect(user1).transferFrom(user1.address, user2.address, 1);
+
+            expect(await stakingContract.getUserStakeIds(user1.address)).to.deep.equal([3n, 2n]);
+            expect(await stakingContract.getUserStakeIds(user2.address)).to.deep.equal([1n]);
+            expect(await stakingContract.userTotalStaked(user1.address)).to.equal(stakeAmount * 5n);
+            expect(await stakingContract.userTotalStaked(user2.address)).to.equal(stakeAmount);
+            expect(await stakingContract.totalStaked()).to.equal(stakeAmount * 6n);
+        });
+
+        it("Should authorize unstake, rollover and claims by token ownership", async function () {
+            await positionToken.connect(user1).transferFrom(user1.address, user2.address, 1);
+            await time.increase(LOCK_PERIOD);
+
+            await expect(
+                stakingContract.connect(user1).claimRewards(1)
+            ).to.be.revertedWith("Stake not active");
+            await expect(
+                stakingContract.connect(user1).unstake(1)
+            ).to.be.revertedWith("Stake not active");
+
+            await expect(stakingContract.connect(user2).claimRewards(1))
+                .to.emit(stakingContract, "RewardsClaimed");
+            await expect(stakingContract.connect(user2).rollover(1))
+                .to.emit(stakingContract, "Rollover");
+
+            await time.increase(LOCK_PERIOD);
+            const balanceBefore = await mockToken.balanceOf(user2.address);
+            await stakingContract.connect(user2).unstake(1);
+            expect(await mockToken.balanceOf(user2.address)).to.be.gt(balanceBefore + stakeAmount);
+        });
+
+        it("Should carry accrued rewards over to the new holder", async function () {
+            await time.increase(LOCK_PERIOD / 2);
+            const accrued = await stakingContract.calculateRewards(user1.address, 1);
+
+            await positionToken.connect(user1).transferFrom(user1.address, user2.address, 1);
+
+            expect(await stakingContract.calculateRewards(user2.address, 1)).to.be.closeTo(accrued, 10);
+        });
+
+        it("Should clear the auto-rollover flag on transfer", async function () {
+            await stakingContract.connect(user1).setAutoRollover(1, true);
+
+            await expect(positionToken.connect(user1).transferFrom(user1.address, user2.address, 1))
+                .to.emit(stakingContract, "AutoRolloverUpdated")
+                .withArgs(user1.address, 1, false);
+            expect(await stakingContract.isAutoRollover(1)).to.equal(false);
+        });
+    });
+
+    describe("Metadata", function () {
+        it("Should return on-chain JSON with amount, end time and pending rewards", async function () {
+            await time.increase(LOCK_PERIOD / 2);
+
+            const uri = await positionToken.tokenURI(1);
+            expect(uri.startsWith("data:application/json;base64,")).to.equal(true);
+
+            const json = JSON.parse(Buffer.from(uri.split(",")[1], "base64").toString());
+            const details = await stakingContract.getStakeDetails(user1.address, 1);
+            const attribute = (name) => json.attributes.find(a => a.trait_type === name).value;
+
+            expect(json.name).to.equal("Staking Position #1");
+            expect(BigInt(attribute("Amount"))).to.equal(stakeAmount);
+            expect(BigInt(attribute("End Time"))).to.equal(details.endTime);
+            expect(BigInt(attribute("Pending Rewards"))).to.equal(details.pendingRewards);
+        });
+
+        it("Should revert for unknown positions", async function () {
+            await expect(positionToken.tokenURI(99))
+                .to.be.revertedWithCustomError(positionToken, "ERC721NonexistentToken");
+        });
+    });
+});
\ No newline at end of file
@@ -1,6 +1,8 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { deployStaking, executeTimelocked } = require("./helpers/staking");
 
 describe("StakingContract", function () {
     let stakingContract;
@@ -14,17 +16,14 @@ describe("StakingContract", function () {
     const LOCK_PERIOD = 30 * 24 * 60 * 60; 
     const TAX_RATE = 50; 
     const APY = 10; 
+    const PARAMETER_TIMELOCK = 2 * 24 * 60 * 60;
     
     beforeEach(async function () {
         [owner, treasury, user1, user2] = await ethers.getSigners();
     
         const MockToken = await ethers.getContractFactory("MockERC20");
         mockToken = await MockToken.deploy("Mock USDT", "USDT", 6);     
-        const StakingContract = await ethers.getContractFactory("StakingContract");
-        stakingContract = await StakingContract.deploy(
-            mockToken.target,         
-            treasury.address
-        );
+        stakingContract = await deployStaking(mockToken.target, treasury.address);
         await mockToken.mint(user1.address, ethers.parseUnits("10000", 6));
         await mockToken.mint(user2.address, ethers.parseUnits("10000", 6));
         await mockToken.mint(owner.address, ethers.parseUnits("100000", 6));
@@ -58,7 +57,7 @@ describe("StakingContract", function () {
         it("Should allow users to stake tokens successfully", async function () {
             const stakeAmount = ethers.parseUnits("1000", 6);
         
-            const tx = await stakingContract.connect(user1).stake(stakeAmount);
+            const tx = await stakingContract.connect(user1).stake(stakeAmount, 0);
             const receipt = await tx.wait();
         
             const event = receipt.logs
@@ -89,20 +88,20 @@ describe("StakingContract", function () {
         it("Should reject stakes below minimum amount", async function () {
             const belowMin = ethers.parseUnits("99", 6);
             await expect(
-                stakingContract.connect(user1).stake(belowMin)
+                stakingContract.connect(user1).stake(belowMin, 0)
             ).to.be.revertedWith("Amount below minimum stake");
         });
     
         it("Should reject stakes with insufficient balance", async function () {
             const tooMuch = ethers.parseUnits("20000", 6);
             await expect(
-                stakingContract.connect(user1).stake(tooMuch)
+                stakingContract.connect(user1).stake(tooMuch, 0)
             ).to.be.revertedWith("Insufficient balance");
         });
     
         it("Should correctly track stake details", async function () {
             const stakeAmount = ethers.parseUnits("1000", 6);
-            await stakingContract.connect(user1).stake(stakeAmount);
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
     
             const stake = await stakingContract.getStakeDetails(user1.address, 1);
             const currentTime = (await ethers.provider.getBlock("latest")).timestamp;
@@ -116,9 +115,9 @@ describe("StakingContract", function () {
         it("Should support multiple stakes from same user", async function () {
             const stakeAmount = ethers.parseUnits("500", 6);
     
-            await stakingContract.connect(user1).stake(stakeAmount);
-            await stakingContract.connect(user1).stake(stakeAmount);
-            await stakingContract.connect(user1).stake(stakeAmount);
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
     
             const stakeIds = await stakingContract.getUserStakeIds(user1.address);
             expect(stakeIds.length).to.equal(3);
@@ -130,8 +129,8 @@ describe("StakingContract", function () {
         it("Should update contract total staked", async function () {
             const stakeAmount = ethers.parseUnits("1000", 6);
     
-            await stakingContract.connect(user1).stake(stakeAmount);
-            await stakingContract.connect(user2).stake(stakeAmount * 2n);
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
+            await stakingContract.connect(user2).stake(stakeAmount * 2n, 0);
     
             const totalStaked = await stakingContract.totalStaked();
             expect(totalStaked).to.equal(stakeAmount * 3n);
@@ -142,7 +141,7 @@ describe("StakingContract", function () {
     describe("Reward Calculation", function () {
         it("Should calculate correct rewards for 1 day", async function () {
             const stakeAmount = ethers.parseUnits("1000", 6); 
-            await stakingContract.connect(user1).stake(stakeAmount);
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
         
             await time.increase(24 * 60 * 60);
         
@@ -156,7 +155,7 @@ describe("StakingContract", function () {
         
         it("Should calculate correct rewards for full 30-day period", async function () {
             const stakeAmount = ethers.parseUnits("1000", 6);
-            await stakingContract.connect(user1).stake(stakeAmount);
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
         
             await time.increase(LOCK_PERIOD);
         
@@ -171,7 +170,7 @@ describe("StakingContract", function () {
         
         it("Should return zero rewards for brand new stakes", async function () {
             const stakeAmount = ethers.parseUnits("1000", 6);
-            await stakingContract.connect(user1).stake(stakeAmount);
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
             
             const rewards = await stakingContract.calculateRewards(user1.address, 1);
             expect(rewards).to.equal(0);
@@ -180,9 +179,9 @@ describe("StakingContract", function () {
         it("Should handle multiple stakes with different start times", async function () {
             const stakeAmount = ethers.parseUnits("1000", 6);
             
-            await stakingContract.connect(user1).stake(stakeAmount);
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
             await time.increase(10 * 24 * 60 * 60); // 10 days
-            await stakingContract.connect(user1).stake(stakeAmount);
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
             await time.increase(5 * 24 * 60 * 60); // 5 more days
             
             const rewards1 = await stakingContract.calculateRewards(user1.address, 1);
@@ -196,7 +195,7 @@ describe("StakingContract", function () {
     describe("Unstaking", function () {
         it("Should reject unstake before lock period ends", async function () {
             const stakeAmount = ethers.parseUnits("1000", 6);
-            await stakingContract.connect(user1).stake(stakeAmount);
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
             
             await time.increase(15 * 24 * 60 * 60); 
             
@@ -207,7 +206,7 @@ describe("StakingContract", function () {
         
         it("Should allow unstake after lock period", async function () {
             const stakeAmount = ethers.parseUnits("1000", 6);
-            await stakingContract.connect(user1).stake(stakeAmount);
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
             
             await time.increase(LOCK_PERIOD);
             
@@ -217,7 +216,7 @@ describe("StakingContract", function () {
         
         it("Should calculate 0.5% tax correctly", async function () {
             const stakeAmount = ethers.parseUnits("1000", 6); 
-            await stakingContract.connect(user1).stake(stakeAmount);
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
         
             const initialBalance = await mockToken.balanceOf(user1.address);
             const treasuryInitialBalance = await mockToken.balanceOf(treasury.address);
@@ -244,7 +243,7 @@ describe("StakingContract", function () {
         
         it("Should transfer tax to treasury", async function () {
             const stakeAmount = ethers.parseUnits("1000", 6);
-            await stakingContract.connect(user1).stake(stakeAmount);
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
             
             const treasuryInitial = await mockToken.balanceOf(treasury.address);
             
@@ -257,7 +256,7 @@ describe("StakingContract", function () {
         
         it("Should mark stake as inactive after unstake", async function () {
             const stakeAmount = ethers.parseUnits("1000", 6);
-            await stakingContract.connect(user1).stake(stakeAmount);
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
             
             await time.increase(LOCK_PERIOD);
             await stakingContract.connect(user1).unstake(1);
@@ -268,7 +267,7 @@ describe("StakingContract", function () {
         
         it("Should emit Unstaked event with correct details", async function () {
             const stakeAmount = ethers.parseUnits("1000", 6);
-            await stakingContract.connect(user1).stake(stakeAmount);
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
         
             await time.increase(LOCK_PERIOD);
         
@@ -299,7 +298,7 @@ describe("StakingContract", function () {
     describe("Rollover", function () {
         it("Should reject rollover before lock period ends", async function () {
             const stakeAmount = ethers.parseUnits("1000", 6);
-            await stakingContract.connect(user1).stake(stakeAmount);
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
             
             await time.increase(15 * 24 * 60 * 60);
             
@@ -310,7 +309,7 @@ describe("StakingContract", function () {
         
         it("Should allow rollover after lock period", async function () {
             const stakeAmount = ethers.parseUnits("1000", 6);
-            await stakingContract.connect(user1).stake(stakeAmount);
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
             
             await time.increase(LOCK_PERIOD);
             
@@ -320,7 +319,7 @@ describe("StakingContract", function () {
         
         it("Should add rewards to new principal", async function () {
             const stakeAmount = ethers.parseUnits("1000", 6); 
-            await stakingContract.connect(user1).stake(stakeAmount);
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
         
             await time.increase(LOCK_PERIOD);
         
@@ -337,7 +336,7 @@ describe("StakingContract", function () {
         
         it("Should reset lock period", async function () {
             const stakeAmount = ethers.parseUnits("1000", 6);
-            await stakingContract.connect(user1).stake(stakeAmount);
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
             
             await time.increase(LOCK_PERIOD);
             
@@ -350,7 +349,7 @@ describe("StakingContract", function () {
         
         it("Should NOT apply tax on rollover", async function () {
             const stakeAmount = ethers.parseUnits("1000", 6);
-            await stakingContract.connect(user1).stake(stakeAmount);
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
             
             const treasuryBefore = await mockToken.balanceOf(treasury.address);
             
@@ -364,7 +363,7 @@ describe("StakingContract", function () {
         
         it("Should emit Rollover event", async function () {
             const stakeAmount = ethers.parseUnits("1000", 6);
-            await stakingContract.connect(user1).stake(stakeAmount);
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
             
             await time.increase(LOCK_PERIOD);
             
@@ -374,7 +373,7 @@ describe("StakingContract", function () {
         
         it("Should handle consecutive rollovers", async function () {
             const stakeAmount = ethers.parseUnits("1000", 6);
-            await stakingContract.connect(user1).stake(stakeAmount);
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
             
             await time.increase(LOCK_PERIOD);
             await stakingContract.connect(user1).rollover(1);
@@ -393,7 +392,7 @@ describe("StakingContract", function () {
     describe("Claim Rewards", function () {
         it("Should allow claiming rewards while keeping principal locked", async function () {
             const stakeAmount = ethers.parseUnits("1000", 6);
-            await stakingContract.connect(user1).stake(stakeAmount);
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
             
             await time.increase(15 * 24 * 60 * 60); 
             
@@ -406,7 +405,7 @@ describe("StakingContract", function () {
     
         it("Should apply 0.5% tax on claimed rewards", async function () {
             const stakeAmount = ethers.parseUnits("1000", 6);
-            await stakingContract.connect(user1).stake(stakeAmount);
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
             
             await time.increase(LOCK_PERIOD); 
             
@@ -431,7 +430,7 @@ describe("StakingContract", function () {
     
         it("Should reset reward accumulation timestamp", async function () {
             const stakeAmount = ethers.parseUnits("1000", 6);
-            await stakingContract.connect(user1).stake(stakeAmount);
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
             
             await time.increase(LOCK_PERIOD);
             await stakingContract.connect(user1).claimRewards(1);
@@ -442,7 +441,7 @@ describe("StakingContract", function () {
     
         it("Should continue earning on principal after claim", async function () {
             const stakeAmount = ethers.parseUnits("1000", 6);
-            await stakingContract.connect(user1).stake(stakeAmount);
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
             
             await time.increase(LOCK_PERIOD);
             await stakingContract.connect(user1).claimRewards(1);
@@ -455,7 +454,7 @@ describe("StakingContract", function () {
     
         it("Should revert when claiming zero rewards", async function () {
             const stakeAmount = ethers.parseUnits("1000", 6);
-            await stakingContract.connect(user1).stake(stakeAmount);
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
             
             const rewards = await stakingContract.calculateRewards(user1.address, 1);
             
@@ -463,7 +462,992 @@ describe("StakingContract", function () {
           
         });
         
-    });    
+    });
+    
+    describe("Tiers", function () {
+        const NINETY_DAYS = 90 * 24 * 60 * 60;
+        
+        it("Should seed the default 30-day / 10% tier", async function () {
+            const tier = await stakingContract.tiers(0);
+            expect(tier.lockPeriod).to.equal(LOCK_PERIOD);
+            expect(tier.apyBps).to.equal(APY * 100);
+            expect(tier.active).to.equal(true);
+            expect(await stakingContract.tierCount()).to.equal(1);
+        });
+        
+        it("Should let the owner add tiers", async function () {
+            await expect(executeTimelocked(stakingContract, owner, "addTier", [NINETY_DAYS, 1500]))
+                .to.emit(stakingContract, "TierAdded")
+                .withArgs(1, NINETY_DAYS, 1500);
+            
+            const tiers = await stakingContract.getTiers();
+            expect(tiers.length).to.equal(2);
+            expect(tiers[1].lockPeriod).to.equal(NINETY_DAYS);
+        });
+        
+        it("Should reject tier management from non-owners", async function () {
+            await expect(
+                stakingContract.connect(user1).addTier(NINETY_DAYS, 1500)
+            ).to.be.revertedWithCustomError(stakingContract, "AccessControlUnauthorizedAccount");
+        });
+        
+        it("Should reject invalid tier terms", async function () {
+            await expect(
+                executeTimelocked(stakingContract, owner, "addTier", [0, 1500])
+            ).to.be.revertedWith("Invalid lock period");
+            await expect(
+                executeTimelocked(stakingContract, owner, "addTier", [NINETY_DAYS, 10001])
+            ).to.be.revertedWith("APY too high");
+        });
+        
+        it("Should reject stakes into unknown or inactive tiers", async function () {
+            const stakeAmount = ethers.parseUnits("1000", 6);
+            await expect(
+                stakingContract.connect(user1).stake(stakeAmount, 1)
+            ).to.be.revertedWith("Invalid tier");
+            
+            await executeTimelocked(stakingContract, owner, "addTier", [NINETY_DAYS, 1500]);
+            await executeTimelocked(stakingContract, owner, "updateTier", [1, NINETY_DAYS, 1500, false]);
+            await expect(
+                stakingContract.connect(user1).stake(stakeAmount, 1)
+            ).to.be.revertedWith("Invalid tier");
+        });
+        
+        it("Should record the tier terms on the stake", async function () {
+            const stakeAmount = ethers.parseUnits("1000", 6);
+            await executeTimelocked(stakingContract, owner, "addTier", [NINETY_DAYS, 1500]);
+            await stakingContract.connect(user1).stake(stakeAmount, 1);
+            
+            const stake = await stakingContract.getStakeDetails(user1.address, 1);
+            const currentTime = await time.latest();
+            expect(stake.tierId).to.equal(1);
+            expect(stake.lockPeriod).to.equal(NINETY_DAYS);
+            expect(stake.apyBps).to.equal(1500);
+            expect(stake.endTime).to.equal(currentTime + NINETY_DAYS);
+        });
+        
+        it("Should pay rewards at the tier APY", async function () {
+            const stakeAmount = ethers.parseUnits("1000", 6);
+            await executeTimelocked(stakingContract, owner, "addTier", [NINETY_DAYS, 1500]);
+            await stakingContract.connect(user1).stake(stakeAmount, 1);
+            
+            await time.increase(NINETY_DAYS);
+            
+            const rewards = await stakingContract.calculateRewards(user1.address, 1);
+            const expected = (stakeAmount * 1500n * 90n) / (10000n * 365n);
+            expect(rewards).to.be.closeTo(expected, ethers.parseUnits("0.01", 6));
+        });
+        
+        it("Should keep recorded terms when the tier is updated", async function () {
+            const stakeAmount = ethers.parseUnits("1000", 6);
+            await executeTimelocked(stakingContract, owner, "addTier", [NINETY_DAYS, 1500]);
+            await stakingContract.connect(user1).stake(stakeAmount, 1);
+            
+            await expect(executeTimelocked(stakingContract, owner, "updateTier", [1, LOCK_PERIOD, 500, true]))
+                .to.emit(stakingContract, "TierUpdated")
+                .withArgs(1, LOCK_PERIOD, 500, true);
+            
+            await time.increase(LOCK_PERIOD);
+            await expect(
+                stakingContract.connect(user1).unstake(1)
+            ).to.be.revertedWith("Lock period not ended");
+            
+            const stake = await stakingContract.getStakeDetails(user1.address, 1);
+            expect(stake.apyBps).to.equal(1500);
+        });
+        
+        it("Should roll over using the stake's lock period", async function () {
+            const stakeAmount = ethers.parseUnits("1000", 6);
+            await executeTimelocked(stakingContract, owner, "addTier", [NINETY_DAYS, 1500]);
+            await stakingContract.connect(user1).stake(stakeAmount, 1);
+            
+            await time.increase(NINETY_DAYS);
+            await stakingContract.connect(user1).rollover(1);
+            
+            const stake = await stakingContract.getStakeDetails(user1.address, 1);
+            expect(stake.endTime).to.equal((await time.latest()) + NINETY_DAYS);
+        });
+        
+        it("Should not roll over into a deactivated tier", async function () {
+            const stakeAmount = ethers.parseUnits("1000", 6);
+            await executeTimelocked(stakingContract, owner, "addTier", [NINETY_DAYS, 1500]);
+            await stakingContract.connect(user1).stake(stakeAmount, 1);
+            await executeTimelocked(stakingContract, owner, "updateTier", [1, NINETY_DAYS, 1500, false]);
+            
+            await time.increase(NINETY_DAYS);
+            await expect(
+                stakingContract.connect(user1).rollover(1)
+            ).to.be.revertedWith("Invalid tier");
+            await expect(
+                stakingContract.connect(user1).rolloverMatured([1])
+            ).to.be.revertedWith("No matured stakes");
+            
+            await expect(stakingContract.connect(user1).unstake(1))
+                .to.emit(stakingContract, "Unstaked");
+        });
+    });
+    
+    describe("Reward Reserve", function () {
+        const DEPOSIT = ethers.parseUnits("10000", 6);
+        
+        async function deployUnfunded() {
+            const unfunded = await deployStaking(mockToken.target, treasury.address);
+            await mockToken.connect(user1).approve(unfunded.target, ethers.MaxUint256);
+            await mockToken.connect(owner).approve(unfunded.target, ethers.MaxUint256);
+            return unfunded;
+        }
+        
+        it("Should credit the reserve on deposit", async function () {
+            expect(await stakingContract.rewardReserve()).to.equal(DEPOSIT);
+        });
+        
+        it("Should debit the reserve when rewards are claimed", async function () {
+            const stakeAmount = ethers.parseUnits("1000", 6);
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
+            
+            await time.increase(LOCK_PERIOD);
+            const tx = await stakingContract.connect(user1).claimRewards(1);
+            const receipt = await tx.wait();
+            const claimed = receipt.logs
+                .map(log => stakingContract.interface.parseLog(log))
+                .find(log => log && log.name === "RewardsClaimed");
+            
+            expect(await stakingContract.rewardReserve()).to.equal(DEPOSIT - claimed.args.rewards);
+        });
+        
+        it("Should move compounded rewards from the reserve into principal", async function () {
+            const stakeAmount = ethers.parseUnits("1000", 6);
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
+            
+            await time.increase(LOCK_PERIOD);
+            await stakingContract.connect(user1).rollover(1);
+            
+            const stake = await stakingContract.getStakeDetails(user1.address, 1);
+            const compounded = stake.amount - stakeAmount;
+            expect(await stakingContract.rewardReserve()).to.equal(DEPOSIT - compounded);
+            expect(await stakingContract.totalStaked()).to.equal(stake.amount);
+        });
+        
+        it("Should track the accrued reward liability", async function () {
+            const stakeAmount = ethers.parseUnits("1000", 6);
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
+            await time.increase(10 * 24 * 60 * 60);
+            await stakingContract.connect(user2).stake(stakeAmount * 2n, 0);
+            await time.increase(5 * 24 * 60 * 60);
+            
+            const rewards1 = await stakingContract.calculateRewards(user1.address, 1);
+            const rewards2 = await stakingContract.calculateRewards(user2.address, 2);
+            const liability = await stakingContract.accruedRewardLiability();
+            
+            expect(liability).to.be.closeTo(rewards1 + rewards2, 2);
+            
+            await stakingContract.connect(user1).claimRewards(1);
+            expect(await stakingContract.accruedRewardLiability()).to.be.closeTo(
+                await stakingContract.calculateRewards(user2.address, 2), 2
+            );
+        });
+        
+        it("Should report the reserve runway", async function () {
+            expect(await stakingContract.rewardRunway()).to.equal(ethers.MaxUint256);
+            
+            const stakeAmount = ethers.parseUnits("1000", 6);
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
+            
+            // 10,000 reserve at 100 per year on 1,000 staked
+            const runway = await stakingContract.rewardRunway();
+            expect(runway).to.be.closeTo(100n * 365n * 24n * 60n * 60n, 60);
+        });
+        
+        it("Should revert claims and rollovers the reserve cannot cover", async function () {
+            const unfunded = await deployUnfunded();
+            const stakeAmount = ethers.parseUnits("1000", 6);
+            await unfunded.connect(user1).stake(stakeAmount, 0);
+            
+            await time.increase(LOCK_PERIOD);
+            expect(await unfunded.rewardRunway()).to.equal(0);
+            
+            await expect(
+                unfunded.connect(user1).claimRewards(1)
+            ).to.be.revertedWith("Insufficient reward reserve");
+            await expect(
+                unfunded.connect(user1).rollover(1)
+            ).to.be.revertedWith("Insufficient reward reserve");
+        });
+        
+        it("Should let principal exit when the reserve runs dry", async function () {
+            const unfunded = await deployUnfunded();
+            const stakeAmount = ethers.parseUnits("1000", 6);
+            await unfunded.connect(user1).stake(stakeAmount, 0);
+            await unfunded.connect(owner).depositRewards(ethers.parseUnits("1", 6));
+            
+            await time.increase(LOCK_PERIOD);
+            const accrued = await unfunded.calculateRewards(user1.address, 1);
+            
+            await expect(unfunded.connect(user1).unstake(1))
+                .to.emit(unfunded, "Unstaked")
+                .withArgs(user1.address, 1, stakeAmount, ethers.parseUnits("1", 6), anyValue, anyValue)
+                .and.to.emit(unfunded, "RewardShortfall");
+            
+            expect(await unfunded.rewardReserve()).to.equal(0);
+            expect(accrued).to.be.gt(ethers.parseUnits("1", 6));
+            expect(await mockToken.balanceOf(unfunded.target)).to.equal(0);
+        });
+        
+        it("Should only allow emergency withdrawal of unallocated tokens", async function () {
+            const stakeAmount = ethers.parseUnits("1000", 6);
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
+            await stakingContract.connect(owner).grantRole(await stakingContract.EMERGENCY_ROLE(), user2.address);
+            await stakingContract.connect(owner).pause();
+            
+            await expect(
+                stakingContract.connect(user2).emergencyWithdraw(mockToken.target, 1)
+            ).to.be.revertedWith("Cannot withdraw staked tokens");
+            
+            const stray = ethers.parseUnits("50", 6);
+            await mockToken.connect(owner).transfer(stakingContract.target, stray);
+            expect(await stakingContract.unallocatedBalance()).to.equal(stray);
+            
+            const adminBalance = await mockToken.balanceOf(owner.address);
+            await expect(stakingContract.connect(user2).emergencyWithdraw(mockToken.target, stray))
+                .to.emit(stakingContract, "EmergencyWithdraw")
+                .withArgs(mockToken.target, stray);
+            expect(await mockToken.balanceOf(owner.address)).to.equal(adminBalance + stray);
+            expect(await stakingContract.rewardReserve()).to.equal(DEPOSIT);
+        });
+    });
+    
+    describe("Early Unstake", function () {
+        const stakeAmount = ethers.parseUnits("1000", 6);
+        
+        beforeEach(async function () {
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
+        });
+        
+        it("Should apply the full penalty right after staking", async function () {
+            await executeTimelocked(stakingContract, owner, "setEarlyUnstakePenalty", [1000, false, true]);
+            
+            const preview = await stakingContract.previewEarlyUnstake(user1.address, 1);
+            const penalty = stakeAmount / 10n;
+            const tax = ((stakeAmount - penalty) * BigInt(TAX_RATE)) / 10000n;
+            expect(preview.penalty).to.equal(penalty);
+            expect(preview.tax).to.equal(tax);
+            expect(preview.payout).to.equal(stakeAmount - penalty - tax);
+        });
+        
+        it("Should decay the penalty linearly toward the end of the lock", async function () {
+            await time.increase(LOCK_PERIOD / 2);
+            
+            const preview = await stakingContract.previewEarlyUnstake(user1.address, 1);
+            expect(preview.penalty).to.be.closeTo(stakeAmount / 20n, ethers.parseUnits("0.01", 6));
+        });
+        
+        it("Should pay out the preview and forfeit accrued rewards", async function () {
+            await time.increase(10 * 24 * 60 * 60);
+            
+            const balanceBefore = await mockToken.balanceOf(user1.address);
+            const reserveBefore = await stakingContract.rewardReserve();
+            
+            const tx = await stakingContract.connect(user1).earlyUnstake(1);
+            const receipt = await tx.wait();
+            const event = receipt.logs
+                .map(log => stakingContract.interface.parseLog(log))
+                .find(log => log && log.name === "EarlyUnstaked");
+            
+            const { principal, penalty, tax, forfeitedRewards } = event.args;
+            expect(principal).to.equal(stakeAmount);
+            expect(forfeitedRewards).to.be.gt(0);
+            
+            const received = (await mockToken.balanceOf(user1.address)) - balanceBefore;
+            expect(received).to.equal(stakeAmount - penalty - tax);
+            expect(await stakingContract.rewardReserve()).to.equal(reserveBefore + penalty);
+            
+            const stake = await stakingContract.getStakeDetails(user1.address, 1);
+            expect(stake.active).to.equal(false);
+            expect(await stakingContract.totalStaked()).to.equal(0);
+            expect(await stakingContract.userTotalStaked(user1.address)).to.equal(0);
+        });
+        
+        it("Should send the penalty to the treasury when configured", async function () {
+            await expect(executeTimelocked(stakingContract, owner, "setEarlyUnstakePenalty", [2000, false, false]))
+                .to.emit(stakingContract, "EarlyUnstakePenaltyUpdated")
+                .withArgs(2000, false, false);
+            
+            const treasuryBefore = await mockToken.balanceOf(treasury.address);
+            const reserveBefore = await stakingContract.rewardReserve();
+            
+            await stakingContract.connect(user1).earlyUnstake(1);
+            
+            const penalty = stakeAmount / 5n;
+            const tax = ((stakeAmount - penalty) * BigInt(TAX_RATE)) / 10000n;
+            expect(await mockToken.balanceOf(treasury.address)).to.equal(treasuryBefore + penalty + tax);
+            expect(await stakingContract.rewardReserve()).to.equal(reserveBefore);
+        });
+        
+        it("Should reject early unstake once the lock has ended", async function () {
+            await time.increase(LOCK_PERIOD);
+            
+            await expect(
+                stakingContract.connect(user1).earlyUnstake(1)
+            ).to.be.revertedWith("Lock period ended");
+            
+            const preview = await stakingContract.previewEarlyUnstake(user1.address, 1);
+            expect(preview.payout).to.equal(0);
+        });
+        
+        it("Should cap the configurable penalty", async function () {
+            await expect(
+                executeTimelocked(stakingContract, owner, "setEarlyUnstakePenalty", [5001, true, true])
+            ).to.be.revertedWith("Penalty too high");
+            await expect(
+                stakingContract.connect(user1).setEarlyUnstakePenalty(0, true, true)
+            ).to.be.revertedWithCustomError(stakingContract, "AccessControlUnauthorizedAccount");
+        });
+    });
+    
+    describe("Parameter Timelock", function () {
+        it("Should reject changes that were not queued", async function () {
+            await expect(
+                stakingContract.connect(owner).setTaxRate(100)
+            ).to.be.revertedWith("Change not queued");
+        });
+        
+        it("Should reject changes before the timelock expires", async function () {
+            const data = stakingContract.interface.encodeFunctionData("setTaxRate", [100]);
+            await stakingContract.connect(owner).queueChange(data);
+            await time.increase(PARAMETER_TIMELOCK - 10);
+            
+            await expect(
+                stakingContract.connect(owner).setTaxRate(100)
+            ).to.be.revertedWith("Timelock not expired");
+        });
+        
+        it("Should only execute the exact queued calldata", async function () {
+            const data = stakingContract.interface.encodeFunctionData("setTaxRate", [100]);
+            await stakingContract.connect(owner).queueChange(data);
+            await time.increase(PARAMETER_TIMELOCK);
+            
+            await expect(
+                stakingContract.connect(owner).setTaxRate(200)
+            ).to.be.revertedWith("Change not queued");
+        });
+        
+        it("Should emit events across the queue and execute flow", async function () {
+            const data = stakingContract.interface.encodeFunctionData("setTaxRate", [100]);
+            const changeId = ethers.keccak256(data);
+            
+            await expect(stakingContract.connect(owner).queueChange(data))
+                .to.emit(stakingContract, "ChangeQueued")
+                .withArgs(changeId, data, anyValue);
+            
+            await time.increase(PARAMETER_TIMELOCK);
+            await expect(stakingContract.connect(owner).setTaxRate(100))
+                .to.emit(stakingContract, "ChangeExecuted").withArgs(changeId)
+                .and.to.emit(stakingContract, "TaxRateUpdated").withArgs(TAX_RATE, 100);
+            
+            expect(await stakingContract.taxRate()).to.equal(100);
+            expect(await stakingContract.queuedChanges(changeId)).to.equal(0);
+        });
+        
+        it("Should let the owner cancel a queued change", async function () {
+            const data = stakingContract.interface.encodeFunctionData("setMinStake", [1]);
+            const changeId = ethers.keccak256(data);
+            await stakingContract.connect(owner).queueChange(data);
+            
+            await expect(stakingContract.connect(owner).cancelChange(changeId))
+                .to.emit(stakingContract, "ChangeCancelled")
+                .withArgs(changeId);
+            
+            await time.increase(PARAMETER_TIMELOCK);
+            await expect(
+                stakingContract.connect(owner).setMinStake(1)
+            ).to.be.revertedWith("Change not queued");
+        });
+        
+        it("Should restrict queueing to the owner", async function () {
+            const data = stakingContract.interface.encodeFunctionData("setTaxRate", [100]);
+            await expect(
+                stakingContract.connect(user1).queueChange(data)
+            ).to.be.revertedWithCustomError(stakingContract, "AccessControlUnauthorizedAccount");
+        });
+        
+        it("Should update the minimum stake", async function () {
+            await expect(executeTimelocked(stakingContract, owner, "setMinStake", [ethers.parseUnits("500", 6)]))
+                .to.emit(stakingContract, "MinStakeUpdated")
+                .withArgs(MIN_STAKE, ethers.parseUnits("500", 6));
+            
+            await expect(
+                stakingContract.connect(user1).stake(ethers.parseUnits("499", 6), 0)
+            ).to.be.revertedWith("Amount below minimum stake");
+        });
+        
+        it("Should cap the tax rate", async function () {
+            await expect(
+                executeTimelocked(stakingContract, owner, "setTaxRate", [1001])
+            ).to.be.revertedWith("Tax rate too high");
+        });
+        
+        it("Should keep the old terms on existing stakes until rollover", async function () {
+            const stakeAmount = ethers.parseUnits("1000", 6);
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
+            
+            await executeTimelocked(stakingContract, owner, "setTaxRate", [200]);
+            await executeTimelocked(stakingContract, owner, "updateTier", [0, LOCK_PERIOD * 2, 500, true]);
+            
+            let stake = await stakingContract.getStakeDetails(user1.address, 1);
+            expect(stake.stakeTaxRate).to.equal(TAX_RATE);
+            expect(stake.apyBps).to.equal(APY * 100);
+            expect(stake.lockPeriod).to.equal(LOCK_PERIOD);
+            
+            await time.increase(LOCK_PERIOD);
+            await stakingContract.connect(user1).rollover(1);
+            
+            stake = await stakingContract.getStakeDetails(user1.address, 1);
+            expect(stake.stakeTaxRate).to.equal(200);
+            expect(stake.apyBps).to.equal(500);
+            expect(stake.lockPeriod).to.equal(LOCK_PERIOD * 2);
+            expect(stake.endTime).to.equal((await time.latest()) + LOCK_PERIOD * 2);
+        });
+        
+        it("Should charge the recorded tax rate on claims", async function () {
+            const stakeAmount = ethers.parseUnits("1000", 6);
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
+            await executeTimelocked(stakingContract, owner, "setTaxRate", [500]);
+            
+            const tx = await stakingContract.connect(user1).claimRewards(1);
+            const receipt = await tx.wait();
+            const event = receipt.logs
+                .map(log => stakingContract.interface.parseLog(log))
+                .find(log => log && log.name === "RewardsClaimed");
+            
+            expect(event.args.tax).to.equal((event.args.rewards * BigInt(TAX_RATE)) / 10000n);
+        });
+    });
+    
+    describe("Batch Operations", function () {
+        const stakeAmount = ethers.parseUnits("500", 6);
+        
+        beforeEach(async function () {
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
+            await time.increase(15 * 24 * 60 * 60);
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
+        });
+        
+        it("Should claim rewards across several stakes", async function () {
+            await time.increase(24 * 60 * 60);
+            
+            await expect(stakingContract.connect(user1).claimAll([1, 2, 3]))
+                .to.emit(stakingContract, "RewardsClaimed").withArgs(user1.address, 1, anyValue, anyValue, anyValue)
+                .and.to.emit(stakingContract, "RewardsClaimed").withArgs(user1.address, 3, anyValue, anyValue, anyValue);
+            
+            for (const stakeId of [1, 2, 3]) {
+                expect(await stakingContract.calculateRewards(user1.address, stakeId)).to.equal(0);
+            }
+        });
+        
+        it("Should skip stakes with nothing to claim", async function () {
+            await expect(stakingContract.connect(user1).claimAll([1, 99]))
+                .to.emit(stakingContract, "RewardsClaimed");
+            
+            await expect(
+                stakingContract.connect(user2).claimAll([1, 2, 3])
+            ).to.be.revertedWith("No rewards to claim");
+        });
+        
+        it("Should only roll over matured stakes", async function () {
+            await time.increase(15 * 24 * 60 * 60);
+            
+            await stakingContract.connect(user1).rolloverMatured([1, 2, 3]);
+            
+            const stake1 = await stakingContract.getStakeDetails(user1.address, 1);
+            const stake3 = await stakingContract.getStakeDetails(user1.address, 3);
+            expect(stake1.amount).to.be.gt(stakeAmount);
+            expect(stake3.amount).to.equal(stakeAmount);
+        });
+        
+        it("Should only unstake matured stakes", async function () {
+            await time.increase(15 * 24 * 60 * 60);
+            
+            await stakingContract.connect(user1).unstakeMatured([1, 2, 3]);
+            
+            expect((await stakingContract.getStakeDetails(user1.address, 1)).active).to.equal(false);
+            expect((await stakingContract.getStakeDetails(user1.address, 2)).active).to.equal(false);
+            expect((await stakingContract.getStakeDetails(user1.address, 3)).active).to.equal(true);
+            expect(await stakingContract.userTotalStaked(user1.address)).to.equal(stakeAmount);
+        });
+        
+        it("Should revert when no stake has matured", async function () {
+            await expect(
+                stakingContract.connect(user1).unstakeMatured([3])
+            ).to.be.revertedWith("No matured stakes");
+            await expect(
+                stakingContract.connect(user1).rolloverMatured([3])
+            ).to.be.revertedWith("No matured stakes");
+        });
+    });
+    
+    describe("Portfolio Views", function () {
+        const stakeAmount = ethers.parseUnits("500", 6);
+        
+        beforeEach(async function () {
+            for (let i = 0; i < 4; i++) {
+                await stakingContract.connect(user1).stake(stakeAmount, 0);
+            }
+            await time.increase(LOCK_PERIOD);
+            await stakingContract.connect(user1).unstake(2);
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
+        });
+        
+        it("Should page through all stakes", async function () {
+            const [firstPage, nextOffset] = await stakingContract.getUserStakes(user1.address, 0, 3, false);
+            expect(firstPage.map(view => view.stakeId)).to.deep.equal([1n, 2n, 3n]);
+            expect(nextOffset).to.equal(3);
+            
+            const [secondPage, end] = await stakingContract.getUserStakes(user1.address, nextOffset, 3, false);
+            expect(secondPage.map(view => view.stakeId)).to.deep.equal([4n, 5n]);
+            expect(end).to.equal(5);
+        });
+        
+        it("Should filter out inactive stakes", async function () {
+            const [page, nextOffset] = await stakingContract.getUserStakes(user1.address, 0, 3, true);
+            expect(page.map(view => view.stakeId)).to.deep.equal([1n, 3n, 4n]);
+            expect(nextOffset).to.equal(4);
+        });
+        
+        it("Should return full stake data with pending rewards", async function () {
+            const [page] = await stakingContract.getUserStakes(user1.address, 0, 1, true);
+            expect(page[0].stake.amount).to.equal(stakeAmount);
+            expect(page[0].stake.active).to.equal(true);
+            expect(page[0].stake.lockPeriod).to.equal(LOCK_PERIOD);
+            expect(page[0].pendingRewards).to.equal(await stakingContract.calculateRewards(user1.address, 1));
+        });
+        
+        it("Should return an empty page past the end", async function () {
+            const [page, nextOffset] = await stakingContract.getUserStakes(user1.address, 10, 3, false);
+            expect(page.length).to.equal(0);
+            expect(nextOffset).to.equal(5);
+        });
+        
+        it("Should summarize the portfolio", async function () {
+            const summary = await stakingContract.getPortfolioSummary(user1.address);
+            const stake5 = await stakingContract.getStakeDetails(user1.address, 5);
+            
+            let pending = 0n;
+            for (const stakeId of [1, 3, 4, 5]) {
+                pending += await stakingContract.calculateRewards(user1.address, stakeId);
+            }
+            
+            expect(summary.totalPrincipal).to.equal(stakeAmount * 4n);
+            expect(summary.totalPending).to.equal(pending);
+            expect(summary.nextUnlockTime).to.equal(stake5.endTime);
+            expect(summary.activeStakes).to.equal(4);
+        });
+    });
+    
+    describe("Auto-Rollover", function () {
+        const stakeAmount = ethers.parseUnits("1000", 6);
+        const noCheckData = "0x";
+        
+        beforeEach(async function () {
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
+            await stakingContract.connect(user2).stake(stakeAmount, 0);
+            await stakingContract.connect(user1).setAutoRollover(1, true);
+        });
+        
+        it("Should let stake owners flag and unflag stakes", async function () {
+            expect(await stakingContract.isAutoRollover(1)).to.equal(true);
+            
+            await expect(stakingContract.connect(user1).setAutoRollover(1, false))
+                .to.emit(stakingContract, "AutoRolloverUpdated")
+                .withArgs(user1.address, 1, false);
+            expect(await stakingContract.isAutoRollover(1)).to.equal(false);
+            
+            await expect(
+                stakingContract.connect(user1).setAutoRollover(2, true)
+            ).to.be.revertedWith("Stake not active");
+        });
+        
+        it("Should report no upkeep before stakes mature", async function () {
+            const [upkeepNeeded] = await stakingContract.checkUpkeep(noCheckData);
+            expect(upkeepNeeded).to.equal(false);
+        });
+        
+        it("Should list matured flagged stakes only", async function () {
+            await time.increase(LOCK_PERIOD);
+            
+            const [upkeepNeeded, performData] = await stakingContract.checkUpkeep(noCheckData);
+            expect(upkeepNeeded).to.equal(true);
+            
+            const [stakeIds] = ethers.AbiCoder.defaultAbiCoder().decode(["uint256[]"], performData);
+            expect(stakeIds).to.deep.equal([1n]);
+        });
+        
+        it("Should roll over flagged stakes and pay the keeper bounty", async function () {
+            const [, , , , keeper] = await ethers.getSigners();
+            await time.increase(LOCK_PERIOD);
+            
+            const [, performData] = await stakingContract.checkUpkeep(noCheckData);
+            const tx = await stakingContract.connect(keeper).performUpkeep(performData);
+            const receipt = await tx.wait();
+            const event = receipt.logs
+                .map(log => stakingContract.interface.parseLog(log))
+                .find(log => log && log.name === "AutoRollover");
+            
+            const bounty = event.args.bounty;
+            expect(bounty).to.be.gt(0);
+            expect(await mockToken.balanceOf(keeper.address)).to.equal(bounty);
+            
+            const stake = await stakingContract.getStakeDetails(user1.address, 1);
+            const expectedRewards = (stakeAmount * 1000n * BigInt(LOCK_PERIOD)) / (10000n * 365n * 24n * 60n * 60n);
+            expect(stake.amount).to.be.closeTo(stakeAmount + expectedRewards - bounty, ethers.parseUnits("0.01", 6));
+            expect(stake.endTime).to.equal((await time.latest()) + LOCK_PERIOD);
+            
+            const [upkeepNeeded] = await stakingContract.checkUpkeep(noCheckData);
+            expect(upkeepNeeded).to.equal(false);
+        });
+        
+        it("Should skip unflagged or immature stakes in performData", async function () {
+            await time.increase(LOCK_PERIOD);
+            
+            const performData = ethers.AbiCoder.defaultAbiCoder().encode(["uint256[]"], [[2]]);
+            await expect(
+                stakingContract.performUpkeep(performData)
+            ).to.be.revertedWith("No upkeep needed");
+        });
+        
+        it("Should skip stakes whose tier was deactivated", async function () {
+            await executeTimelocked(stakingContract, owner, "updateTier", [0, LOCK_PERIOD, 1000, false]);
+            await time.increase(LOCK_PERIOD);
+            
+            const [upkeepNeeded] = await stakingContract.checkUpkeep(noCheckData);
+            expect(upkeepNeeded).to.equal(false);
+            
+            const performData = ethers.AbiCoder.defaultAbiCoder().encode(["uint256[]"], [[1]]);
+            await expect(
+                stakingContract.performUpkeep(performData)
+            ).to.be.revertedWith("No upkeep needed");
+        });
+        
+        it("Should skip stakes the reserve no longer covers instead of failing the batch", async function () {
+            const pool = await deployStaking(mockToken.target, treasury.address);
+            await mockToken.connect(user1).approve(pool.target, ethers.MaxUint256);
+            await mockToken.connect(user2).approve(pool.target, ethers.MaxUint256);
+            await mockToken.connect(owner).approve(pool.target, ethers.MaxUint256);
+            await pool.connect(user1).stake(stakeAmount, 0);
+            await pool.connect(user2).stake(stakeAmount, 0);
+            await pool.connect(user1).stake(stakeAmount * 2n, 0);
+            await pool.connect(user1).setAutoRollover(1, true);
+            await pool.connect(user2).setAutoRollover(2, true);
+            await pool.connect(owner).depositRewards(ethers.parseUnits("28", 6));
+            await time.increase(LOCK_PERIOD);
+            
+            const [, performData] = await pool.checkUpkeep(noCheckData);
+            const [stakeIds] = ethers.AbiCoder.defaultAbiCoder().decode(["uint256[]"], performData);
+            expect(stakeIds).to.deep.equal([1n, 2n]);
+            
+            // a claim drains the reserve below what both rollovers need
+            await pool.connect(user1).claimRewards(3);
+            
+            await expect(pool.performUpkeep(performData))
+                .to.emit(pool, "AutoRollover").withArgs(owner.address, user1.address, 1, anyValue);
+            expect((await pool.getStakeDetails(user1.address, 1)).amount).to.be.gt(stakeAmount);
+            expect((await pool.getStakeDetails(user2.address, 2)).amount).to.equal(stakeAmount);
+            
+            await expect(
+                pool.performUpkeep(performData)
+            ).to.be.revertedWith("No upkeep needed");
+        });
+        
+        it("Should drop the flag when the stake is unstaked", async function () {
+            await time.increase(LOCK_PERIOD);
+            await expect(stakingContract.connect(user1).unstake(1))
+                .to.emit(stakingContract, "AutoRolloverUpdated")
+                .withArgs(user1.address, 1, false);
+            
+            expect(await stakingContract.isAutoRollover(1)).to.equal(false);
+            expect(await stakingContract.autoRolloverStakeCount()).to.equal(0);
+        });
+        
+        it("Should drop the flag when a stake is merged away or exits early", async function () {
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
+            await stakingContract.connect(user1).setAutoRollover(3, true);
+            
+            await expect(stakingContract.connect(user1).mergeStakes(1, 3))
+                .to.emit(stakingContract, "AutoRolloverUpdated")
+                .withArgs(user1.address, 3, false);
+            await expect(stakingContract.connect(user1).earlyUnstake(1))
+                .to.emit(stakingContract, "AutoRolloverUpdated")
+                .withArgs(user1.address, 1, false);
+            await expect(stakingContract.connect(user2).earlyUnstake(2))
+                .to.not.emit(stakingContract, "AutoRolloverUpdated");
+        });
+        
+        it("Should not perform upkeep while paused", async function () {
+            await time.increase(LOCK_PERIOD);
+            await stakingContract.connect(owner).pause();
+            
+            const [upkeepNeeded] = await stakingContract.checkUpkeep(noCheckData);
+            expect(upkeepNeeded).to.equal(false);
+        });
+        
+        it("Should let the owner tune the keeper bounty", async function () {
+            await expect(executeTimelocked(stakingContract, owner, "setKeeperBounty", [50]))
+                .to.emit(stakingContract, "KeeperBountyUpdated")
+                .withArgs(10, 50);
+            
+            await expect(
+                executeTimelocked(stakingContract, owner, "setKeeperBounty", [101])
+            ).to.be.revertedWith("Bounty too high");
+        });
+    });
+    
+    describe("Split, Merge and Partial Unstake", function () {
+        const stakeAmount = ethers.parseUnits("1000", 6);
+        
+        beforeEach(async function () {
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
+        });
+        
+        it("Should partially unstake after the lock period", async function () {
+            await time.increase(LOCK_PERIOD);
+            const withdrawn = ethers.parseUnits("400", 6);
+            const balanceBefore = await mockToken.balanceOf(user1.address);
+            
+            await expect(stakingContract.connect(user1)["unstake(uint256,uint256)"](1, withdrawn))
+                .to.emit(stakingContract, "PartialUnstaked")
+                .withArgs(user1.address, 1, withdrawn, anyValue, anyValue, stakeAmount - withdrawn, anyValue);
+            
+            const stake = await stakingContract.getStakeDetails(user1.address, 1);
+            expect(stake.active).to.equal(true);
+            expect(stake.amount).to.equal(stakeAmount - withdrawn);
+            expect(stake.pendingRewards).to.equal(0);
+            expect(await stakingContract.userTotalStaked(user1.address)).to.equal(stakeAmount - withdrawn);
+            expect(await stakingContract.totalStaked()).to.equal(stakeAmount - withdrawn);
+            expect(await mockToken.balanceOf(user1.address)).to.be.gt(balanceBefore + withdrawn * 99n / 100n);
+            expect(await stakingContract.accruedRewardLiability()).to.equal(0);
+        });
+        
+        it("Should close the stake when the whole amount is withdrawn", async function () {
+            await time.increase(LOCK_PERIOD);
+            
+            await expect(stakingContract.connect(user1)["unstake(uint256,uint256)"](1, stakeAmount))
+                .to.emit(stakingContract, "Unstaked");
+            expect((await stakingContract.getStakeDetails(user1.address, 1)).active).to.equal(false);
+        });
+        
+        it("Should reject invalid partial unstakes", async function () {
+            await expect(
+                stakingContract.connect(user1)["unstake(uint256,uint256)"](1, MIN_STAKE)
+            ).to.be.revertedWith("Lock period not ended");
+            
+            await time.increase(LOCK_PERIOD);
+            await expect(
+                stakingContract.connect(user1)["unstake(uint256,uint256)"](1, stakeAmount + 1n)
+            ).to.be.revertedWith("Invalid amount");
+            await expect(
+                stakingContract.connect(user1)["unstake(uint256,uint256)"](1, stakeAmount - MIN_STAKE + 1n)
+            ).to.be.revertedWith("Remaining below minimum stake");
+        });
+        
+        it("Should split a stake into two positions with the same terms", async function () {
+            const splitAmount = ethers.parseUnits("300", 6);
+            
+            await expect(stakingContract.connect(user1).splitStake(1, splitAmount))
+                .to.emit(stakingContract, "StakeSplit")
+                .withArgs(user1.address, 1, 2, splitAmount);
+            
+            const original = await stakingContract.getStakeDetails(user1.address, 1);
+            const split = await stakingContract.getStakeDetails(user1.address, 2);
+            expect(original.amount).to.equal(stakeAmount - splitAmount);
+            expect(split.amount).to.equal(splitAmount);
+            expect(split.endTime).to.equal(original.endTime);
+            expect(split.startTime).to.equal(original.startTime);
+            expect(split.apyBps).to.equal(original.apyBps);
+            expect(split.stakeTaxRate).to.equal(original.stakeTaxRate);
+            
+            const positionToken = await ethers.getContractAt("StakePosition", await stakingContract.positionToken());
+            expect(await positionToken.ownerOf(2)).to.equal(user1.address);
+            expect(await stakingContract.getUserStakeIds(user1.address)).to.deep.equal([1n, 2n]);
+            expect(await stakingContract.userTotalStaked(user1.address)).to.equal(stakeAmount);
+            expect(await stakingContract.totalStaked()).to.equal(stakeAmount);
+        });
+        
+        it("Should keep accrued rewards when splitting", async function () {
+            await time.increase(LOCK_PERIOD / 2);
+            await stakingContract.connect(user1).splitStake(1, ethers.parseUnits("500", 6));
+            
+            const total = (await stakingContract.calculateRewards(user1.address, 1)) +
+                (await stakingContract.calculateRewards(user1.address, 2));
+            const expected = (stakeAmount * 1000n * BigInt(LOCK_PERIOD / 2)) / (10000n * 365n * 24n * 60n * 60n);
+            expect(total).to.be.closeTo(expected, ethers.parseUnits("0.001", 6));
+            expect(await stakingContract.accruedRewardLiability()).to.be.closeTo(total, 2);
+        });
+        
+        it("Should not split below the minimum stake", async function () {
+            await expect(
+                stakingContract.connect(user1).splitStake(1, MIN_STAKE - 1n)
+            ).to.be.revertedWith("Amount below minimum stake");
+            await expect(
+                stakingContract.connect(user1).splitStake(1, stakeAmount - MIN_STAKE + 1n)
+            ).to.be.revertedWith("Amount below minimum stake");
+        });
+        
+        it("Should reject split amounts that leave nothing behind", async function () {
+            for (const amount of [0n, stakeAmount, stakeAmount + 1n]) {
+                await expect(
+                    stakingContract.connect(user1).splitStake(1, amount)
+                ).to.be.revertedWith("Invalid amount");
+            }
+        });
+        
+        it("Should merge compatible stakes, settle rewards and take the later end time", async function () {
+            await time.increase(LOCK_PERIOD / 2);
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
+            await time.increase(24 * 60 * 60);
+            
+            const later = await stakingContract.getStakeDetails(user1.address, 2);
+            const balanceBefore = await mockToken.balanceOf(user1.address);
+            
+            await expect(stakingContract.connect(user1).mergeStakes(1, 2))
+                .to.emit(stakingContract, "StakesMerged")
+                .withArgs(user1.address, 1, 2, stakeAmount * 2n, later.endTime, anyValue, anyValue, anyValue);
+            
+            const merged = await stakingContract.getStakeDetails(user1.address, 1);
+            expect(merged.amount).to.equal(stakeAmount * 2n);
+            expect(merged.endTime).to.equal(later.endTime);
+            expect(merged.pendingRewards).to.equal(0);
+            expect((await stakingContract.getStakeDetails(user1.address, 2)).active).to.equal(false);
+            expect(await mockToken.balanceOf(user1.address)).to.be.gt(balanceBefore);
+            expect(await stakingContract.userTotalStaked(user1.address)).to.equal(stakeAmount * 2n);
+            expect(await stakingContract.totalStaked()).to.equal(stakeAmount * 2n);
+            
+            const positionToken = await ethers.getContractAt("StakePosition", await stakingContract.positionToken());
+            expect(await positionToken.balanceOf(user1.address)).to.equal(1);
+        });
+        
+        it("Should reject merging incompatible stakes", async function () {
+            await executeTimelocked(stakingContract, owner, "addTier", [90 * 24 * 60 * 60, 2000]);
+            await stakingContract.connect(user1).stake(stakeAmount, 1);
+            
+            await expect(
+                stakingContract.connect(user1).mergeStakes(1, 2)
+            ).to.be.revertedWith("Incompatible stakes");
+            await expect(
+                stakingContract.connect(user1).mergeStakes(1, 1)
+            ).to.be.revertedWith("Cannot merge a stake into itself");
+            await expect(
+                stakingContract.connect(user2).mergeStakes(1, 2)
+            ).to.be.revertedWith("Stake not active");
+        });
+    });
+    
+    describe("Access Control", function () {
+        let PAUSER_ROLE;
+        let REWARD_MANAGER_ROLE;
+        let TREASURY_ADMIN_ROLE;
+        let EMERGENCY_ROLE;
+        
+        beforeEach(async function () {
+            PAUSER_ROLE = await stakingContract.PAUSER_ROLE();
+            REWARD_MANAGER_ROLE = await stakingContract.REWARD_MANAGER_ROLE();
+            TREASURY_ADMIN_ROLE = await stakingContract.TREASURY_ADMIN_ROLE();
+            EMERGENCY_ROLE = await stakingContract.EMERGENCY_ROLE();
+        });
+        
+        it("Should give the deployer every role except EMERGENCY", async function () {
+            expect(await stakingContract.defaultAdmin()).to.equal(owner.address);
+            expect(await stakingContract.hasRole(PAUSER_ROLE, owner.address)).to.equal(true);
+            expect(await stakingContract.hasRole(REWARD_MANAGER_ROLE, owner.address)).to.equal(true);
+            expect(await stakingContract.hasRole(TREASURY_ADMIN_ROLE, owner.address)).to.equal(true);
+            expect(await stakingContract.hasRole(EMERGENCY_ROLE, owner.address)).to.equal(false);
+        });
+        
+        it("Should let a pauser pause but not unpause", async function () {
+            await expect(stakingContract.connect(owner).grantRole(PAUSER_ROLE, user1.address))
+                .to.emit(stakingContract, "RoleGranted")
+                .withArgs(PAUSER_ROLE, user1.address, owner.address);
+            
+            await stakingContract.connect(user1).pause();
+            expect(await stakingContract.paused()).to.equal(true);
+            
+            await expect(stakingContract.connect(user1).unpause())
+                .to.be.revertedWithCustomError(stakingContract, "AccessControlUnauthorizedAccount")
+                .withArgs(user1.address, ethers.ZeroHash);
+            await stakingContract.connect(owner).unpause();
+            expect(await stakingContract.paused()).to.equal(false);
+        });
+        
+        it("Should restrict each admin function to its role", async function () {
+            await expect(stakingContract.connect(user1).setTreasury(user1.address))
+                .to.be.revertedWithCustomError(stakingContract, "AccessControlUnauthorizedAccount")
+                .withArgs(user1.address, TREASURY_ADMIN_ROLE);
+            await expect(stakingContract.connect(user1).depositRewards(1))
+                .to.be.revertedWithCustomError(stakingContract, "AccessControlUnauthorizedAccount")
+                .withArgs(user1.address, REWARD_MANAGER_ROLE);
+            await expect(stakingContract.connect(user1).pause())
+                .to.be.revertedWithCustomError(stakingContract, "AccessControlUnauthorizedAccount")
+                .withArgs(user1.address, PAUSER_ROLE);
+            
+            await stakingContract.connect(owner).grantRole(TREASURY_ADMIN_ROLE, user1.address);
+            await expect(stakingContract.connect(user1).setTreasury(user2.address))
+                .to.emit(stakingContract, "TreasuryUpdated")
+                .withArgs(treasury.address, user2.address);
+        });
+        
+        it("Should never let the reward manager drain tokens", async function () {
+            await stakingContract.connect(owner).grantRole(REWARD_MANAGER_ROLE, user1.address);
+            await stakingContract.connect(owner).pause();
+            
+            await expect(stakingContract.connect(user1).emergencyWithdraw(mockToken.target, 1))
+                .to.be.revertedWithCustomError(stakingContract, "AccessControlUnauthorizedAccount")
+                .withArgs(user1.address, EMERGENCY_ROLE);
+            await expect(
+                stakingContract.connect(owner).grantRole(EMERGENCY_ROLE, user1.address)
+            ).to.be.revertedWith("Conflicting roles");
+            
+            await stakingContract.connect(owner).grantRole(EMERGENCY_ROLE, user2.address);
+            await expect(
+                stakingContract.connect(owner).grantRole(REWARD_MANAGER_ROLE, user2.address)
+            ).to.be.revertedWith("Conflicting roles");
+        });
+        
+        it("Should only allow emergency withdrawals while paused", async function () {
+            await stakingContract.connect(owner).grantRole(EMERGENCY_ROLE, user2.address);
+            await mockToken.connect(owner).transfer(stakingContract.target, 1);
+            
+            await expect(
+                stakingContract.connect(user2).emergencyWithdraw(mockToken.target, 1)
+            ).to.be.revertedWithCustomError(stakingContract, "ExpectedPause");
+            
+            await stakingContract.connect(owner).pause();
+            await expect(stakingContract.connect(user2).emergencyWithdraw(mockToken.target, 1))
+                .to.emit(stakingContract, "EmergencyWithdraw");
+        });
+        
+        it("Should hand over the admin role in two steps after the delay", async function () {
+            await expect(stakingContract.connect(user1).beginDefaultAdminTransfer(user1.address))
+                .to.be.revertedWithCustomError(stakingContract, "AccessControlUnauthorizedAccount");
+            
+            await expect(stakingContract.connect(owner).beginDefaultAdminTransfer(user1.address))
+                .to.emit(stakingContract, "DefaultAdminTransferScheduled");
+            expect(await stakingContract.defaultAdmin()).to.equal(owner.address);
+            
+            await expect(stakingContract.connect(user1).acceptDefaultAdminTransfer())
+                .to.be.revertedWithCustomError(stakingContract, "AccessControlEnforcedDefaultAdminDelay");
+            
+            await time.increase(2 * 24 * 60 * 60 + 1);
+            await expect(stakingContract.connect(user1).acceptDefaultAdminTransfer())
+                .to.emit(stakingContract, "RoleGranted")
+                .withArgs(ethers.ZeroHash, user1.address, user1.address)
+                .and.to.emit(stakingContract, "RoleRevoked")
+                .withArgs(ethers.ZeroHash, owner.address, user1.address);
+            
+            expect(await stakingContract.defaultAdmin()).to.equal(user1.address);
+            expect(await stakingContract.owner()).to.equal(user1.address);
+            await expect(stakingContract.connect(owner).grantRole(PAUSER_ROLE, user2.address))
+                .to.be.revertedWithCustomError(stakingContract, "AccessControlUnauthorizedAccount");
+        });
+    });
     
     
 });
\ No newline at end of file
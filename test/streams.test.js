@@ -0,0 +1,307 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployStaking, executeTimelocked } = require("./helpers/staking");
+
+describe("Reward Streams", function () {
+    let stakingContract;
+    let positionToken;
+    let mockToken;
+    let rewardToken;
+    let owner;
+    let treasury;
+    let user1;
+    let user2;
+    let manager;
+
+    const LOCK_PERIOD = 30 * 24 * 60 * 60;
+    const DURATION = 100 * 24 * 60 * 60;
+    const rate = ethers.parseEther("0.001");
+    const stakeAmount = ethers.parseUnits("1000", 6);
+    // a few seconds of emission, for the blocks mined between reads
+    const slack = rate * 5n;
+
+    async function addStream(token = rewardToken, streamRate = rate, duration = DURATION) {
+        const endTime = (await time.latest()) + duration + 1;
+        await stakingContract.connect(owner).addRewardStream(token.target, streamRate, endTime);
+        return endTime;
+    }
+
+    beforeEach(async function () {
+        [owner, treasury, user1, user2, manager] = await ethers.getSigners();
+
+        const MockToken = await ethers.getContractFactory("MockERC20");
+        mockToken = await MockToken.deploy("Mock USDT", "USDT", 6);
+        rewardToken = await MockToken.deploy("Partner Token", "PTN", 18);
+        stakingContract = await deployStaking(mockToken.target, treasury.address);
+        positionToken = await ethers.getContractAt("StakePosition", await stakingContract.positionToken());
+
+        for (const user of [user1, user2]) {
+            await mockToken.mint(user.address, ethers.parseUnits("10000", 6));
+            await mockToken.connect(user).approve(stakingContract.target, ethers.MaxUint256);
+        }
+        await mockToken.mint(owner.address, ethers.parseUnits("100000", 6));
+        await mockToken.connect(owner).approve(stakingContract.target, ethers.MaxUint256);
+        await stakingContract.connect(owner).depositRewards(ethers.parseUnits("10000", 6));
+
+        await rewardToken.mint(owner.address, ethers.parseEther("100000"));
+        await rewardToken.connect(owner).approve(stakingContract.target, ethers.MaxUint256);
+    });
+
+    describe("Adding streams", function () {
+        it("Should register a stream and pull its whole emission", async function () {
+            const endTime = (await time.latest()) + DURATION + 1;
+            await expect(stakingContract.connect(owner).addRewardStream(rewardToken.target, rate, endTime))
+                .to.emit(stakingContract, "RewardStreamAdded")
+                .withArgs(0, rewardToken.target, rate, endTime);
+
+            const funding = rate * BigInt(DURATION);
+            expect(await rewardToken.balanceOf(stakingContract.target)).to.equal(funding);
+            expect(await stakingContract.streamReserve(rewardToken.target)).to.equal(funding);
+            expect(await stakingContract.rewardStreamCount()).to.equal(1);
+
+            const stream = await stakingContract.rewardStreams(0);
+            expect(stream.token).to.equal(rewardToken.target);
+            expect(stream.rewardRate).to.equal(rate);
+            expect(stream.endTime).to.equal(endTime);
+        });
+
+        it("Should only let the admin add streams", async function () {
+            const endTime = (await time.latest()) + DURATION;
+            await expect(
+                stakingContract.connect(user1).addRewardStream(rewardToken.target, rate, endTime)
+            ).to.be.revertedWithCustomError(stakingContract, "AccessControlUnauthorizedAccount")
+                .withArgs(user1.address, ethers.ZeroHash);
+        });
+
+        it("Should reject invalid streams", async function () {
+            const endTime = (await time.latest()) + DURATION;
+            await expect(
+                stakingContract.connect(owner).addRewardStream(mockToken.target, rate, endTime)
+            ).to.be.revertedWith("Invalid reward token");
+            await expect(
+                stakingContract.connect(owner).addRewardStream(ethers.ZeroAddress, rate, endTime)
+            ).to.be.revertedWith("Invalid reward token");
+            await expect(
+                stakingContract.connect(owner).addRewardStream(rewardToken.target, 0, endTime)
+            ).to.be.revertedWith("Invalid stream terms");
+            await expect(
+                stakingContract.connect(owner).addRewardStream(rewardToken.target, rate, await time.latest())
+            ).to.be.revertedWith("Invalid stream terms");
+        });
+
+        it("Should cap the number of streams", async function () {
+            const max = Number(await stakingContract.MAX_REWARD_STREAMS());
+            for (let i = 0; i < max; i++) {
+                await addStream(rewardToken, 1n);
+            }
+            const endTime = (await time.latest()) + DURATION;
+            await expect(
+                stakingContract.connect(owner).addRewardStream(rewardToken.target, 1n, endTime)
+            ).to.be.revertedWith("Too many reward streams");
+        });
+    });
+
+    describe("Accrual", function () {
+        it("Should split the emission pro rata to principal", async function () {
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
+            await stakingContract.connect(user2).stake(stakeAmount * 3n, 0);
+            await addStream();
+
+            await time.increase(1000);
+
+            const [pending1] = await stakingContract.pendingStreamRewards(user1.address, 1);
+            const [pending2] = await stakingContract.pendingStreamRewards(user2.address, 2);
+            expect(pending1).to.be.closeTo(rate * 250n, slack);
+            expect(pending2).to.be.closeTo(rate * 750n, slack);
+        });
+
+        it("Should pay every stream alongside the fixed APY on claim", async function () {
+            const partnerToken = await ethers.deployContract("MockERC20", ["Partner Two", "PT2", 18]);
+            await partnerToken.mint(owner.address, ethers.parseEther("100000"));
+            await partnerToken.connect(owner).approve(stakingContract.target, ethers.MaxUint256);
+
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
+            await addStream();
+            await addStream(partnerToken, rate * 2n);
+            await time.increase(1000);
+
+            const tx = stakingContract.connect(user1).claimRewards(1);
+            await expect(tx).to.emit(stakingContract, "RewardsClaimed");
+            await expect(tx).to.emit(stakingContract, "StreamRewardPaid");
+
+            expect(await rewardToken.balanceOf(user1.address)).to.be.closeTo(rate * 1000n, slack);
+            expect(await partnerToken.balanceOf(user1.address)).to.be.closeTo(rate * 2000n, slack * 2n);
+            expect(await stakingContract.pendingStreamRewards(user1.address, 1)).to.deep.equal([0n, 0n]);
+        });
+
+        it("Should claim stakes that only earn stream rewards in a batch", async function () {
+            await executeTimelocked(stakingContract, owner, "addTier", [LOCK_PERIOD, 0]);
+            await stakingContract.connect(user1).stake(stakeAmount, 1);
+            await addStream();
+            await time.increase(1000);
+
+            const tx = stakingContract.connect(user1).claimAll([1]);
+            await expect(tx).to.emit(stakingContract, "StreamRewardPaid");
+            await expect(tx).to.not.emit(stakingContract, "RewardsClaimed");
+            expect(await rewardToken.balanceOf(user1.address)).to.be.closeTo(rate * 1000n, slack);
+
+            await expect(
+                stakingContract.connect(user1).claimAll([1])
+            ).to.emit(stakingContract, "StreamRewardPaid");
+            await expect(
+                stakingContract.connect(user2).claimAll([1])
+            ).to.be.revertedWith("No rewards to claim");
+        });
+
+        it("Should pay stream rewards when the reserve can't cover the fixed APY", async function () {
+            const pool = await deployStaking(mockToken.target, treasury.address);
+            await mockToken.connect(user1).approve(pool.target, ethers.MaxUint256);
+            await mockToken.connect(owner).approve(pool.target, ethers.MaxUint256);
+            await rewardToken.connect(owner).approve(pool.target, ethers.MaxUint256);
+            await pool.connect(user1).stake(stakeAmount, 0);
+            await pool.connect(owner).addRewardStream(rewardToken.target, rate, (await time.latest()) + DURATION);
+            await time.increase(1000);
+
+            const tx = pool.connect(user1).claimRewards(1);
+            await expect(tx).to.emit(pool, "StreamRewardPaid");
+            await expect(tx).to.not.emit(pool, "RewardsClaimed");
+            expect(await rewardToken.balanceOf(user1.address)).to.be.closeTo(rate * 1000n, slack);
+
+            // the fixed-APY rewards were kept and are paid once the reserve is refilled
+            expect(await pool.calculateRewards(user1.address, 1)).to.be.greaterThan(0);
+            await pool.connect(owner).depositRewards(ethers.parseUnits("100", 6));
+            await expect(pool.connect(user1).claimRewards(1)).to.emit(pool, "RewardsClaimed");
+        });
+
+        it("Should stop accruing at the stream's end", async function () {
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
+            await addStream(rewardToken, rate, 1000);
+
+            await time.increase(5000);
+            const [pending] = await stakingContract.pendingStreamRewards(user1.address, 1);
+            expect(pending).to.be.closeTo(rate * 1000n, slack);
+
+            await stakingContract.connect(user1).claimRewards(1);
+            expect(await stakingContract.streamReserve(rewardToken.target)).to.be.lessThanOrEqual(slack);
+        });
+
+        it("Should release the emission while nothing is staked", async function () {
+            await addStream(rewardToken, rate, 1000);
+            await time.increase(500);
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
+
+            const reserve = await stakingContract.streamReserve(rewardToken.target);
+            expect(reserve).to.be.closeTo(rate * 500n, slack);
+
+            await stakingContract.connect(owner).grantRole(await stakingContract.EMERGENCY_ROLE(), user2.address);
+            await stakingContract.connect(owner).pause();
+            const balance = await rewardToken.balanceOf(stakingContract.target);
+            await expect(
+                stakingContract.connect(user2).emergencyWithdraw(rewardToken.target, balance)
+            ).to.be.revertedWith("Cannot withdraw stream rewards");
+            await stakingContract.connect(user2).emergencyWithdraw(rewardToken.target, balance - reserve);
+        });
+    });
+
+    describe("Stake lifecycle", function () {
+        beforeEach(async function () {
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
+            await addStream();
+        });
+
+        it("Should pay stream rewards on unstake", async function () {
+            await time.increase(LOCK_PERIOD);
+            await expect(stakingContract.connect(user1)["unstake(uint256)"](1))
+                .to.emit(stakingContract, "StreamRewardPaid");
+
+            expect(await rewardToken.balanceOf(user1.address)).to.be.closeTo(rate * BigInt(LOCK_PERIOD), slack);
+        });
+
+        it("Should forfeit stream rewards on early unstake", async function () {
+            await time.increase(1000);
+            const reserveBefore = await stakingContract.streamReserve(rewardToken.target);
+            await stakingContract.connect(user1).earlyUnstake(1);
+
+            expect(await rewardToken.balanceOf(user1.address)).to.equal(0);
+            // the forfeited share and the emission since are no longer owed to anyone
+            expect(await stakingContract.streamReserve(rewardToken.target))
+                .to.be.closeTo(reserveBefore - rate * 1000n, slack);
+            expect(await stakingContract.pendingStreamRewards(user1.address, 1)).to.deep.equal([0n]);
+        });
+
+        it("Should keep earnings with a transferred position", async function () {
+            await time.increase(1000);
+            await positionToken.connect(user1).transferFrom(user1.address, user2.address, 1);
+            await time.increase(1000);
+
+            await stakingContract.connect(user2).claimRewards(1);
+            expect(await rewardToken.balanceOf(user2.address)).to.be.closeTo(rate * 2000n, slack);
+            expect(await rewardToken.balanceOf(user1.address)).to.equal(0);
+        });
+
+        it("Should keep earnings across split and merge", async function () {
+            await time.increase(1000);
+            await stakingContract.connect(user1).splitStake(1, stakeAmount / 4n);
+            await time.increase(1000);
+
+            const [pending1] = await stakingContract.pendingStreamRewards(user1.address, 1);
+            const [pending2] = await stakingContract.pendingStreamRewards(user1.address, 2);
+            expect(pending1).to.be.closeTo(rate * 1750n, slack);
+            expect(pending2).to.be.closeTo(rate * 250n, slack);
+
+            await stakingContract.connect(user1).mergeStakes(1, 2);
+            expect(await rewardToken.balanceOf(user1.address)).to.be.closeTo(rate * 2000n, slack);
+        });
+    });
+
+    describe("Updating streams", function () {
+        let endTime;
+
+        beforeEach(async function () {
+            await stakingContract.connect(owner).grantRole(await stakingContract.REWARD_MANAGER_ROLE(), manager.address);
+            await rewardToken.mint(manager.address, ethers.parseEther("100000"));
+            await rewardToken.connect(manager).approve(stakingContract.target, ethers.MaxUint256);
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
+            endTime = await addStream();
+        });
+
+        it("Should extend a stream, charging only the shortfall", async function () {
+            await time.increase(1000);
+            const newEnd = endTime + DURATION;
+            const balanceBefore = await rewardToken.balanceOf(manager.address);
+
+            await expect(stakingContract.connect(manager).updateRewardStream(0, rate, newEnd))
+                .to.emit(stakingContract, "RewardStreamUpdated")
+                .withArgs(0, rate, newEnd);
+
+            expect(balanceBefore - await rewardToken.balanceOf(manager.address)).to.equal(rate * BigInt(DURATION));
+            expect((await stakingContract.rewardStreams(0)).endTime).to.equal(newEnd);
+        });
+
+        it("Should keep what was earned before a rate change", async function () {
+            await time.increase(1000);
+            await stakingContract.connect(manager).updateRewardStream(0, rate * 2n, endTime);
+            await time.increase(1000);
+
+            const [pending] = await stakingContract.pendingStreamRewards(user1.address, 1);
+            expect(pending).to.be.closeTo(rate * 3000n, slack);
+        });
+
+        it("Should refuse to reduce a stream's funding", async function () {
+            await expect(
+                stakingContract.connect(manager).updateRewardStream(0, rate / 2n, endTime)
+            ).to.be.revertedWith("Cannot reduce stream funding");
+            await expect(
+                stakingContract.connect(manager).updateRewardStream(1, rate, endTime)
+            ).to.be.revertedWith("Invalid stream");
+        });
+
+        it("Should only let reward managers update streams", async function () {
+            await expect(
+                stakingContract.connect(user1).updateRewardStream(0, rate, endTime + 1)
+            ).to.be.revertedWithCustomError(stakingContract, "AccessControlUnauthorizedAccount")
+                .withArgs(user1.address, await stakingContract.REWARD_MANAGER_ROLE());
+        });
+    });
+});
\ No newline at end of file
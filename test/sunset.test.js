@@ -0,0 +1,243 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployStaking, executeTimelocked } = require("./helpers/staking");
+
+describe("Sunset & Migration", function () {
+    let stakingContract;
+    let positionToken;
+    let mockToken;
+    let receiver;
+    let owner;
+    let treasury;
+    let user1;
+    let user2;
+
+    const LOCK_PERIOD = 30 * 24 * 60 * 60;
+    const SECONDS_PER_YEAR = 365n * 24n * 60n * 60n;
+    const stakeAmount = ethers.parseUnits("1000", 6);
+
+    function sunset(contract = stakingContract, successor = receiver.target) {
+        return executeTimelocked(contract, owner, "sunset", [successor]);
+    }
+
+    async function rewardsFor(amount, duration) {
+        const [, apyBps] = await stakingContract.tiers(0);
+        return (amount * apyBps * BigInt(duration)) / (10000n * SECONDS_PER_YEAR);
+    }
+
+    async function deployPool() {
+        const contract = await deployStaking(mockToken.target, treasury.address);
+        for (const account of [owner, user1, user2]) {
+            await mockToken.connect(account).approve(contract.target, ethers.MaxUint256);
+        }
+        return contract;
+    }
+
+    beforeEach(async function () {
+        [owner, treasury, user1, user2] = await ethers.getSigners();
+
+        const MockToken = await ethers.getContractFactory("MockERC20");
+        mockToken = await MockToken.deploy("Mock USDT", "USDT", 6);
+        for (const account of [owner, user1, user2]) {
+            await mockToken.mint(account.address, ethers.parseUnits("100000", 6));
+        }
+        stakingContract = await deployPool();
+        positionToken = await ethers.getContractAt("StakePosition", await stakingContract.positionToken());
+        receiver = await ethers.deployContract("MockMigrationReceiver");
+
+        await stakingContract.connect(owner).depositRewards(ethers.parseUnits("10000", 6));
+        await stakingContract.connect(user1).stake(stakeAmount, 0);
+        await stakingContract.connect(user2).stake(stakeAmount * 2n, 0);
+    });
+
+    describe("Sunset", function () {
+        it("Should be timelocked and one way", async function () {
+            await expect(stakingContract.connect(owner).sunset(receiver.target)).to.be.revertedWith("Change not queued");
+            await expect(stakingContract.connect(user1).sunset(receiver.target))
+                .to.be.revertedWithCustomError(stakingContract, "AccessControlUnauthorizedAccount");
+
+            const tx = await sunset();
+            const sunsetAt = await time.latest();
+            await expect(tx).to.emit(stakingContract, "Sunset").withArgs(sunsetAt, receiver.target);
+            expect(await stakingContract.sunsetTime()).to.equal(sunsetAt);
+            expect(await stakingContract.successorPool()).to.equal(receiver.target);
+
+            await expect(sunset()).to.be.revertedWith("Staking sunset");
+        });
+
+        it("Should stop accrual at the sunset", async function () {
+            await time.increase(LOCK_PERIOD / 3);
+            await sunset();
+            const sunsetAt = await stakingContract.sunsetTime();
+            const [, startTime] = await stakingContract.stakes(user1.address, 1);
+            const accrued = await rewardsFor(stakeAmount, sunsetAt - startTime);
+
+            expect(await stakingContract.calculateRewards(user1.address, 1)).to.equal(accrued);
+            await time.increase(LOCK_PERIOD);
+            expect(await stakingContract.calculateRewards(user1.address, 1)).to.equal(accrued);
+            expect(await stakingContract.rewardRunway()).to.equal(ethers.MaxUint256);
+
+            // a claim settles everything, and nothing accrues after it
+            await stakingContract.connect(user1).claimRewards(1);
+            expect(await stakingContract.calculateRewards(user1.address, 1)).to.equal(0);
+            await time.increase(LOCK_PERIOD);
+            expect(await stakingContract.calculateRewards(user1.address, 1)).to.equal(0);
+        });
+
+        it("Should let every stake exit with principal and rewards before its lock ends", async function () {
+            await time.increase(LOCK_PERIOD / 3);
+            await sunset();
+            const accrued = await stakingContract.calculateRewards(user1.address, 1);
+            expect(await stakingContract.can_Unstake(user1.address, 1)).to.equal(true);
+
+            const balanceBefore = await mockToken.balanceOf(user1.address);
+            await expect(stakingContract.connect(user1)["unstake(uint256)"](1))
+                .to.emit(stakingContract, "Unstaked");
+            const tax = ((stakeAmount + accrued) * (await stakingContract.taxRate())) / 10000n;
+            expect(await mockToken.balanceOf(user1.address) - balanceBefore).to.equal(stakeAmount + accrued - tax);
+
+            await expect(stakingContract.connect(user2)["unstake(uint256,uint256)"](2, stakeAmount))
+                .to.emit(stakingContract, "PartialUnstaked");
+            expect(await stakingContract.totalStaked()).to.equal(stakeAmount);
+        });
+
+        it("Should block new stakes, rollovers and early unstakes", async function () {
+            await sunset();
+
+            await expect(stakingContract.connect(user1).stake(stakeAmount, 0)).to.be.revertedWith("Staking sunset");
+            await expect(stakingContract.connect(user1).rollover(1)).to.be.revertedWith("Staking sunset");
+            await expect(stakingContract.connect(user1).earlyUnstake(1)).to.be.revertedWith("Lock period ended");
+            await expect(stakingContract.connect(owner).addRewardStream(mockToken.target, 1, (await time.latest()) + 100))
+                .to.be.revertedWith("Staking sunset");
+        });
+
+        it("Should stop keepers rolling over flagged stakes", async function () {
+            await stakingContract.connect(user1).setAutoRollover(1, true);
+            await time.increase(LOCK_PERIOD);
+            expect((await stakingContract.checkUpkeep("0x")).upkeepNeeded).to.equal(true);
+
+            await sunset();
+            const [upkeepNeeded] = await stakingContract.checkUpkeep("0x");
+            expect(upkeepNeeded).to.equal(false);
+            await expect(
+                stakingContract.connect(user2).performUpkeep(ethers.AbiCoder.defaultAbiCoder().encode(["uint256[]"], [[1]]))
+            ).to.be.revertedWith("Staking sunset");
+        });
+
+        it("Should end reward streams and release what they had left to emit", async function () {
+            const rewardToken = await ethers.deployContract("MockERC20", ["Partner Token", "PTN", 18]);
+            await rewardToken.mint(owner.address, ethers.parseEther("1000"));
+            await rewardToken.connect(owner).approve(stakingContract.target, ethers.MaxUint256);
+            const rate = ethers.parseEther("0.0001");
+            const endTime = (await time.latest()) + LOCK_PERIOD;
+            await stakingContract.connect(owner).addRewardStream(rewardToken.target, rate, endTime);
+            const startTime = await time.latest();
+
+            // only what was emitted up to the sunset stays reserved for stakers
+            await sunset();
+            const sunsetAt = await stakingContract.sunsetTime();
+            const [, , streamEnd] = await stakingContract.rewardStreams(0);
+            expect(streamEnd).to.equal(sunsetAt);
+            expect(await stakingContract.streamReserve(rewardToken.target)).to.equal((sunsetAt - BigInt(startTime)) * rate);
+            await expect(stakingContract.connect(owner).updateRewardStream(0, rate, endTime))
+                .to.be.revertedWith("Staking sunset");
+
+            const earned = (await stakingContract.pendingStreamRewards(user1.address, 1))[0];
+            await time.increase(LOCK_PERIOD);
+            expect((await stakingContract.pendingStreamRewards(user1.address, 1))[0]).to.equal(earned);
+        });
+    });
+
+    describe("Migration", function () {
+        it("Should only migrate after a sunset", async function () {
+            await expect(stakingContract.connect(user1).migrate(1, receiver.target)).to.be.revertedWith("Staking not sunset");
+        });
+
+        it("Should move the principal to the new pool and pay out the rewards", async function () {
+            await time.increase(LOCK_PERIOD / 3);
+            await sunset();
+            const accrued = await stakingContract.calculateRewards(user1.address, 1);
+            const tax = (accrued * (await stakingContract.taxRate())) / 10000n;
+            const balanceBefore = await mockToken.balanceOf(user1.address);
+
+            await expect(stakingContract.connect(user1).migrate(1, receiver.target))
+                .to.emit(stakingContract, "StakeMigrated")
+                .withArgs(user1.address, 1, receiver.target, stakeAmount, accrued, tax, [[treasury.address, tax]]);
+
+            expect(await mockToken.balanceOf(receiver.target)).to.equal(stakeAmount);
+            expect(await receiver.migrated(user1.address)).to.equal(stakeAmount);
+            expect(await mockToken.balanceOf(user1.address) - balanceBefore).to.equal(accrued - tax);
+            expect(await stakingContract.userTotalStaked(user1.address)).to.equal(0);
+            expect(await stakingContract.totalStaked()).to.equal(stakeAmount * 2n);
+            expect(await positionToken.balanceOf(user1.address)).to.equal(0);
+            expect((await stakingContract.stakes(user1.address, 1)).active).to.equal(false);
+
+            await expect(stakingContract.connect(user1).migrate(1, receiver.target)).to.be.revertedWith("Stake not active");
+        });
+
+        it("Should revert when the new pool rejects the position", async function () {
+            await sunset();
+            await receiver.setRejecting(true);
+            await expect(stakingContract.connect(user1).migrate(1, receiver.target)).to.be.revertedWith("Migration rejected");
+
+            expect(await stakingContract.userTotalStaked(user1.address)).to.equal(stakeAmount);
+        });
+
+        it("Should only migrate into the successor named by the sunset", async function () {
+            await sunset();
+            // a receiver of the staker's own that would hand the principal back untaxed
+            const other = await ethers.deployContract("MockMigrationReceiver");
+            await expect(stakingContract.connect(user1).migrate(1, other.target)).to.be.revertedWith("Invalid successor pool");
+            await expect(stakingContract.connect(user1).migrate(1, user1.address)).to.be.revertedWith("Invalid successor pool");
+            await expect(stakingContract.connect(user1).migrate(1, receiver.target)).to.emit(stakingContract, "StakeMigrated");
+        });
+
+        it("Should not migrate at all after a sunset without a successor", async function () {
+            await sunset(stakingContract, ethers.ZeroAddress);
+            await expect(stakingContract.connect(user1).migrate(1, ethers.ZeroAddress)).to.be.revertedWith("Invalid successor pool");
+            await expect(stakingContract.connect(user1).migrate(1, receiver.target)).to.be.revertedWith("Invalid successor pool");
+            await expect(stakingContract.connect(user1)["unstake(uint256)"](1)).to.emit(stakingContract, "Unstaked");
+        });
+    });
+
+    describe("Solvency", function () {
+        it("Should report a funded pool as solvent with its final liability", async function () {
+            await time.increase(LOCK_PERIOD / 3);
+            await sunset();
+
+            const liability = await stakingContract.accruedRewardLiability();
+            const owed = (await stakingContract.calculateRewards(user1.address, 1)) +
+                (await stakingContract.calculateRewards(user2.address, 2));
+            expect(liability).to.be.closeTo(owed, 2);
+
+            const [solvent, reported, shortfall] = await stakingContract.solvency();
+            expect(solvent).to.equal(true);
+            expect(reported).to.equal(liability);
+            expect(shortfall).to.equal(0);
+        });
+
+        it("Should report the shortfall until it is deposited", async function () {
+            const unfunded = await deployPool();
+            await unfunded.connect(user1).stake(stakeAmount, 0);
+            await time.increase(LOCK_PERIOD / 3);
+            await sunset(unfunded);
+
+            const [solvent, liability, shortfall] = await unfunded.solvency();
+            expect(solvent).to.equal(false);
+            expect(liability).to.be.greaterThan(0);
+            expect(shortfall).to.equal(liability);
+
+            await unfunded.connect(owner).depositRewards(shortfall);
+            const [solventAfter, , shortfallAfter] = await unfunded.solvency();
+            expect(solventAfter).to.equal(true);
+            expect(shortfallAfter).to.equal(0);
+
+            // and the payout then covers everything accrued
+            const balanceBefore = await mockToken.balanceOf(user1.address);
+            await unfunded.connect(user1)["unstake(uint256)"](1);
+            const tax = ((stakeAmount + liability) * (await unfunded.taxRate())) / 10000n;
+            expect(await mockToken.balanceOf(user1.address) - balanceBefore).to.be.closeTo(stakeAmount + liability - tax, 2);
+        });
+    });
+})
\ No newline at end of file
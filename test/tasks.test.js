@@ -0,0 +1,194 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployLibraries, deployStaking } = require("./helpers/staking");
+
+const { ethers } = hre;
+
+describe("Hardhat tasks", function () {
+    let stakingContract;
+    let mockToken;
+    let owner;
+    let user1;
+    let output;
+
+    const LOCK_PERIOD = 30 * 24 * 60 * 60;
+
+    // runs a task and returns its result, keeping what it printed in `output`
+    async function run(name, args = {}) {
+        const log = console.log;
+        output = [];
+        console.log = (...parts) => output.push(parts.join(" "));
+        try {
+            return await hre.run(name, { contract: stakingContract.target, ...args });
+        } finally {
+            console.log = log;
+        }
+    }
+
+    beforeEach(async function () {
+        [owner, , user1] = await ethers.getSigners();
+
+        const MockToken = await ethers.getContractFactory("MockERC20");
+        mockToken = await MockToken.deploy("Mock USDT", "USDT", 6);
+        stakingContract = await deployStaking(mockToken.target, owner.address);
+
+        await mockToken.mint(owner.address, ethers.parseUnits("100000", 6));
+        await mockToken.mint(user1.address, ethers.parseUnits("10000", 6));
+    });
+
+    describe("User tasks", function () {
+        beforeEach(async function () {
+            await run("staking:deposit-rewards", { amount: "10000" });
+        });
+
+        it("Should stake human-readable amounts, approving first", async function () {
+            await run("staking:stake", { amount: "1000.5", account: 2 });
+
+            expect(output).to.include("Approving 1000.5 USDT...");
+            expect(output.some(line => line.includes("Staked(user=" + user1.address))).to.equal(true);
+            expect(await stakingContract.userTotalStaked(user1.address)).to.equal(ethers.parseUnits("1000.5", 6));
+        });
+
+        it("Should skip the approval when the allowance is enough", async function () {
+            await mockToken.connect(user1).approve(stakingContract.target, ethers.MaxUint256);
+            await run("staking:stake", { amount: "1000", account: 2 });
+
+            expect(output.some(line => line.startsWith("Approving"))).to.equal(false);
+        });
+
+        it("Should claim, roll over and unstake", async function () {
+            await run("staking:stake", { amount: "1000", account: 2 });
+            await time.increase(LOCK_PERIOD);
+
+            await run("staking:claim", { id: 1, account: 2 });
+            expect(output.some(line => line.includes("RewardsClaimed("))).to.equal(true);
+
+            await run("staking:rollover", { id: 1, account: 2 });
+            expect(output.some(line => line.includes("Rollover("))).to.equal(true);
+
+            await time.increase(LOCK_PERIOD);
+            await run("staking:unstake", { id: 1, amount: "500", account: 2 });
+            expect(output.some(line => line.includes("PartialUnstaked("))).to.equal(true);
+
+            await run("staking:unstake", { id: 1, account: 2 });
+            expect(output.some(line => line.includes("Unstaked("))).to.equal(true);
+            expect(await stakingContract.userTotalStaked(user1.address)).to.equal(0);
+        });
+
+        it("Should print the revert reason", async function () {
+            await run("staking:stake", { amount: "1000", account: 2 });
+
+            await expect(
+                run("staking:unstake", { id: 1, account: 2 })
+            ).to.be.rejectedWith("Transaction reverted: Lock period not ended");
+        });
+
+        it("Should show a user's status and the contract stats", async function () {
+            await run("staking:stake", { amount: "1000", account: 2 });
+            await run("staking:stake", { amount: "250", account: 2 });
+
+            const summary = await run("staking:status", { user: user1.address });
+            expect(summary.activeStakes).to.equal(2);
+            expect(output).to.include("Total staked: 1250.0 USDT");
+            expect(output.some(line => line.startsWith("  #2: 250.0 USDT, tier 0"))).to.equal(true);
+
+            await run("staking:stats");
+            expect(output).to.include("Reward reserve: 10000.0 USDT");
+            expect(output).to.include("  Tier 0: 30 days, 10% APY");
+        });
+    });
+
+    describe("Admin tasks", function () {
+        it("Should set the treasury", async function () {
+            await run("staking:set-treasury", { treasury: user1.address });
+            expect(await stakingContract.treasury()).to.equal(user1.address);
+        });
+
+        it("Should pause and unpause", async function () {
+            await run("staking:pause");
+            expect(await stakingContract.paused()).to.equal(true);
+
+            await run("staking:unpause");
+            expect(await stakingContract.paused()).to.equal(false);
+        });
+
+        it("Should grant and revoke roles", async function () {
+            await run("staking:grant-role", { role: "pauser", to: user1.address });
+            expect(output.some(line => line.includes("RoleGranted("))).to.equal(true);
+            await run("staking:pause", { account: 2 });
+            expect(await stakingContract.paused()).to.equal(true);
+
+            await run("staking:revoke-role", { role: "PAUSER_ROLE", from: user1.address });
+            expect(await stakingContract.hasRole(await stakingContract.PAUSER_ROLE(), user1.address)).to.equal(false);
+
+            await expect(
+                run("staking:grant-role", { role: "owner", to: user1.address })
+            ).to.be.rejectedWith("Unknown role owner");
+        });
+
+        it("Should emergency withdraw unallocated tokens while paused", async function () {
+            await mockToken.transfer(stakingContract.target, ethers.parseUnits("50", 6));
+            await run("staking:grant-role", { role: "EMERGENCY", to: user1.address });
+            await run("staking:pause");
+
+            await run("staking:emergency-withdraw", { amount: "50", account: 2 });
+            expect(output.some(line => line.includes("EmergencyWithdraw("))).to.equal(true);
+        });
+
+        it("Should decode custom errors for accounts without the role", async function () {
+            await expect(
+                run("staking:pause", { account: 2 })
+            ).to.be.rejectedWith(
+                `Transaction reverted: AccessControlUnauthorizedAccount(${user1.address}, ${await stakingContract.PAUSER_ROLE()})`
+            );
+        });
+    });
+
+    describe("Pool factory", function () {
+        let factory;
+
+        beforeEach(async function () {
+            const implementation = await ethers.deployContract("StakingPool", [ethers.ZeroAddress], {
+                libraries: await deployLibraries(),
+            });
+            factory = await ethers.deployContract("StakingPoolFactory", [implementation.target]);
+        });
+
+        it("Should create a pool with the given terms and list it", async function () {
+            const address = await run("staking:create-pool", {
+                factory: factory.target,
+                token: mockToken.target,
+                minStake: "10",
+                tiers: "7:500,90:1500",
+            });
+
+            const pool = await ethers.getContractAt("StakingPool", address);
+            expect(await pool.minStake()).to.equal(ethers.parseUnits("10", 6));
+            expect((await pool.getTiers()).map(tier => tier.apyBps)).to.deep.equal([500n, 1500n]);
+            expect(output.some(line => line.includes("PoolCreated(poolId=0, pool=" + address))).to.equal(true);
+
+            await mockToken.connect(user1).approve(address, ethers.MaxUint256);
+            await pool.connect(user1).stake(ethers.parseUnits("25", 6), 1);
+
+            const pools = await run("staking:pools", { factory: factory.target });
+            expect(pools).to.deep.equal([address]);
+            expect(output).to.include(`${address}: USDT, 25.0 USDT staked, 1 stakes, 0.0 USDT paid`);
+        });
+
+        it("Should reject malformed tiers", async function () {
+            await expect(
+                run("staking:create-pool", { factory: factory.target, token: mockToken.target, tiers: "30" })
+            ).to.be.rejectedWith("Invalid tier 30");
+        });
+    });
+
+    describe("Local deployment", function () {
+        it("Should deploy a funded MockERC20 setup", async function () {
+            const staking = await run("staking:deploy-local", { rewards: "5000" });
+
+            expect(await staking.rewardReserve()).to.equal(ethers.parseUnits("5000", 6));
+            expect(output.some(line => line.startsWith("StakingContract deployed to:"))).to.equal(true);
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,113 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { deployStaking } = require("./helpers/staking");
+
+// the same flows against staking tokens that differ in decimals and transfer fees
+const VARIANTS = [
+    { name: "6 decimals", decimals: 6, feeBps: 0 },
+    { name: "18 decimals", decimals: 18, feeBps: 0 },
+    { name: "fee-on-transfer", decimals: 18, feeBps: 100 },
+];
+
+for (const variant of VARIANTS) {
+    describe(`Staking token: ${variant.name}`, function () {
+        let stakingContract;
+        let token;
+        let owner;
+        let treasury;
+        let user1;
+        let user2;
+
+        const LOCK_PERIOD = 30 * 24 * 60 * 60;
+        const units = (amount) => ethers.parseUnits(amount, variant.decimals);
+        const afterFee = (amount) => amount - (amount * BigInt(variant.feeBps)) / 10000n;
+
+        beforeEach(async function () {
+            [owner, treasury, user1, user2] = await ethers.getSigners();
+
+            token = variant.feeBps > 0
+                ? await ethers.deployContract("MockFeeERC20", ["Fee Token", "FEE", variant.decimals, variant.feeBps])
+                : await ethers.deployContract("MockERC20", ["Mock Token", "MOCK", variant.decimals]);
+            stakingContract = await deployStaking(token.target, treasury.address);
+
+            for (const account of [owner, user1, user2]) {
+                await token.mint(account.address, units("100000"));
+                await token.connect(account).approve(stakingContract.target, ethers.MaxUint256);
+            }
+            await stakingContract.connect(owner).depositRewards(units("10000"));
+        });
+
+        it("Should default the minimum stake to 100 whole tokens", async function () {
+            expect(await stakingContract.minStake()).to.equal(units("100"));
+
+            await expect(stakingContract.connect(user1).stake(units("99"), 0))
+                .to.be.revertedWith("Amount below minimum stake");
+        });
+
+        it("Should credit the reward reserve with what arrived", async function () {
+            expect(await stakingContract.rewardReserve()).to.equal(afterFee(units("10000")));
+            expect(await token.balanceOf(stakingContract.target)).to.equal(await stakingContract.rewardReserve());
+        });
+
+        it("Should record the principal that arrived", async function () {
+            const received = afterFee(units("1000"));
+            await expect(stakingContract.connect(user1).stake(units("1000"), 0))
+                .to.emit(stakingContract, "Staked")
+                .withArgs(user1.address, 1, received, 0, anyValue);
+
+            const stake = await stakingContract.stakes(user1.address, 1);
+            expect(stake.amount).to.equal(received);
+            expect(await stakingContract.totalStaked()).to.equal(received);
+            expect(await stakingContract.userTotalStaked(user1.address)).to.equal(received);
+            expect(await stakingContract.unallocatedBalance()).to.equal(0);
+        });
+
+        it("Should stay solvent through stakes, claims and unstakes", async function () {
+            await stakingContract.connect(user1).stake(units("1000"), 0);
+            await stakingContract.connect(user2).stake(units("2500"), 0);
+            await time.increase(LOCK_PERIOD / 2);
+            await stakingContract.connect(user1).claimRewards(1);
+            await time.increase(LOCK_PERIOD / 2);
+
+            const balanceBefore = await token.balanceOf(user2.address);
+            const receipt = await (await stakingContract.connect(user2)["unstake(uint256)"](2)).wait();
+            const { principal, rewards, tax } = receipt.logs
+                .map((log) => stakingContract.interface.parseLog(log))
+                .find((event) => event && event.name === "Unstaked").args;
+            // the payout is sent at face value; the token's fee comes out of what the user receives
+            expect(await token.balanceOf(user2.address) - balanceBefore)
+                .to.equal(afterFee(principal + rewards - tax));
+
+            await stakingContract.connect(user1)["unstake(uint256)"](1);
+            expect(await stakingContract.totalStaked()).to.equal(0);
+            expect(await token.balanceOf(stakingContract.target)).to.equal(await stakingContract.rewardReserve());
+        });
+
+        it("Should keep positions transferable", async function () {
+            await stakingContract.connect(user1).stake(units("1000"), 0);
+            const positions = await ethers.getContractAt("StakePosition", await stakingContract.positionToken());
+            await positions.connect(user1).transferFrom(user1.address, user2.address, 1);
+
+            expect(await stakingContract.userTotalStaked(user2.address)).to.equal(afterFee(units("1000")));
+        });
+
+        if (variant.feeBps > 0) {
+            it("Should refuse to fund a reward stream with a fee-on-transfer token", async function () {
+                const plainReward = await ethers.deployContract("MockERC20", ["Reward", "RWD", 18]);
+                const feeReward = await ethers.deployContract("MockFeeERC20", ["Fee Reward", "FRW", 18, 100]);
+                await feeReward.mint(owner.address, units("100000"));
+                await feeReward.approve(stakingContract.target, ethers.MaxUint256);
+                await plainReward.mint(owner.address, units("100000"));
+                await plainReward.approve(stakingContract.target, ethers.MaxUint256);
+
+                const endTime = (await time.latest()) + 1000;
+                await expect(stakingContract.addRewardStream(feeReward.target, 1000n, endTime))
+                    .to.be.revertedWith("Stream underfunded");
+                await expect(stakingContract.addRewardStream(plainReward.target, 1000n, endTime))
+                    .to.emit(stakingContract, "RewardStreamAdded");
+            });
+        }
+    });
+}
\ No newline at end of file
@@ -0,0 +1,157 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deploy } = require("../script/deploy");
+const { upgrade } = require("../script/upgrade");
+const { stakingFactory } = require("./helpers/staking");
+
+const { ethers, upgrades } = hre;
+
+describe("StakingContractUpgradeable", function () {
+    let deploymentsDir;
+    let stakingContract;
+    let mockToken;
+    let positionToken;
+    let owner;
+    let user1;
+    let user2;
+
+    const LOCK_PERIOD = 30 * 24 * 60 * 60;
+
+    async function quietly(fn) {
+        const log = console.log;
+        console.log = () => {};
+        try {
+            return await fn();
+        } finally {
+            console.log = log;
+        }
+    }
+
+    beforeEach(async function () {
+        [owner, user1, user2] = await ethers.getSigners();
+        deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+
+        const manifest = await quietly(() => deploy(hre, { deploymentsDir, upgradeable: true }));
+        stakingContract = await ethers.getContractAt("StakingContractUpgradeable", manifest.contracts.StakingContract.address);
+        mockToken = await ethers.getContractAt("MockERC20", manifest.contracts.MockERC20.address);
+        positionToken = await ethers.getContractAt("StakePosition", await stakingContract.positionToken());
+
+        for (const user of [user1, user2]) {
+            await mockToken.mint(user.address, ethers.parseUnits("10000", 6));
+            await mockToken.connect(user).approve(stakingContract.target, ethers.MaxUint256);
+        }
+    });
+
+    afterEach(function () {
+        fs.rmSync(deploymentsDir, { recursive: true, force: true });
+    });
+
+    describe("Deployment", function () {
+        it("Should initialize the proxy with a bound position token", async function () {
+            expect(await stakingContract.defaultAdmin()).to.equal(owner.address);
+            expect(await stakingContract.stakingToken()).to.equal(mockToken.target);
+            expect(await stakingContract.rewardReserve()).to.equal(ethers.parseUnits("10000", 6));
+            expect(await positionToken.staking()).to.equal(stakingContract.target);
+
+            await stakingContract.connect(user1).stake(ethers.parseUnits("1000", 6), 0);
+            expect(await positionToken.ownerOf(1)).to.equal(user1.address);
+        });
+
+        it("Should record the proxy and implementation in the manifest", async function () {
+            const manifest = JSON.parse(fs.readFileSync(path.join(deploymentsDir, "hardhat.json"), "utf8"));
+            const entry = manifest.contracts.StakingContract;
+
+            expect(entry.kind).to.equal("uups");
+            expect(entry.implementation).to.equal(await upgrades.erc1967.getImplementationAddress(entry.address));
+            expect(entry.libraries.StakingLogic).to.equal(manifest.contracts.StakingLogic.address);
+            expect(entry.libraries.StakingAdmin).to.equal(manifest.contracts.StakingAdmin.address);
+            expect(manifest.contracts.StakePosition.address).to.equal(positionToken.target);
+        });
+
+        it("Should reuse the recorded proxy", async function () {
+            const manifest = await quietly(() => deploy(hre, { deploymentsDir, upgradeable: true }));
+            expect(manifest.contracts.StakingContract.address).to.equal(stakingContract.target);
+        });
+
+        it("Should not initialize twice", async function () {
+            await expect(
+                stakingContract.initialize(mockToken.target, owner.address, positionToken.target, user1.address)
+            ).to.be.revertedWithCustomError(stakingContract, "InvalidInitialization");
+
+            const implementation = await ethers.getContractAt(
+                "StakingContractUpgradeable",
+                await upgrades.erc1967.getImplementationAddress(stakingContract.target)
+            );
+            await expect(
+                implementation.initialize(mockToken.target, owner.address, positionToken.target, user1.address)
+            ).to.be.revertedWithCustomError(stakingContract, "InvalidInitialization");
+        });
+    });
+
+    describe("Upgrades", function () {
+        it("Should keep live stakes and totals across an upgrade", async function () {
+            await stakingContract.connect(user1).stake(ethers.parseUnits("1000", 6), 0);
+            await stakingContract.connect(user2).stake(ethers.parseUnits("500", 6), 0);
+            await stakingContract.connect(user1).stake(ethers.parseUnits("250", 6), 0);
+            await stakingContract.connect(user1).setAutoRollover(3, true);
+            await time.increase(LOCK_PERIOD / 2);
+
+            const stakeBefore = await stakingContract.stakes(user1.address, 1);
+            const idsBefore = await stakingContract.getUserStakeIds(user1.address);
+            const statsBefore = await stakingContract.getContractStats();
+            const reserveBefore = await stakingContract.rewardReserve();
+
+            await quietly(() => upgrade(hre, { deploymentsDir, implementation: "MockStakingContractV2" }));
+
+            const upgraded = await ethers.getContractAt("MockStakingContractV2", stakingContract.target);
+            expect(await upgraded.version()).to.equal("2");
+            expect(await upgraded.stakes(user1.address, 1)).to.deep.equal(stakeBefore);
+            expect(await upgraded.getUserStakeIds(user1.address)).to.deep.equal(idsBefore);
+            expect(await upgraded.userStakeIds(user2.address, 0)).to.equal(2);
+            expect(await upgraded.userTotalStaked(user1.address)).to.equal(ethers.parseUnits("1250", 6));
+            expect(await upgraded.getContractStats()).to.deep.equal(statsBefore);
+            expect(await upgraded.rewardReserve()).to.equal(reserveBefore);
+            expect(await upgraded.isAutoRollover(3)).to.equal(true);
+            expect(await upgraded.defaultAdmin()).to.equal(owner.address);
+
+            await time.increase(LOCK_PERIOD / 2);
+            await expect(upgraded.connect(user1).unstake(1)).to.emit(upgraded, "Unstaked");
+            expect(await upgraded.totalStaked()).to.equal(ethers.parseUnits("750", 6));
+            await expect(positionToken.ownerOf(1)).to.be.reverted;
+        });
+
+        it("Should update the manifest after an upgrade", async function () {
+            const implementation = await quietly(() =>
+                upgrade(hre, { deploymentsDir, implementation: "MockStakingContractV2" })
+            );
+
+            const manifest = JSON.parse(fs.readFileSync(path.join(deploymentsDir, "hardhat.json"), "utf8"));
+            expect(manifest.contracts.StakingContract.address).to.equal(stakingContract.target);
+            expect(manifest.contracts.StakingContract.implementation).to.equal(implementation);
+            expect(manifest.contracts.StakingContract.implementationName).to.equal("MockStakingContractV2");
+        });
+
+        it("Should refuse an implementation with an incompatible storage layout", async function () {
+            await expect(
+                quietly(() => upgrade(hre, { deploymentsDir, implementation: "MockStakingContractBrokenV2" }))
+            ).to.be.rejectedWith("New storage layout is incompatible");
+        });
+
+        it("Should only let the admin upgrade", async function () {
+            const V2 = await stakingFactory("MockStakingContractV2");
+            const implementation = await V2.deploy(ethers.ZeroAddress);
+
+            await expect(
+                stakingContract.connect(user1).upgradeToAndCall(implementation.target, "0x")
+            ).to.be.revertedWithCustomError(stakingContract, "AccessControlUnauthorizedAccount")
+                .withArgs(user1.address, ethers.ZeroHash);
+
+            await stakingContract.connect(owner).upgradeToAndCall(implementation.target, "0x");
+            expect(await upgrades.erc1967.getImplementationAddress(stakingContract.target)).to.equal(implementation.target);
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,188 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, mine } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployStaking } = require("./helpers/staking");
+
+describe("Voting Checkpoints", function () {
+    let stakingContract;
+    let positionToken;
+    let mockToken;
+    let owner;
+    let treasury;
+    let user1;
+    let user2;
+    let delegatee;
+
+    const LOCK_PERIOD = 30 * 24 * 60 * 60;
+    const stakeAmount = ethers.parseUnits("1000", 6);
+
+    beforeEach(async function () {
+        [owner, treasury, user1, user2, delegatee] = await ethers.getSigners();
+
+        const MockToken = await ethers.getContractFactory("MockERC20");
+        mockToken = await MockToken.deploy("Mock USDT", "USDT", 6);
+        stakingContract = await deployStaking(mockToken.target, treasury.address);
+        positionToken = await ethers.getContractAt("StakePosition", await stakingContract.positionToken());
+
+        for (const account of [owner, user1, user2]) {
+            await mockToken.mint(account.address, ethers.parseUnits("100000", 6));
+            await mockToken.connect(account).approve(stakingContract.target, ethers.MaxUint256);
+        }
+        await stakingContract.connect(owner).depositRewards(ethers.parseUnits("10000", 6));
+    });
+
+    describe("Delegation", function () {
+        it("Should count no votes until the holder delegates", async function () {
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
+            expect(await positionToken.getVotes(user1.address)).to.equal(0);
+
+            await expect(positionToken.connect(user1).delegate(user1.address))
+                .to.emit(positionToken, "DelegateVotesChanged")
+                .withArgs(user1.address, 0, stakeAmount);
+            expect(await positionToken.getVotes(user1.address)).to.equal(stakeAmount);
+            expect(await positionToken.delegates(user1.address)).to.equal(user1.address);
+        });
+
+        it("Should carry later stakes to the delegate", async function () {
+            await positionToken.connect(user1).delegate(delegatee.address);
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
+
+            expect(await positionToken.getVotes(delegatee.address)).to.equal(stakeAmount * 2n);
+            expect(await positionToken.getVotes(user1.address)).to.equal(0);
+
+            await positionToken.connect(user1).delegate(user1.address);
+            expect(await positionToken.getVotes(delegatee.address)).to.equal(0);
+            expect(await positionToken.getVotes(user1.address)).to.equal(stakeAmount * 2n);
+        });
+
+        it("Should delegate by signature", async function () {
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
+            const expiry = (await time.latest()) + 3600;
+            const nonce = await positionToken.nonces(user1.address);
+            const { chainId } = await ethers.provider.getNetwork();
+
+            const signature = ethers.Signature.from(await user1.signTypedData(
+                { name: "Staking Position", version: "1", chainId, verifyingContract: positionToken.target },
+                { Delegation: [
+                    { name: "delegatee", type: "address" },
+                    { name: "nonce", type: "uint256" },
+                    { name: "expiry", type: "uint256" },
+                ] },
+                { delegatee: delegatee.address, nonce, expiry }
+            ));
+
+            await positionToken.connect(user2).delegateBySig(delegatee.address, nonce, expiry, signature.v, signature.r, signature.s);
+            expect(await positionToken.delegates(user1.address)).to.equal(delegatee.address);
+            expect(await positionToken.getVotes(delegatee.address)).to.equal(stakeAmount);
+
+            await expect(positionToken.connect(user2).delegateBySig(delegatee.address, nonce, expiry, signature.v, signature.r, signature.s))
+                .to.be.revertedWithCustomError(positionToken, "InvalidAccountNonce");
+        });
+    });
+
+    describe("Checkpoints", function () {
+        it("Should track votes and total supply through stake, unstake and rollover", async function () {
+            await positionToken.connect(user1).delegate(user1.address);
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
+            const afterStake = await time.latestBlock();
+
+            await time.increase(LOCK_PERIOD);
+            await stakingContract.connect(user1).rollover(1);
+            const afterRollover = await time.latestBlock();
+            const rolled = await stakingContract.userTotalStaked(user1.address);
+            expect(rolled).to.be.greaterThan(stakeAmount * 2n);
+
+            await stakingContract.connect(user1)["unstake(uint256)"](2);
+            const afterUnstake = await time.latestBlock();
+            await mine();
+
+            expect(await positionToken.getPastVotes(user1.address, afterStake)).to.equal(stakeAmount * 2n);
+            expect(await positionToken.getPastVotes(user1.address, afterRollover)).to.equal(rolled);
+            expect(await positionToken.getPastVotes(user1.address, afterUnstake)).to.equal(rolled - stakeAmount);
+            expect(await positionToken.getPastTotalSupply(afterStake)).to.equal(stakeAmount * 2n);
+            expect(await positionToken.getPastTotalSupply(afterUnstake)).to.equal(await stakingContract.totalStaked());
+        });
+
+        it("Should remove the principal of an early unstake and a partial unstake", async function () {
+            await positionToken.connect(user1).delegate(user1.address);
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
+
+            await stakingContract.connect(user1).earlyUnstake(1);
+            expect(await positionToken.getVotes(user1.address)).to.equal(stakeAmount);
+
+            await time.increase(LOCK_PERIOD);
+            await stakingContract.connect(user1)["unstake(uint256,uint256)"](2, stakeAmount / 4n);
+            expect(await positionToken.getVotes(user1.address)).to.equal((stakeAmount * 3n) / 4n);
+
+            await mine();
+            expect(await positionToken.getPastTotalSupply((await time.latestBlock()) - 1)).to.equal((stakeAmount * 3n) / 4n);
+        });
+
+        it("Should move votes with a transferred position", async function () {
+            await positionToken.connect(user1).delegate(user1.address);
+            await positionToken.connect(user2).delegate(delegatee.address);
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
+            await stakingContract.connect(user1).stake(stakeAmount * 2n, 0);
+
+            await positionToken.connect(user1).transferFrom(user1.address, user2.address, 2);
+            expect(await positionToken.getVotes(user1.address)).to.equal(stakeAmount);
+            expect(await positionToken.getVotes(delegatee.address)).to.equal(stakeAmount * 2n);
+
+            await mine();
+            expect(await positionToken.getPastTotalSupply((await time.latestBlock()) - 1)).to.equal(stakeAmount * 3n);
+        });
+
+        it("Should leave votes unchanged when stakes are split or merged", async function () {
+            await positionToken.connect(user1).delegate(user1.address);
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
+            await stakingContract.connect(user1).splitStake(1, stakeAmount / 2n);
+            expect(await positionToken.getVotes(user1.address)).to.equal(stakeAmount);
+
+            await stakingContract.connect(user1).mergeStakes(1, 2);
+            expect(await positionToken.getVotes(user1.address)).to.equal(stakeAmount);
+        });
+
+        it("Should not look up the current or a future block", async function () {
+            const current = await positionToken.clock();
+            await expect(positionToken.getPastVotes(user1.address, current))
+                .to.be.revertedWithCustomError(positionToken, "ERC5805FutureLookup");
+            await expect(positionToken.getPastTotalSupply(current + 1n))
+                .to.be.revertedWithCustomError(positionToken, "ERC5805FutureLookup");
+        });
+    });
+
+    describe("IERC5805", function () {
+        it("Should use a block number clock", async function () {
+            expect(await positionToken.clock()).to.equal(await time.latestBlock());
+            expect(await positionToken.CLOCK_MODE()).to.equal("mode=blocknumber&from=default");
+        });
+
+        it("Should only let the staking contract move voting power", async function () {
+            await expect(positionToken.connect(user1).moveVotingPower(ethers.ZeroAddress, user1.address, stakeAmount))
+                .to.be.revertedWith("Only staking contract");
+        });
+
+        it("Should forward the vote views from the staking contract", async function () {
+            await stakingContract.connect(user1).stake(stakeAmount, 0);
+            await positionToken.connect(user1).delegate(delegatee.address);
+            const block = await time.latestBlock();
+            await mine();
+
+            expect(await stakingContract.clock()).to.equal(await positionToken.clock());
+            expect(await stakingContract.CLOCK_MODE()).to.equal(await positionToken.CLOCK_MODE());
+            expect(await stakingContract.delegates(user1.address)).to.equal(delegatee.address);
+            expect(await stakingContract.getVotes(delegatee.address)).to.equal(stakeAmount);
+            expect(await stakingContract.getPastVotes(delegatee.address, block)).to.equal(stakeAmount);
+            expect(await stakingContract.getPastTotalSupply(block)).to.equal(stakeAmount);
+        });
+
+        it("Should pass the position token's reverts through", async function () {
+            const current = await stakingContract.clock();
+            await expect(stakingContract.getPastVotes(user1.address, current))
+                .to.be.revertedWithCustomError(positionToken, "ERC5805FutureLookup");
+        });
+    });
+});
\ No newline at end of file